@@ -30,4 +30,16 @@ export default [
       ],
     },
   },
+  {
+    files: ['scripts/**/*.js', 'plugins/**/*.js', 'vite.config.js', '**/*.test.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    files: ['src/sw.js'],
+    languageOptions: {
+      globals: globals.serviceworker,
+    },
+  },
 ]
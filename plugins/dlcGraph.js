@@ -0,0 +1,208 @@
+// Vite plugin that compiles public/route_lookup.csv and public/dlc_network.csv into
+// a precomputed JSON graph. The build fails on invalid data, and in dev the graph is
+// pushed to the page over HMR whenever either CSV changes.
+//
+// Older versions of the data live in public/snapshots/<YYYY-MM or YYYY-MM-DD>/ and
+// are compiled the same way, for the changelog. The optional public/regions.csv names
+// and colors the regions, public/bundles.csv lists the routes in each game edition or
+// bundle, public/layout.json holds hand-tuned node positions for the graph and
+// public/data_updated.txt the date the data last changed.
+
+import { readFileSync, readdirSync, existsSync } from 'node:fs';
+import path from 'node:path';
+import { parseCSV, buildGraph } from '../src/utils/graph.js';
+import { validateData, validateRegions, validateBundles, validateLayout, validateUpdated, formatProblem, DATA_DATE } from '../src/utils/validate.js';
+import { buildRegions } from '../src/utils/regions.js';
+import { buildBundles } from '../src/utils/bundles.js';
+import { cleanLayout } from '../src/utils/layout.js';
+
+export const GRAPH_FILE = 'dlc_graph.json';
+export const GRAPH_UPDATE_EVENT = 'dlc-graph:update';
+export const SNAPSHOT_INDEX_FILE = 'dlc_snapshots.json';
+export const SNAPSHOT_DIR = 'snapshots';
+
+const CSV_FILES = ['route_lookup.csv', 'dlc_network.csv'];
+const REGIONS_FILE = 'regions.csv';
+const BUNDLES_FILE = 'bundles.csv';
+const LAYOUT_FILE = 'layout.json';
+const UPDATED_FILE = 'data_updated.txt';
+
+// Parse, validate and build the graph from the data files in a directory. Problems
+// use the { file, line, message, params } shape of validateData; graph is null when there are errors
+export const compileGraph = (dir) => {
+  const [routeLookup, dlcNetwork] = CSV_FILES.map(file => parseCSV(readFileSync(path.join(dir, file), 'utf8')));
+  const { errors, warnings } = validateData(routeLookup, dlcNetwork);
+  
+  const regionsPath = path.join(dir, REGIONS_FILE);
+  const regions = existsSync(regionsPath) ? parseCSV(readFileSync(regionsPath, 'utf8')) : null;
+  if (regions) {
+    const regionProblems = validateRegions(regions, routeLookup);
+    errors.push(...regionProblems.errors);
+    warnings.push(...regionProblems.warnings);
+  }
+  
+  const bundlesPath = path.join(dir, BUNDLES_FILE);
+  const bundles = existsSync(bundlesPath) ? parseCSV(readFileSync(bundlesPath, 'utf8')) : null;
+  if (bundles) {
+    const bundleProblems = validateBundles(bundles, routeLookup);
+    errors.push(...bundleProblems.errors);
+    warnings.push(...bundleProblems.warnings);
+  }
+  
+  const layoutPath = path.join(dir, LAYOUT_FILE);
+  const layoutText = existsSync(layoutPath) ? readFileSync(layoutPath, 'utf8') : null;
+  if (layoutText !== null) {
+    const layoutProblems = validateLayout(layoutText, routeLookup);
+    errors.push(...layoutProblems.errors);
+    warnings.push(...layoutProblems.warnings);
+  }
+  
+  const updatedPath = path.join(dir, UPDATED_FILE);
+  const updated = existsSync(updatedPath) ? readFileSync(updatedPath, 'utf8').trim() : null;
+  if (updated !== null) {
+    errors.push(...validateUpdated(updated).errors);
+  }
+  
+  if (errors.length > 0) {
+    return { graph: null, errors, warnings };
+  }
+  
+  // The footer shows when the data last changed, which a build alone doesn't do
+  const graph = {
+    ...buildGraph(routeLookup.data, dlcNetwork.data, dlcNetwork.rowLines),
+    regionInfo: regions ? buildRegions(regions.data) : {},
+    bundles: bundles ? buildBundles(bundles.data) : [],
+    layout: layoutText !== null ? cleanLayout(JSON.parse(layoutText)) : {},
+    ...(updated !== null && { updated })
+  };
+  
+  return { graph, errors, warnings };
+};
+
+// Compile a directory, failing with every error listed
+const compileValidGraph = (dir) => {
+  const compiled = compileGraph(dir);
+  if (compiled.errors.length > 0) {
+    throw new Error(`Invalid DLC data:\n${compiled.errors.map(problem => formatProblem(problem)).join('\n')}`);
+  }
+  return compiled;
+};
+
+// Compile every snapshot, oldest first. Snapshots are past data, so only errors matter
+export const compileSnapshots = (dir) => {
+  const snapshotDir = path.join(dir, SNAPSHOT_DIR);
+  if (!existsSync(snapshotDir)) return [];
+  
+  return readdirSync(snapshotDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && DATA_DATE.test(entry.name))
+    .map(entry => entry.name)
+    .sort()
+    .map(date => {
+      try {
+        const { graph } = compileValidGraph(path.join(snapshotDir, date));
+        return { date, file: `${SNAPSHOT_DIR}/${date}.json`, graph: { ...graph, updated: date } };
+      } catch (err) {
+        throw new Error(`Snapshot ${date}: ${err.message}`);
+      }
+    });
+};
+
+const snapshotIndex = snapshots => snapshots.map(({ date, file }) => ({ date, file }));
+
+const dlcGraph = () => {
+  let config;
+  let compiled;
+  let snapshots = [];
+  
+  const dataPaths = () => [...CSV_FILES, REGIONS_FILE, BUNDLES_FILE, LAYOUT_FILE, UPDATED_FILE].map(file => path.join(config.publicDir, file));
+  
+  return {
+    name: 'dlc-graph',
+    
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+    
+    buildStart() {
+      dataPaths().forEach(file => this.addWatchFile(file));
+      try {
+        compiled = compileValidGraph(config.publicDir);
+        snapshots = compileSnapshots(config.publicDir);
+      } catch (err) {
+        this.error(err.message);
+      }
+      if (compiled.warnings.length > 0) {
+        this.warn(`${compiled.warnings.length} data warnings, run "npm run validate-data" for details`);
+      }
+    },
+    
+    generateBundle() {
+      this.emitFile({
+        type: 'asset',
+        fileName: GRAPH_FILE,
+        source: JSON.stringify(compiled.graph)
+      });
+      this.emitFile({
+        type: 'asset',
+        fileName: SNAPSHOT_INDEX_FILE,
+        source: JSON.stringify(snapshotIndex(snapshots))
+      });
+      snapshots.forEach(snapshot => {
+        this.emitFile({
+          type: 'asset',
+          fileName: snapshot.file,
+          source: JSON.stringify(snapshot.graph)
+        });
+      });
+    },
+    
+    configureServer(server) {
+      // Serve the compiled graph, recompiling so the page always gets the current CSVs
+      server.middlewares.use(`${config.base}${GRAPH_FILE}`, (req, res) => {
+        try {
+          compiled = compileValidGraph(config.publicDir);
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify(compiled.graph));
+        } catch (err) {
+          res.statusCode = 500;
+          res.end(err.message);
+        }
+      });
+      
+      // Snapshots are compiled on request too, since they are only read by the changelog
+      server.middlewares.use(`${config.base}${SNAPSHOT_INDEX_FILE}`, (req, res) => {
+        try {
+          snapshots = compileSnapshots(config.publicDir);
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify(snapshotIndex(snapshots)));
+        } catch (err) {
+          res.statusCode = 500;
+          res.end(err.message);
+        }
+      });
+      
+      server.middlewares.use(`${config.base}${SNAPSHOT_DIR}/`, (req, res, next) => {
+        const snapshot = snapshots.find(s => `/${path.basename(s.file)}` === req.url);
+        if (!snapshot) return next();
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(snapshot.graph));
+      });
+      
+      // Push a fresh graph to the page when a data file changes, and when one
+      // of the optional files is created or deleted
+      server.watcher.add(dataPaths());
+      const recompile = (file) => {
+        if (!dataPaths().includes(path.resolve(file))) return;
+        try {
+          compiled = compileValidGraph(config.publicDir);
+          server.ws.send({ type: 'custom', event: GRAPH_UPDATE_EVENT, data: compiled.graph });
+        } catch (err) {
+          server.ws.send({ type: 'error', err: { message: err.message, stack: '' } });
+        }
+      };
+      ['add', 'change', 'unlink'].forEach(event => server.watcher.on(event, recompile));
+    }
+  };
+};
+
+export default dlcGraph;
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import dlcGraph, { GRAPH_FILE, GRAPH_UPDATE_EVENT, SNAPSHOT_INDEX_FILE } from './dlcGraph.js';
+
+const PUBLIC_DIR = fileURLToPath(new URL('../public/', import.meta.url));
+
+// Run the build hooks on the shipped data and collect the emitted files
+const build = () => {
+  const plugin = dlcGraph();
+  const emitted = {};
+  const context = {
+    addWatchFile: () => {},
+    warn: () => {},
+    error: message => {
+      throw new Error(message);
+    },
+    emitFile: file => {
+      emitted[file.fileName] = JSON.parse(file.source);
+    }
+  };
+  
+  plugin.configResolved({ publicDir: PUBLIC_DIR });
+  plugin.buildStart.call(context);
+  plugin.generateBundle.call(context);
+  return emitted;
+};
+
+describe('dlcGraph build', () => {
+  const emitted = build();
+  
+  it('emits the graph dated from data_updated.txt', () => {
+    expect(emitted[GRAPH_FILE].nodes.length).toBeGreaterThan(0);
+    expect(emitted[GRAPH_FILE].updated).toMatch(/^\d{4}-\d{2}/);
+  });
+  
+  it('emits the snapshot index with every snapshot it lists', () => {
+    const index = emitted[SNAPSHOT_INDEX_FILE];
+    expect(index.length).toBeGreaterThan(0);
+    index.forEach(({ date, file }) => {
+      expect(emitted[file].updated).toBe(date);
+      expect(emitted[file].nodes.length).toBeGreaterThan(0);
+    });
+  });
+});
+
+describe('dlcGraph dev server', () => {
+  // A dev server that records the watcher handlers and the messages sent to the page
+  const serve = () => {
+    const plugin = dlcGraph();
+    const handlers = {};
+    const sent = [];
+    plugin.configResolved({ publicDir: PUBLIC_DIR, base: '/' });
+    plugin.configureServer({
+      middlewares: { use: () => {} },
+      watcher: {
+        add: () => {},
+        on: (event, handler) => {
+          handlers[event] = handler;
+        }
+      },
+      ws: { send: message => sent.push(message) }
+    });
+    return { handlers, sent };
+  };
+  
+  it('pushes the graph when an optional file is created, changed or deleted', () => {
+    const { handlers, sent } = serve();
+    ['add', 'change', 'unlink'].forEach(event => handlers[event](path.join(PUBLIC_DIR, 'layout.json')));
+    expect(sent.map(message => message.event)).toEqual([GRAPH_UPDATE_EVENT, GRAPH_UPDATE_EVENT, GRAPH_UPDATE_EVENT]);
+  });
+  
+  it('ignores files that are not data', () => {
+    const { handlers, sent } = serve();
+    handlers.add(path.join(PUBLIC_DIR, 'icon.png'));
+    expect(sent).toEqual([]);
+  });
+});
@@ -0,0 +1,49 @@
+// Vite plugin that emits the service worker and makes the built site installable
+// and usable offline. The worker is src/sw.js with the files of this build filled
+// in, so every deploy gets a new cache and the old one is dropped. Dev runs without it.
+
+import { readFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { GRAPH_FILE } from './dlcGraph.js';
+import { DATASET_UPDATED } from '../src/utils/offline.js';
+
+const TEMPLATE = new URL('../src/sw.js', import.meta.url);
+export const SERVICE_WORKER_FILE = 'sw.js';
+
+// Files copied from public/ that the site needs to start
+const PUBLIC_SHELL_FILES = ['icon.png', 'manifest.webmanifest'];
+
+// Files of this build that the page loads up front. Data files are cached as they are fetched
+const bundledShellFiles = bundle => Object.keys(bundle)
+  .filter(file => !file.endsWith('.json') && !file.endsWith('.map'));
+
+// Changes whenever any of those files does, index.html included
+const buildVersion = (bundle, files) => {
+  const hash = createHash('sha256');
+  files.forEach(file => hash.update(file).update(bundle[file].code || bundle[file].source || ''));
+  return hash.digest('hex').slice(0, 12);
+};
+
+const serviceWorker = () => ({
+  name: 'service-worker',
+  apply: 'build',
+  enforce: 'post',
+  
+  generateBundle(options, bundle) {
+    const files = bundledShellFiles(bundle);
+    const placeholders = {
+      'self.__SHELL_FILES': JSON.stringify(['', ...files, ...PUBLIC_SHELL_FILES]),
+      'self.__GRAPH_FILE': JSON.stringify(GRAPH_FILE),
+      'self.__DATASET_UPDATED': JSON.stringify(DATASET_UPDATED),
+      'self.__CACHE_VERSION': JSON.stringify(buildVersion(bundle, files))
+    };
+    
+    const source = Object.entries(placeholders).reduce(
+      (text, [placeholder, value]) => text.split(placeholder).join(value),
+      readFileSync(TEMPLATE, 'utf8')
+    );
+    this.emitFile({ type: 'asset', fileName: SERVICE_WORKER_FILE, source });
+  }
+});
+
+export default serviceWorker;
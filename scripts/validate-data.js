@@ -0,0 +1,23 @@
+// Validates public/route_lookup.csv and public/dlc_network.csv, and the optional
+// public/regions.csv, public/bundles.csv and public/layout.json, the same way
+// the build compiles them. Exits non-zero when there are errors, or any warnings with --strict.
+//
+//   npm run validate-data [-- --strict]
+
+import { fileURLToPath } from 'node:url';
+import { compileGraph } from '../plugins/dlcGraph.js';
+import { formatProblem } from '../src/utils/validate.js';
+
+const publicDir = fileURLToPath(new URL('../public/', import.meta.url));
+const strict = process.argv.includes('--strict');
+
+const { errors, warnings } = compileGraph(publicDir);
+
+warnings.forEach(problem => console.warn(`warning ${formatProblem(problem)}`));
+errors.forEach(problem => console.error(`error   ${formatProblem(problem)}`));
+
+console.log(`${errors.length} errors, ${warnings.length} warnings`);
+
+if (errors.length > 0 || (strict && warnings.length > 0)) {
+  process.exit(1);
+}
@@ -0,0 +1,116 @@
+import React, { useState, useMemo } from 'react';
+import { endpointId } from '../utils/graph';
+import { useTranslation } from '../utils/i18n';
+import { FALLBACK_COLOR } from '../utils/palettes';
+
+const SORTS = {
+  name: 'Name',
+  region: 'Region',
+  locos: 'Loco count'
+};
+
+// Source route × target DLC table with the number of locos each pair shares
+const AdjacencyMatrix = ({ nodes, edges, regionColors, darkMode, selectedId, onSelectRoute }) => {
+  const { t, tn, routeName } = useTranslation();
+  const [sortBy, setSortBy] = useState('region');
+  
+  const { rows, columns, cells, rowTotals, columnTotals } = useMemo(() => {
+    const cells = {};
+    const rowTotals = {};
+    const columnTotals = {};
+    
+    edges.forEach(edge => {
+      const source = endpointId(edge.source);
+      const target = endpointId(edge.target);
+      cells[`${source}-${target}`] = edge.locos;
+      rowTotals[source] = (rowTotals[source] || 0) + edge.locos.length;
+      columnTotals[target] = (columnTotals[target] || 0) + edge.locos.length;
+    });
+    
+    const sortNodes = (list, totals) => [...list].sort((a, b) => {
+      if (sortBy === 'locos') return (totals[b.id] || 0) - (totals[a.id] || 0) || a.id.localeCompare(b.id);
+      if (sortBy === 'region') return a.region.localeCompare(b.region) || a.id.localeCompare(b.id);
+      return a.id.localeCompare(b.id);
+    });
+    
+    return {
+      rows: sortNodes(nodes.filter(node => rowTotals[node.id]), rowTotals),
+      columns: sortNodes(nodes.filter(node => columnTotals[node.id]), columnTotals),
+      cells,
+      rowTotals,
+      columnTotals
+    };
+  }, [nodes, edges, sortBy]);
+  
+  const maxCount = Math.max(1, ...Object.values(cells).map(locos => locos.length));
+  const headerClass = `sticky px-1 text-xs font-bold cursor-pointer ${darkMode ? 'bg-gray-800' : 'bg-gray-100'}`;
+  
+  return (
+    <div className="flex flex-col h-full">
+      <div className="flex gap-2 items-center text-sm p-2">
+        <span className="font-semibold">{t('Sort by:')}</span>
+        {Object.entries(SORTS).map(([key, label]) => (
+          <button 
+            key={key}
+            onClick={() => setSortBy(key)}
+            className={`px-2 py-1 rounded-md text-xs ${sortBy === key ? 'bg-blue-600 text-white' : (darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300')}`}
+          >
+            {t(label)}
+          </button>
+        ))}
+        <span className="opacity-75 ml-2">{t('Rows borrow locos from columns')}</span>
+      </div>
+      <div className="overflow-auto flex-1">
+        <table className="border-collapse text-xs">
+          <thead>
+            <tr>
+              <th className={`${headerClass} top-0 left-0 z-20`}>{t('Route ↓ / DLC →')}</th>
+              {columns.map(column => (
+                <th 
+                  key={column.id}
+                  className={`${headerClass} top-0 z-10 align-bottom ${column.id === selectedId ? 'text-yellow-500' : ''}`}
+                  style={{ borderBottom: `3px solid ${regionColors[column.region] || FALLBACK_COLOR}` }}
+                  title={`${routeName(column.id, column.fullName)} (${tn(columnTotals[column.id], '{count} loco lent', '{count} locos lent')})`}
+                  onClick={() => onSelectRoute(column.id)}
+                >
+                  <span style={{ writingMode: 'vertical-rl', transform: 'rotate(180deg)' }}>{column.label}</span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.id}>
+                <th 
+                  className={`${headerClass} left-0 z-10 text-left ${row.id === selectedId ? 'text-yellow-500' : ''}`}
+                  style={{ borderLeft: `3px solid ${regionColors[row.region] || FALLBACK_COLOR}` }}
+                  title={`${routeName(row.id, row.fullName)} (${tn(rowTotals[row.id], '{count} loco borrowed', '{count} locos borrowed')})`}
+                  onClick={() => onSelectRoute(row.id)}
+                >
+                  {row.label}
+                </th>
+                {columns.map(column => {
+                  const locos = cells[`${row.id}-${column.id}`];
+                  const highlighted = row.id === selectedId || column.id === selectedId;
+                  return (
+                    <td 
+                      key={column.id}
+                      className={`w-6 h-6 text-center border ${darkMode ? 'border-gray-700' : 'border-gray-200'} ${locos ? 'cursor-pointer' : ''} ${highlighted ? 'outline outline-1 outline-yellow-500' : ''}`}
+                      style={locos ? { backgroundColor: regionColors[column.region] || FALLBACK_COLOR, opacity: 0.35 + 0.65 * locos.length / maxCount, color: 'black' } : undefined}
+                      title={locos ? `${row.label} → ${column.label}\n${locos.join('\n')}` : undefined}
+                      onClick={locos ? () => onSelectRoute(row.id) : undefined}
+                    >
+                      {locos ? locos.length : ''}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AdjacencyMatrix;
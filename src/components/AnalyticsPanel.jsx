@@ -0,0 +1,84 @@
+import React, { useMemo } from 'react';
+import SortableTable from './SortableTable';
+import { computeNetworkStats } from '../utils/analytics';
+import { useTranslation } from '../utils/i18n';
+
+const ROUTE_COLUMNS = [
+  { key: 'id', label: 'Route' },
+  { key: 'region', label: 'Region' },
+  { key: 'outDegree', label: 'Out', numeric: true, title: 'Number of DLCs this route borrows locos from' },
+  { key: 'inDegree', label: 'In', numeric: true, title: 'Number of routes that borrow locos from this DLC' },
+  { key: 'locosBorrowed', label: 'Borrowed', numeric: true, title: 'Locos this route gets from other DLCs' },
+  { key: 'locosLent', label: 'Lent', numeric: true, title: 'Locos this DLC adds to other routes' },
+  { key: 'betweenness', label: 'Hub', numeric: true, title: 'Betweenness centrality: how often the route lies on shortest layering chains', format: value => value.toFixed(3) },
+  { key: 'component', label: 'Group', numeric: true, title: 'Connected component' }
+];
+
+const REGION_COLUMNS = [
+  { key: 'region', label: 'Region' },
+  { key: 'routes', label: 'Routes', numeric: true },
+  { key: 'internalLinks', label: 'Internal', numeric: true, title: 'Links between routes of this region' },
+  { key: 'linksOut', label: 'Out', numeric: true, title: 'Links to DLCs from other regions' },
+  { key: 'linksIn', label: 'In', numeric: true, title: 'Links from routes in other regions' },
+  { key: 'locosBorrowed', label: 'Borrowed', numeric: true },
+  { key: 'locosLent', label: 'Lent', numeric: true }
+];
+
+// Network statistics for the visible graph, each table linked to node selection
+const AnalyticsPanel = ({ nodes, edges, darkMode, selectedId, onSelectRoute }) => {
+  const { t, tn } = useTranslation();
+  const stats = useMemo(() => computeNetworkStats(nodes, edges), [nodes, edges]);
+  
+  const routeButton = id => (
+    <button key={id} className="underline mr-2" onClick={() => onSelectRoute(id)}>{id}</button>
+  );
+  
+  return (
+    <div className="mb-6">
+      <h2 className="text-xl font-bold mb-2">{t('Network Statistics')}</h2>
+      <p className="text-sm mb-3 opacity-75">{t('For the routes currently shown. Click a column to sort and a row to select the route.')}</p>
+      
+      <h3 className="text-lg font-semibold mb-2">{t('Routes')}</h3>
+      <div className="mb-4">
+        <SortableTable 
+          columns={ROUTE_COLUMNS}
+          rows={stats.routes}
+          rowKey="id"
+          darkMode={darkMode}
+          selectedKey={selectedId}
+          onRowClick={row => onSelectRoute(row.id)}
+          initialSort={{ key: 'locosLent', descending: true }}
+        />
+      </div>
+      
+      <h3 className="text-lg font-semibold mb-2">{t('Regions')}</h3>
+      <div className="mb-4">
+        <SortableTable 
+          columns={REGION_COLUMNS}
+          rows={stats.regions}
+          rowKey="region"
+          darkMode={darkMode}
+          initialSort={{ key: 'routes', descending: true }}
+        />
+      </div>
+      
+      <h3 className="text-lg font-semibold mb-2">{t('Connected Groups ({count})', { count: stats.components.length })}</h3>
+      <ul className="text-sm mb-4 flex flex-col gap-1">
+        {stats.components.filter(component => component.size > 1).map(component => (
+          <li key={component.id}>
+            <span className="font-semibold">{t('Group {id}', { id: component.id })}</span> ({tn(component.size, '{count} route', '{count} routes')}): {component.routes.map(routeButton)}
+          </li>
+        ))}
+      </ul>
+      
+      <h3 className="text-lg font-semibold mb-2">{t('Isolated Routes ({count})', { count: stats.isolated.length })}</h3>
+      {stats.isolated.length > 0 ? (
+        <p className="text-sm">{stats.isolated.map(routeButton)}</p>
+      ) : (
+        <p className="text-sm">{t('Every route shares locos with at least one other.')}</p>
+      )}
+    </div>
+  );
+};
+
+export default AnalyticsPanel;
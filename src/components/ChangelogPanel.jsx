@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { DIFF_COLORS, diffGraphs, isEmptyDiff, summarizeDiff, mergeForDiff } from '../utils/diff';
+import { useTranslation } from '../utils/i18n';
+import { loadDataFile } from '../utils/dataFiles';
+import DataLoadError from './DataLoadError';
+
+const CURRENT = 'current';
+
+// Browse the data snapshots and compare any two versions, with the differences
+// listed per route and, optionally, colored on the graph
+const ChangelogPanel = ({ currentGraph, darkMode, onShowDiff, onSelectRoute }) => {
+  const { t } = useTranslation();
+  const [snapshots, setSnapshots] = useState(null);
+  const [graphs, setGraphs] = useState({});
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(CURRENT);
+  const [showOnGraph, setShowOnGraph] = useState(true);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  const requestedRef = useRef(new Set());
+  
+  // The list of snapshots, comparing the latest one with the current data to start with
+  useEffect(() => {
+    if (snapshots) return;
+    const loadSnapshots = async () => {
+      try {
+        const index = await loadDataFile('dlc_snapshots.json');
+        setSnapshots(index);
+        if (index.length > 0) setFrom(index[index.length - 1].date);
+      } catch (err) {
+        console.error("Error loading snapshots:", err);
+        setError(err);
+      }
+    };
+    loadSnapshots();
+  }, [snapshots, attempt]);
+  
+  // Fetch the compared snapshots the first time they are needed
+  useEffect(() => {
+    if (!snapshots) return;
+    [from, to]
+      .filter(version => version && version !== CURRENT && !requestedRef.current.has(version))
+      .forEach(async version => {
+        requestedRef.current.add(version);
+        try {
+          const snapshot = snapshots.find(s => s.date === version);
+          const graph = await loadDataFile(snapshot.file);
+          setGraphs(current => ({ ...current, [version]: graph }));
+        } catch (err) {
+          console.error("Error loading snapshot:", err);
+          setError(err);
+        }
+      });
+  }, [snapshots, from, to, attempt]);
+  
+  // Try the failed files again, keeping the snapshots that did load
+  const retry = () => {
+    requestedRef.current = new Set(Object.keys(graphs));
+    setError(null);
+    setAttempt(attempt + 1);
+  };
+  
+  const graphFor = version => version === CURRENT ? currentGraph : graphs[version];
+  const before = graphFor(from);
+  const after = graphFor(to);
+  
+  const diff = useMemo(() => before && after ? diffGraphs(before, after) : null, [before, after]);
+  const summary = useMemo(() => diff ? summarizeDiff(diff) : [], [diff]);
+  
+  // Traction and compatibility values in a change line are translated as well
+  const changeLine = ({ message, params, codes = [] }) => t(message, Object.fromEntries(
+    Object.entries(params).map(([name, value]) => [name, codes.includes(name) ? t(value) : value])
+  ));
+  
+  // Color the differences on the graph, and stop when the panel closes
+  useEffect(() => {
+    onShowDiff(diff && showOnGraph ? mergeForDiff(before, after, diff) : null);
+  }, [diff, showOnGraph, before, after, onShowDiff]);
+  
+  useEffect(() => () => onShowDiff(null), [onShowDiff]);
+  
+  const versionLabel = version => version === CURRENT ? t('Current data') : version;
+  const selectClass = `px-2 py-1 rounded-md w-full ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`;
+  const versions = snapshots ? [...snapshots.map(s => s.date), CURRENT] : [];
+  
+  const versionSelect = (value, onChange, label) => (
+    <label className="block text-sm mb-2">
+      <span className="font-semibold">{label}</span>
+      <select value={value || ''} onChange={event => onChange(event.target.value)} className={selectClass}>
+        {versions.map(version => (
+          <option key={version} value={version}>{versionLabel(version)}</option>
+        ))}
+      </select>
+    </label>
+  );
+  
+  return (
+    <div className="mb-6">
+      <h2 className="text-xl font-bold mb-2">{t('Changelog')}</h2>
+      {error && (
+        <div className="rounded-md p-2 mb-2 bg-red-500/10">
+          <DataLoadError error={error} onRetry={retry} darkMode={darkMode} />
+        </div>
+      )}
+      
+      {snapshots && snapshots.length === 0 && (
+        <p className="text-sm">{t('No earlier versions of the data have been saved yet.')}</p>
+      )}
+      
+      {snapshots && snapshots.length > 0 && (
+        <>
+          {/* Each version next to the one before it */}
+          <div className="flex flex-wrap gap-1 mb-3 text-xs">
+            {versions.slice(1).map((version, index) => (
+              <button
+                key={version}
+                onClick={() => {
+                  setFrom(versions[index]);
+                  setTo(version);
+                }}
+                className={`px-2 py-1 rounded-md ${from === versions[index] && to === version ? 'bg-blue-600 text-white' : (darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300')}`}
+              >
+                {versionLabel(version)}
+              </button>
+            ))}
+          </div>
+          
+          {versionSelect(from, setFrom, t('From'))}
+          {versionSelect(to, setTo, t('To'))}
+          
+          <label className="flex items-center gap-1 cursor-pointer text-sm mb-3">
+            <input
+              type="checkbox"
+              checked={showOnGraph}
+              onChange={event => setShowOnGraph(event.target.checked)}
+            />
+            {t('Show changes on the graph')}
+          </label>
+          
+          {showOnGraph && (
+            <div className="flex flex-wrap gap-3 text-xs mb-3">
+              {Object.entries(DIFF_COLORS).map(([change, color]) => (
+                <span key={change} className="flex items-center gap-1">
+                  <span className="inline-block w-4 h-1 rounded" style={{ backgroundColor: color }}></span>
+                  {t(change)}
+                </span>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+      
+      {diff && (
+        isEmptyDiff(diff) ? (
+          <p className="text-sm">{t('No changes to routes, locos or layering links.')}</p>
+        ) : (
+          <>
+            <p className="text-sm mb-2">
+              {t('{added} routes added, {removed} removed;', { added: diff.routes.added.length, removed: diff.routes.removed.length })}
+              {' '}{t('{added} layering links added, {removed} removed, {changed} changed.', {
+                added: diff.edges.added.length,
+                removed: diff.edges.removed.length,
+                changed: diff.edges.changed.length
+              })}
+            </p>
+            {summary.map(entry => (
+              <div key={entry.route} className={`rounded-md p-2 mb-2 text-sm ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                <button className="font-semibold underline" onClick={() => onSelectRoute(entry.route)}>{entry.route}</button>
+                <ul className="list-disc list-inside">
+                  {entry.lines.map((line, index) => (
+                    <li key={index}>{changeLine(line)}</li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </>
+        )
+      )}
+    </div>
+  );
+};
+
+export default ChangelogPanel;
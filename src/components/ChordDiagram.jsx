@@ -0,0 +1,144 @@
+import React, { useEffect, useRef, useMemo } from 'react';
+import * as d3 from 'd3';
+import { endpointId } from '../utils/graph';
+import { useTranslation } from '../utils/i18n';
+import { FALLBACK_COLOR } from '../utils/palettes';
+
+// Directed chord diagram of DLC layering with routes grouped by region
+const ChordDiagram = ({ nodes, edges, regionColors, darkMode, selectedId, onSelectRoute }) => {
+  const { t, tn, routeName, regionName } = useTranslation();
+  const svgRef = useRef(null);
+  const containerRef = useRef(null);
+  
+  // Routes with at least one layering edge, ordered by region, and the loco-count matrix
+  const { routes, matrix } = useMemo(() => {
+    const linked = new Set();
+    edges.forEach(edge => {
+      const source = endpointId(edge.source);
+      const target = endpointId(edge.target);
+      if (source === target) return;
+      linked.add(source);
+      linked.add(target);
+    });
+    
+    const routes = nodes
+      .filter(node => linked.has(node.id))
+      .sort((a, b) => a.region.localeCompare(b.region) || a.id.localeCompare(b.id));
+    const indexById = Object.fromEntries(routes.map((route, i) => [route.id, i]));
+    
+    const matrix = routes.map(() => routes.map(() => 0));
+    edges.forEach(edge => {
+      const source = indexById[endpointId(edge.source)];
+      const target = indexById[endpointId(edge.target)];
+      if (source === undefined || target === undefined || source === target) return;
+      // Ribbons flow from the lending DLC to the borrowing route
+      matrix[target][source] += edge.locos.length;
+    });
+    
+    return { routes, matrix };
+  }, [nodes, edges]);
+  
+  useEffect(() => {
+    if (!svgRef.current || !routes.length) return;
+    
+    const width = containerRef.current.clientWidth;
+    const height = containerRef.current.clientHeight;
+    const regionRadius = Math.min(width, height) / 2 - 10;
+    const outerRadius = regionRadius - 50;
+    const innerRadius = outerRadius - 14;
+    
+    d3.select(svgRef.current).selectAll("*").remove();
+    
+    const svg = d3.select(svgRef.current)
+      .attr("width", width)
+      .attr("height", height)
+      .attr("viewBox", [-width / 2, -height / 2, width, height]);
+    
+    const chords = d3.chordDirected()
+      .padAngle(0.01)
+      .sortSubgroups(d3.descending)(matrix);
+    
+    const arc = d3.arc().innerRadius(innerRadius).outerRadius(outerRadius);
+    const ribbon = d3.ribbonArrow().radius(innerRadius - 1).padAngle(1 / innerRadius);
+    const color = i => regionColors[routes[i].region] || FALLBACK_COLOR;
+    
+    // Ribbons, colored by the lending DLC
+    const ribbons = svg.append("g")
+      .attr("class", "ribbons")
+      .selectAll("path")
+      .data(chords)
+      .join("path")
+      .attr("d", ribbon)
+      .attr("fill", d => color(d.source.index))
+      .attr("fill-opacity", d => {
+        if (!selectedId) return 0.7;
+        const involved = routes[d.source.index].id === selectedId || routes[d.target.index].id === selectedId;
+        return involved ? 0.9 : 0.08;
+      })
+      .style("mix-blend-mode", darkMode ? "screen" : "multiply");
+    
+    ribbons.append("title")
+      .text(d => tn(d.source.value, '{route} borrows {count} loco from {dlc}', '{route} borrows {count} locos from {dlc}', {
+        route: routes[d.target.index].id,
+        dlc: routes[d.source.index].id
+      }));
+    
+    // Route arcs and labels
+    const group = svg.append("g")
+      .attr("class", "groups")
+      .selectAll("g")
+      .data(chords.groups)
+      .join("g")
+      .style("cursor", "pointer")
+      .on("click", (event, d) => onSelectRoute(routes[d.index].id));
+    
+    group.append("path")
+      .attr("d", arc)
+      .attr("fill", d => color(d.index))
+      .attr("stroke", d => routes[d.index].id === selectedId ? "#ff0" : (darkMode ? "#fff" : "#333"))
+      .attr("stroke-width", d => routes[d.index].id === selectedId ? 3 : 0.5);
+    
+    group.append("text")
+      .each(d => { d.angle = (d.startAngle + d.endAngle) / 2; })
+      .attr("dy", "0.35em")
+      .attr("transform", d => `rotate(${d.angle * 180 / Math.PI - 90}) translate(${outerRadius + 4})${d.angle > Math.PI ? " rotate(180)" : ""}`)
+      .attr("text-anchor", d => d.angle > Math.PI ? "end" : null)
+      .attr("fill", darkMode ? "#fff" : "#000")
+      .style("font-size", "10px")
+      .style("font-weight", d => routes[d.index].id === selectedId ? "bold" : "normal")
+      .text(d => routes[d.index].label);
+    
+    group.append("title")
+      .text(d => `${routeName(routes[d.index].id, routes[d.index].fullName)} (${regionName(routes[d.index].region)})`);
+    
+    // Outer ring spanning each region's routes
+    const regionArcs = d3.groups(chords.groups, d => routes[d.index].region)
+      .map(([region, groups]) => ({
+        region,
+        startAngle: d3.min(groups, d => d.startAngle),
+        endAngle: d3.max(groups, d => d.endAngle)
+      }));
+    
+    svg.append("g")
+      .attr("class", "regions")
+      .selectAll("path")
+      .data(regionArcs)
+      .join("path")
+      .attr("d", d3.arc().innerRadius(regionRadius - 6).outerRadius(regionRadius))
+      .attr("fill", d => regionColors[d.region] || FALLBACK_COLOR)
+      .append("title")
+      .text(d => regionName(d.region));
+  }, [routes, matrix, regionColors, darkMode, selectedId, onSelectRoute, tn, routeName, regionName]);
+  
+  return (
+    <div ref={containerRef} className="w-full h-full">
+      {routes.length > 0 ? (
+        <svg ref={svgRef} className="w-full h-full"></svg>
+      ) : (
+        <p className="p-4">{t('No layering links to show.')}</p>
+      )}
+    </div>
+  );
+};
+
+export default ChordDiagram;
@@ -0,0 +1,82 @@
+import React from 'react';
+import DLCBadge from './DLCBadge';
+import { useTranslation } from '../utils/i18n';
+
+const LocoList = ({ locos, empty }) => (
+  locos.length > 0 ? (
+    <ul className="list-disc list-inside text-sm">
+      {locos.map(loco => (
+        <li key={loco}>{loco}</li>
+      ))}
+    </ul>
+  ) : (
+    <p className="text-sm opacity-75">{empty}</p>
+  )
+);
+
+// Two routes side by side: the locos each gets from the other, the DLCs
+// both borrow from and the locos only one of them has
+const ComparePanel = ({ first, second, comparison, darkMode, regionColors, onSwap, onClose, onSelectRoute }) => {
+  const { t, routeName } = useTranslation();
+  const buttonClass = `px-2 py-1 rounded-md text-xs ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`;
+  const columnClass = `rounded-md p-2 ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`;
+  
+  const routeHeading = route => (
+    <button className="font-semibold underline" onClick={() => onSelectRoute(route.id)} title={routeName(route.id, route.fullName)}>
+      {route.label}
+    </button>
+  );
+  
+  return (
+    <div>
+      <h2 className="text-xl font-bold mb-2">{t('{first} vs {second}', { first: first.label, second: second.label })}</h2>
+      <div className="flex gap-2 mb-3">
+        <button className={buttonClass} onClick={onSwap}>⇄ {t('Swap')}</button>
+        <button className={buttonClass} onClick={onClose}>{t('Stop comparing')}</button>
+      </div>
+      
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold mb-2">{t('Shared Locos')}</h3>
+        <div className="grid grid-cols-2 gap-2">
+          <div className={columnClass}>
+            <h4 className="text-sm mb-1">{t('On')} {routeHeading(first)} {t('from {dlc}', { dlc: second.label })} ({comparison.firstFromSecond.length})</h4>
+            <LocoList locos={comparison.firstFromSecond} empty={t("{route} doesn't use {dlc} locos.", { route: first.label, dlc: second.label })} />
+          </div>
+          <div className={columnClass}>
+            <h4 className="text-sm mb-1">{t('On')} {routeHeading(second)} {t('from {dlc}', { dlc: first.label })} ({comparison.secondFromFirst.length})</h4>
+            <LocoList locos={comparison.secondFromFirst} empty={t("{route} doesn't use {dlc} locos.", { route: second.label, dlc: first.label })} />
+          </div>
+        </div>
+      </div>
+      
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold mb-2">{t('DLCs Both Routes Borrow From')}</h3>
+        {comparison.commonDLCs.length > 0 ? (
+          <div className="flex flex-wrap gap-1">
+            {comparison.commonDLCs.map(dlc => (
+              <DLCBadge key={dlc.shortName} dlc={dlc} regionColors={regionColors} />
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm">{t('No other DLC adds locos to both routes.')}</p>
+        )}
+      </div>
+      
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold mb-2">{t('Locos On Only One Route')}</h3>
+        <div className="grid grid-cols-2 gap-2">
+          <div className={columnClass}>
+            <h4 className="text-sm mb-1">{t('Only')} {routeHeading(first)} ({comparison.onlyFirst.length})</h4>
+            <LocoList locos={comparison.onlyFirst} empty={t('Every {route} loco also runs on {other}.', { route: first.label, other: second.label })} />
+          </div>
+          <div className={columnClass}>
+            <h4 className="text-sm mb-1">{t('Only')} {routeHeading(second)} ({comparison.onlySecond.length})</h4>
+            <LocoList locos={comparison.onlySecond} empty={t('Every {route} loco also runs on {other}.', { route: second.label, other: first.label })} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ComparePanel;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { FALLBACK_COLOR, contrastText } from '../utils/palettes';
+import { useTranslation } from '../utils/i18n';
+
+// Region-colored chip for a DLC, with its full name and the editions or
+// bundles that include it underneath
+const DLCBadge = ({ dlc, regionColors, highlighted = false, owned = null, bundles = [] }) => {
+  const { t, routeName } = useTranslation();
+  const fullName = routeName(dlc.shortName.trim(), dlc.fullName);
+  
+  return (
+    <span 
+      className={`inline-block px-2 py-1 rounded-md text-xs ${highlighted ? 'font-bold' : ''}`}
+      style={{
+        backgroundColor: regionColors[dlc.region] || FALLBACK_COLOR,
+        color: contrastText(regionColors[dlc.region] || FALLBACK_COLOR),
+        border: highlighted 
+          ? '2px solid #ff0' 
+          : 'none',
+        opacity: owned === false ? 0.6 : 1
+      }}
+      title={fullName}
+    >
+      {owned && '✓ '}
+      {dlc.shortName}
+      {fullName !== dlc.shortName.trim() && (
+        <span 
+          className="block text-xs mt-1"
+          style={{ 
+            opacity: 0.85,
+            fontWeight: 'normal'
+          }}
+        >
+          {fullName}
+        </span>
+      )}
+      {bundles.length > 0 && (
+        <span 
+          className="block text-xs mt-1"
+          style={{ 
+            opacity: 0.85,
+            fontWeight: 'normal'
+          }}
+        >
+          {t('Included in {bundles}', { bundles: bundles.join(', ') })}
+        </span>
+      )}
+    </span>
+  );
+};
+
+export default DLCBadge;
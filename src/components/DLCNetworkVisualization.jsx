@@ -1,34 +1,252 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
-import Papa from 'papaparse';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import * as d3 from 'd3';
+import LibraryPanel from './LibraryPanel';
+import RequiredDLCTable from './RequiredDLCTable';
+import RecommendationPanel from './RecommendationPanel';
+import LendsToTable from './LendsToTable';
+import SearchBox from './SearchBox';
+import LocoPanel from './LocoPanel';
+import ComparePanel from './ComparePanel';
+import NetworkListView from './NetworkListView';
+import DataQualityPanel from './DataQualityPanel';
+import RegionLegend from './RegionLegend';
+import AdjacencyMatrix from './AdjacencyMatrix';
+import ChordDiagram from './ChordDiagram';
+import PathFinderPanel from './PathFinderPanel';
+import AnalyticsPanel from './AnalyticsPanel';
+import ImportPanel from './ImportPanel';
+import TimelineBar from './TimelineBar';
+import ChangelogPanel from './ChangelogPanel';
+import DataLoadError from './DataLoadError';
+import { loadOwnedDLCs, saveOwnedDLCs, isSameLibrary, splitByOwnership } from '../utils/library';
+import { buildLocoIndex } from '../utils/locos';
+import { countIssues } from '../utils/dataQuality';
+import { parseUrlState, buildUrlHash } from '../utils/urlState';
+import { endpointId } from '../utils/graph';
+import { filterGraph } from '../utils/filters';
+import { TRACTION_TYPES } from '../utils/validate';
+import { pathRoutes } from '../utils/paths';
+import { importFiles } from '../utils/importData';
+import { loadDataFile } from '../utils/dataFiles';
+import { onDatasetUpdate } from '../utils/offline';
+import { releaseDates, hasTimeline, graphAsOf } from '../utils/timeline';
+import { DIFF_COLORS } from '../utils/diff';
+import { bundlesByRoute } from '../utils/bundles';
+import { compareRoutes } from '../utils/compare';
+import { loadSavedLayout, saveLayout, layoutPositions, placeNodes } from '../utils/layout';
+import { FALLBACK_COLOR, paletteColors } from '../utils/palettes';
+import { LANGUAGES, isLanguage, initialLanguage, saveLanguage, createTranslator, TranslationContext, useTranslation } from '../utils/i18n';
+import { isArrowKey, connectedRoutes, nodeInDirection } from '../utils/navigation';
+import { routeTable, tableToCSV, tableToMarkdown, graphToJSON, serializeSvg, svgToPng, downloadFile } from '../utils/exporters';
+
+// Find all required DLCs for a route
+const findAllRequiredDLCs = (routeToDLC, routeId) => {
+  if (!routeToDLC[routeId]) return [];
+  
+  // Extract all required DLCs from all locomotives for this route
+  const allRequiredDLCs = new Set();
+  routeToDLC[routeId].forEach(item => {
+    item.requiredDLCs.forEach(dlc => {
+      allRequiredDLCs.add(dlc.shortName.trim());
+    });
+  });
+  
+  return Array.from(allRequiredDLCs);
+};
+
+// Resolve the node, compared route or loco named in the URL against the loaded graph
+const selectionFromUrl = (urlState, nodes, routeToDLC) => {
+  const node = nodes.find(n => n.id === urlState.node) || null;
+  return {
+    node,
+    connections: node ? findAllRequiredDLCs(routeToDLC, node.id) : [],
+    compareId: node && urlState.compare ? urlState.compare : null,
+    locoId: !node && urlState.loco ? urlState.loco : null
+  };
+};
+
+const selectionKey = (nodeId, locoId, compareId) => `${nodeId || ''}|${locoId || ''}|${compareId || ''}`;
+
+const NODE_RADIUS = 12;
+
+// Path for a layering edge, drawn from the DLC lending the locos to the route
+// using them so the arrowhead points at the borrowing route. Edges that have a
+// partner in the opposite direction are curved so both stay visible
+const linkPath = (d) => {
+  const from = d.target;
+  const to = d.source;
+  
+  // A route listing itself gets a small loop above its node
+  if (from === to) {
+    const top = from.y - NODE_RADIUS;
+    return `M${from.x - 5},${top + 1} C${from.x - 25},${top - 35} ${from.x + 25},${top - 35} ${from.x + 5},${top + 1}`;
+  }
+  
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const dist = Math.hypot(dx, dy) || 1;
+  
+  // Control point: the midpoint, pushed sideways for curved pairs
+  const bend = d.bidirectional ? Math.min(30, dist * 0.25) : 0;
+  const cx = (from.x + to.x) / 2 - (dy / dist) * bend;
+  const cy = (from.y + to.y) / 2 + (dx / dist) * bend;
+  
+  // Trim both ends to the node circles so the arrowhead isn't hidden
+  const trim = (x, y, towardX, towardY, by) => {
+    const length = Math.hypot(towardX - x, towardY - y) || 1;
+    return [x + (towardX - x) / length * by, y + (towardY - y) / length * by];
+  };
+  const [x1, y1] = trim(from.x, from.y, cx, cy, NODE_RADIUS);
+  const [x2, y2] = trim(to.x, to.y, cx, cy, NODE_RADIUS + 2);
+  
+  return `M${x1},${y1} Q${cx},${cy} ${x2},${y2}`;
+};
+
+// Size of the drawing: the full width, and the height of the graph area
+const graphSize = (container, graphArea) => ({
+  width: container.clientWidth,
+  height: graphArea.clientHeight
+});
+
+const toZoomTransform = zoom => zoom
+  ? d3.zoomIdentity.translate(zoom.x, zoom.y).scale(zoom.k)
+  : d3.zoomIdentity;
 
 const DLCNetworkVisualization = () => {
-  const [darkMode, setDarkMode] = useState(false);
+  const [initialUrlState] = useState(() => parseUrlState(window.location.hash));
+  const [darkMode, setDarkMode] = useState(initialUrlState.dark);
+  const [palette, setPalette] = useState(initialUrlState.palette);
+  const [language, setLanguage] = useState(() => isLanguage(initialUrlState.language) ? initialUrlState.language : initialLanguage());
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [nodes, setNodes] = useState([]);
   const [edges, setEdges] = useState([]);
   const [regions, setRegions] = useState([]);
+  const [regionInfo, setRegionInfo] = useState({});
   const [selectedNode, setSelectedNode] = useState(null);
   const [routeToDLC, setRouteToDLC] = useState({});
   const [selectedNodeConnections, setSelectedNodeConnections] = useState([]);
   const [isMobile, setIsMobile] = useState(window.innerWidth < 768);
+  const [libraryMode, setLibraryMode] = useState(initialUrlState.library);
+  const [ownedDLCs, setOwnedDLCs] = useState(() => initialUrlState.owned || loadOwnedDLCs());
+  // Only an owned list that differs from the saved one came from someone else's link
+  const [sharedLibrary, setSharedLibrary] = useState(() => !!initialUrlState.owned && !isSameLibrary(initialUrlState.owned, loadOwnedDLCs()));
+  const [linkDirection, setLinkDirection] = useState(initialUrlState.direction);
+  const [selectedLocoId, setSelectedLocoId] = useState(null);
+  const [dataQuality, setDataQuality] = useState(null);
+  const [showDataQuality, setShowDataQuality] = useState(false);
+  const [zoomTransform, setZoomTransform] = useState(initialUrlState.zoom);
+  const [urlRestored, setUrlRestored] = useState(false);
+  const [filters, setFilters] = useState(initialUrlState.filters);
+  const [viewMode, setViewMode] = useState(initialUrlState.view);
+  const [showPathFinder, setShowPathFinder] = useState(false);
+  const [showAnalytics, setShowAnalytics] = useState(false);
+  const [highlightedPath, setHighlightedPath] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+  const [importedFrom, setImportedFrom] = useState(null);
+  const [timelineDate, setTimelineDate] = useState(initialUrlState.date);
+  const [dataUpdated, setDataUpdated] = useState(null);
+  const [newDataAvailable, setNewDataAvailable] = useState(false);
+  const [online, setOnline] = useState(navigator.onLine);
+  const [showChangelog, setShowChangelog] = useState(false);
+  const [diffGraph, setDiffGraph] = useState(null);
+  const [bundles, setBundles] = useState([]);
+  const [compareNodeId, setCompareNodeId] = useState(null);
+  const [shippedLayout, setShippedLayout] = useState({});
   
   const svgRef = useRef(null);
   const containerRef = useRef(null);
+  const graphAreaRef = useRef(null);
+  const zoomRef = useRef(null);
+  const tooltipRef = useRef(null);
+  const zoomTransformRef = useRef(initialUrlState.zoom);
+  const lastSelectionRef = useRef(null);
+  const selectedNodeRef = useRef(null);
+  const layoutRef = useRef(null);
+  const resetLayoutRef = useRef(null);
+  const translatorRef = useRef(null);
+  
+  // Node positions remembered from earlier layouts, here and in the browser
+  if (layoutRef.current === null) {
+    layoutRef.current = loadSavedLayout();
+  }
+  
+  // Colors for regions, from the default or the colorblind-safe palette
+  const regionColors = useMemo(() => paletteColors(regionInfo, regions, palette), [regionInfo, regions, palette]);
+  
+  // Interface text, route names and region names in the chosen language
+  const translator = useMemo(() => {
+    const routeNames = Object.fromEntries(nodes.map(node => [node.id, node.names || {}]));
+    return createTranslator(language, routeNames, regionInfo);
+  }, [language, nodes, regionInfo]);
+  const { t, tn, routeName, regionName, formatDate } = translator;
+  
+  // Remember the language, and tell the browser and screen readers which it is
+  useEffect(() => {
+    saveLanguage(language);
+    document.documentElement.lang = language;
+  }, [language]);
+  
+  // The edge tooltips are set up with the layout, so they read the language from here
+  useEffect(() => {
+    translatorRef.current = translator;
+  }, [translator]);
+  
+  // Fast lookup of owned DLCs
+  const ownedSet = useMemo(() => new Set(ownedDLCs), [ownedDLCs]);
+  
+  // Save owned DLCs whenever they change, unless they came from a shared link
+  useEffect(() => {
+    if (!sharedLibrary) saveOwnedDLCs(ownedDLCs);
+  }, [ownedDLCs, sharedLibrary]);
+  
+  // Traction types and compatibility levels that the loco filters can offer
+  const locoDetails = useMemo(() => {
+    const items = Object.values(routeToDLC).flat();
+    return {
+      tractionTypes: TRACTION_TYPES.filter(traction => items.some(item => item.traction === traction)),
+      hasPartial: items.some(item => item.compatibility === 'partial')
+    };
+  }, [routeToDLC]);
+  
+  // The loaded graph, for comparing against earlier versions of the data
+  const currentGraph = useMemo(() => ({ nodes, edges, routeToDLC }), [nodes, edges, routeToDLC]);
+  
+  // The timeline date only counts when the data has a timeline, so a date
+  // restored from the URL is ignored for undated data
+  const activeTimelineDate = timelineDate && hasTimeline(nodes) ? timelineDate : null;
+  
+  // The network as of the timeline date, when the timeline is open. In diff mode
+  // it also has what the older version had and the newer one lost
+  const timelineGraph = useMemo(() => {
+    const graph = diffGraph || currentGraph;
+    return activeTimelineDate ? graphAsOf(graph.nodes, graph.edges, activeTimelineDate) : graph;
+  }, [diffGraph, currentGraph, activeTimelineDate]);
   
-  // Color scale for regions, memoized to prevent recreation on every render
-  const regionColors = useMemo(() => ({
-    'US': '#2563eb',
-    'UK': '#059669',
-    'DE': '#d97706',
-    'CA': '#7c3aed',
-    'FR': '#db2777',
-    'CH': '#facc15',
-    'AT': '#0891b2',
-    'NL': '#ef4444',
-    'Unknown': '#6b7280'
-  }), []);
+  // The part of the network left after region and link filters
+  const visibleGraph = useMemo(() => (
+    filterGraph(timelineGraph.nodes, timelineGraph.edges, filters, { routeToDLC, bundles })
+  ), [timelineGraph, filters, routeToDLC, bundles]);
+  
+  // Editions and bundles that contain each route
+  const routeBundles = useMemo(() => bundlesByRoute(bundles), [bundles]);
+  
+  // The route compared side by side with the selected one
+  const compareNode = useMemo(() => (
+    selectedNode && compareNodeId !== selectedNode.id
+      ? nodes.find(node => node.id === compareNodeId) || null
+      : null
+  ), [nodes, selectedNode, compareNodeId]);
+  
+  const comparison = useMemo(() => (
+    compareNode ? compareRoutes(routeToDLC, selectedNode.id, compareNode.id) : null
+  ), [routeToDLC, selectedNode, compareNode]);
+  
+  // The node click handler is set up with the layout, so it reads the selection from here
+  useEffect(() => {
+    selectedNodeRef.current = selectedNode;
+  }, [selectedNode]);
   
   // Check if mobile view
   useEffect(() => {
@@ -40,192 +258,115 @@ const DLCNetworkVisualization = () => {
     return () => window.removeEventListener('resize', handleResize);
   }, []);
   
-  // Load and process the data
+  // Show a graph, either the built-in one or one made from imported CSVs
+  const applyGraph = useCallback((graph) => {
+    setNodes(graph.nodes);
+    setEdges(graph.edges);
+    setRegions(graph.regions);
+    setRouteToDLC(graph.routeToDLC);
+    setDataQuality(graph.dataQuality);
+    setDataUpdated(graph.updated || null);
+    setBundles(graph.bundles || []);
+    // Imported CSVs have no regions.csv, so they keep the loaded region definitions
+    if (graph.regionInfo) setRegionInfo(graph.regionInfo);
+    setShippedLayout(graph.layout || {});
+    setSelectedNode(null);
+    setSelectedNodeConnections([]);
+    setSelectedLocoId(null);
+    setCompareNodeId(null);
+  }, []);
+  
+  // Load the graph compiled from the CSVs at build time. Offline, the service
+  // worker answers with the last graph it saved
+  const loadBuiltinData = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      applyGraph(await loadDataFile('dlc_graph.json'));
+      setImportedFrom(null);
+      setNewDataAvailable(false);
+      setLoading(false);
+    } catch (err) {
+      console.error("Error loading data:", err);
+      setError(err);
+      setLoading(false);
+    }
+  }, [applyGraph]);
+  
   useEffect(() => {
-    const loadData = async () => {
-      try {
-        setLoading(true);
-        const baseUrl = import.meta.env.BASE_URL || '/';
-
-        // Load route lookup data
-        const routeLookupResponse = await fetch(`${baseUrl}route_lookup.csv`).then(response => response.text());
-        const routeLookupData = Papa.parse(routeLookupResponse, {
-          header: true,
-          skipEmptyLines: true
-        }).data;
-        
-        // Load DLC network data
-        const dlcNetworkResponse = await fetch(`${baseUrl}dlc_network.csv`).then(response => response.text());
-        const dlcNetworkData = Papa.parse(dlcNetworkResponse, {
-          header: true,
-          skipEmptyLines: true
-        }).data;
-        
-        // Create maps
-        const routeToShortName = {};
-        const routeToRegion = {};
-        const shortNameToRoute = {};
-        const shortNameToFullName = {};
-        
-        routeLookupData.forEach(item => {
-          if (item.Route && item["Short Name"]) {
-            routeToShortName[item.Route] = item["Short Name"];
-            routeToRegion[item.Route] = item.Region;
-            shortNameToRoute[item["Short Name"]] = item.Route;
-            shortNameToFullName[item["Short Name"]] = item.Route;
-          }
-        });
-        
-        // Process network data
-        const processedNodes = [];
-        const processedEdges = [];
-        const nodeSet = new Set();
-        const connections = {};
-        const dlcMap = {};
-        const shortNameToInfo = {};
-        const routesWithRequiredDLCs = new Set();
-        
-        // Track all DLC short names first to get full info
-        const allDLCShortNames = new Set();
-        dlcNetworkData.forEach(item => {
-          if (item["Required DLC"]) {
-            const requiredDLCs = item["Required DLC"].split(',')
-              .map(dlc => dlc.trim())
-              .filter(Boolean);
-            requiredDLCs.forEach(dlc => allDLCShortNames.add(dlc));
-          }
-          if (item.Route) {
-            allDLCShortNames.add(item.Route.trim());
-          }
-        });
-        
-        // Create a map of all short names to their info (even those not in lookup)
-        allDLCShortNames.forEach(shortName => {
-          const fullName = shortNameToRoute[shortName] || null;
-          const region = fullName ? routeToRegion[fullName] : "Unknown";
-          
-          shortNameToInfo[shortName] = {
-            shortName,
-            fullName,
-            region,
-            inLookup: !!fullName
-          };
-        });
-        
-        dlcNetworkData.forEach(item => {
-          const sourceRoute = item.Route.trim();
-          if (!sourceRoute) return;
-          
-          // Add source route if not already added AND it exists in the lookup
-          if (!nodeSet.has(sourceRoute) && shortNameToInfo[sourceRoute]?.inLookup) {
-            nodeSet.add(sourceRoute);
-            
-            processedNodes.push({
-              id: sourceRoute,
-              label: sourceRoute,
-              region: shortNameToInfo[sourceRoute].region,
-              fullName: shortNameToInfo[sourceRoute].fullName || sourceRoute
-            });
-          }
-          
-          // Track DLCs for each route
-          if (!dlcMap[sourceRoute]) {
-            dlcMap[sourceRoute] = [];
-          }
-          
-          if (item["Required DLC"]) {
-            const requiredDLCs = item["Required DLC"].split(',').map(dlc => dlc.trim()).filter(Boolean);
-            
-            // If this route has required DLCs, mark it
-            if (requiredDLCs.length > 0) {
-              routesWithRequiredDLCs.add(sourceRoute);
-            }
-            
-            // Map required DLCs to their full info (trim whitespace)
-            const dlcInfoList = requiredDLCs.map(dlc => {
-              const trimmedDLC = dlc.trim();
-              return {
-                shortName: trimmedDLC,
-                fullName: shortNameToInfo[trimmedDLC]?.fullName,
-                region: shortNameToInfo[trimmedDLC]?.region || "Unknown",
-                inLookup: !!shortNameToInfo[trimmedDLC]?.inLookup
-              };
-            });
-            
-            dlcMap[sourceRoute].push({
-              loco: item.Loco,
-              requiredDLCs: dlcInfoList
-            });
-            
-            // Only add connections to the graph for DLCs in the lookup
-            requiredDLCs.forEach(targetRoute => {
-              if (!targetRoute || !shortNameToInfo[targetRoute]?.inLookup) return;
-              
-              // Add target route if not already added
-              if (!nodeSet.has(targetRoute)) {
-                nodeSet.add(targetRoute);
-                
-                processedNodes.push({
-                  id: targetRoute,
-                  label: targetRoute,
-                  region: shortNameToInfo[targetRoute].region,
-                  fullName: shortNameToInfo[targetRoute].fullName || targetRoute
-                });
-              }
-              
-              // Only create edges between nodes that are both in the lookup
-              if (shortNameToInfo[sourceRoute]?.inLookup && shortNameToInfo[targetRoute]?.inLookup) {
-                // Create connection key - DO NOT SORT to maintain direction
-                const connectionKey = `${sourceRoute}-${targetRoute}`;
-                
-                // Add edge if not already added
-                if (!connections[connectionKey]) {
-                  connections[connectionKey] = {
-                    id: connectionKey,
-                    source: sourceRoute,
-                    target: targetRoute,
-                    locos: [item.Loco]
-                  };
-                } else {
-                  connections[connectionKey].locos.push(item.Loco);
-                }
-              }
-            });
-          }
-        });
-        
-        // Convert connections to edges
-        Object.values(connections).forEach(conn => {
-          processedEdges.push(conn);
-        });
-        
-        // Get unique regions
-        const uniqueRegions = [...new Set(processedNodes.map(node => node.region))];
-        
-        setNodes(processedNodes);
-        setEdges(processedEdges);
-        setRegions(uniqueRegions);
-        setRouteToDLC(dlcMap);
-        setLoading(false);
-      } catch (err) {
-        console.error("Error loading data:", err);
-        setError("Failed to load data. Please try again.");
-        setLoading(false);
-      }
+    loadBuiltinData();
+  }, [loadBuiltinData]);
+  
+  // The service worker fetched newer data than it showed; offer to switch to it
+  useEffect(() => onDatasetUpdate(() => setNewDataAvailable(true)), []);
+  
+  // Note in the footer when the page is offline and showing saved data
+  useEffect(() => {
+    const updateOnline = () => setOnline(navigator.onLine);
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+    return () => {
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
     };
-    
-    loadData();
   }, []);
+  
+  // In dev, the graph is recompiled and pushed here whenever a CSV changes,
+  // unless the user is looking at imported data
+  useEffect(() => {
+    if (!import.meta.hot || importedFrom) return;
+    import.meta.hot.on('dlc-graph:update', applyGraph);
+    return () => import.meta.hot.off('dlc-graph:update', applyGraph);
+  }, [applyGraph, importedFrom]);
+  
+  // Read dropped or chosen files and show them if they pass validation
+  const handleImport = async (fileList) => {
+    // A file can fail to read, e.g. when it was moved after being picked
+    const files = await Promise.all(
+      Array.from(fileList).map(async (file) => {
+        try {
+          return { name: file.name, text: await file.text() };
+        } catch (err) {
+          return { name: file.name, error: err };
+        }
+      })
+    );
+    if (files.length === 0) return;
+    
+    const result = importFiles(files);
+    setImportResult(result);
+    setShowImport(true);
+    if (result.graph) {
+      applyGraph(result.graph);
+      setImportedFrom({ label: files.map(file => file.name).join(', '), fileNames: result.fileNames });
+    }
+  };
 
-  // Render the graph using D3
+  // Render the graph using D3. Theme and screen size changes restyle and resize
+  // the drawing in the effects below, so they don't start the layout over
   useEffect(() => {
-    if (loading || !nodes.length || !edges.length || !svgRef.current) return;
+    if (loading || viewMode !== 'graph' || !svgRef.current) return;
     
-    const width = containerRef.current.clientWidth;
-    const height = isMobile ? 400 : containerRef.current.clientHeight;
+    const { width, height } = graphSize(containerRef.current, graphAreaRef.current);
     
     // Clear previous SVG content
     d3.select(svgRef.current).selectAll("*").remove();
+    if (!visibleGraph.nodes.length) return;
+    
+    // Lay out only the visible subgraph. Nodes and edges are copied so the
+    // simulation can set positions and swap edge endpoints for node objects
+    // without touching the loaded data, which selections keep hold of
+    const loadedNodes = new Map(visibleGraph.nodes.map(node => [node.id, node]));
+    const simNodes = visibleGraph.nodes.map(node => ({ ...node }));
+    const edgeIds = new Set(visibleGraph.edges.map(edge => edge.id));
+    const widthScale = d3.scaleSqrt()
+      .domain([1, d3.max(visibleGraph.edges, edge => edge.locos.length) || 1])
+      .range([1, 6]);
+    const simEdges = visibleGraph.edges.map(edge => ({
+      ...edge,
+      width: widthScale(edge.locos.length),
+      bidirectional: edge.source !== edge.target && edgeIds.has(`${edge.target}-${edge.source}`)
+    }));
     
     // Create a zoomable container
     const svg = d3.select(svgRef.current)
@@ -233,80 +374,160 @@ const DLCNetworkVisualization = () => {
       .attr("height", height)
       .attr("viewBox", [0, 0, width, height]);
       
-    // Add zoom behavior
+    // Add zoom behavior, remembering the transform for the URL once zooming settles
+    let zoomTimer;
     const zoom = d3.zoom()
       .scaleExtent([0.1, 4])
       .on("zoom", (event) => {
         g.attr("transform", event.transform);
+        const { k, x, y } = event.transform;
+        zoomTransformRef.current = { k, x, y };
+        clearTimeout(zoomTimer);
+        zoomTimer = setTimeout(() => setZoomTransform({ k, x, y }), 250);
       });
       
     svg.call(zoom);
+    zoomRef.current = zoom;
     
     // Add a group for the graph that will be transformed by zoom
     const g = svg.append("g")
       .attr("class", "graph-container");
     
+    // Restore the previous zoom and pan
+    if (zoomTransformRef.current) {
+      svg.call(zoom.transform, toZoomTransform(zoomTransformRef.current));
+    }
+    
+    // Arrowheads for the default and highlighted edge colors. The default one
+    // is colored for the theme below
+    svg.append("defs")
+      .selectAll("marker")
+      .data([
+        ["arrow", null],
+        ["arrow-highlight", "#f80"],
+        ["arrow-path", "#22c55e"],
+        ...Object.entries(DIFF_COLORS).map(([change, color]) => [`arrow-${change}`, color])
+      ])
+      .enter()
+      .append("marker")
+      .attr("id", ([id]) => id)
+      .attr("viewBox", "0 -5 10 10")
+      .attr("refX", 10)
+      .attr("markerWidth", 8)
+      .attr("markerHeight", 8)
+      .attr("markerUnits", "userSpaceOnUse")
+      .attr("orient", "auto")
+      .append("path")
+      .attr("d", "M0,-5L10,0L0,5")
+      .attr("fill", ([, color]) => color);
+    
+    // Start from the positions of earlier layouts, then from the layout shipped
+    // with the data. Nodes already placed only settle, new ones are laid out
+    const placed = placeNodes(simNodes, { ...shippedLayout, ...layoutRef.current });
+    
     // Create simulation
-    const simulation = d3.forceSimulation(nodes)
-  .force("link", d3.forceLink(edges).id(d => d.id).distance(30))
+    const simulation = d3.forceSimulation(simNodes)
+  .force("link", d3.forceLink(simEdges).id(d => d.id).distance(30))
   .force("charge", d3.forceManyBody().strength(-100))
   .force("center", d3.forceCenter(width / 2, height / 2).strength(0.1))
   .force("collide", d3.forceCollide().radius(20))
   .force("x", d3.forceX(width / 2).strength(0.07))
   .force("y", d3.forceY(height / 2).strength(0.07));
     
-    // Draw links
-    const link = g.append("g")
+    // Draw links, with thickness scaled by the number of locos. Screen readers
+    // get the links from the node labels instead
+    const linkGroup = g.append("g")
       .attr("class", "links")
-      .selectAll("line")
-      .data(edges)
+      .attr("aria-hidden", "true")
+      .selectAll("g")
+      .data(simEdges)
       .enter()
-      .append("line")
+      .append("g");
+    
+    const link = linkGroup.append("path")
       .attr("class", "link")
-      .attr("stroke", darkMode ? "#aaa" : "#999")
+      .attr("fill", "none")
       .attr("stroke-opacity", 0.6)
-      .attr("stroke-width", 1);
+      .attr("stroke-width", d => d.width)
+      .attr("marker-end", "url(#arrow)");
+    
+    // Wider invisible path so thin edges are easy to hover
+    const linkHit = linkGroup.append("path")
+      .attr("class", "link-hit")
+      .attr("fill", "none")
+      .attr("stroke", "transparent")
+      .attr("stroke-width", 10)
+      .on("mouseenter", showEdgeTooltip)
+      .on("mousemove", moveEdgeTooltip)
+      .on("mouseleave", hideEdgeTooltip);
+    
+    // Draw nodes, focusable for keyboard users. Their labels are set in the
+    // language effect below
+    const connected = connectedRoutes(simEdges);
     
-    // Draw nodes
     const node = g.append("g")
       .attr("class", "nodes")
       .selectAll("g")
-      .data(nodes)
+      .data(simNodes)
       .enter()
       .append("g")
       .attr("class", "node")
+      .attr("tabindex", 0)
+      .attr("role", "button")
       .call(d3.drag()
         .on("start", dragstarted)
         .on("drag", dragged)
         .on("end", dragended))
-      .on("click", handleNodeClick);
+      .on("click", handleNodeClick)
+      .on("dblclick", releaseNode)
+      .on("keydown", handleNodeKey);
     
     // Circle for the nodes
     node.append("circle")
-      .attr("r", 12)  // Smaller node radius
-      .attr("fill", d => regionColors[d.region] || "#ccc")
-      .attr("stroke", darkMode ? "#fff" : "#333")
-      .attr("stroke-width", 1.5);
+      .attr("r", NODE_RADIUS)  // Smaller node radius
+      .attr("stroke-width", 1.5)
+      .attr("stroke-dasharray", d => d.unknown ? "3 2" : null);  // Missing from route_lookup.csv
     
     // Labels for the nodes
     node.append("text")
       .attr("dy", "0.35em")
       .attr("text-anchor", "middle")
-      .attr("fill", darkMode ? "#fff" : "#000")
       .style("font-size", "10px")
       .style("font-weight", "bold")
       .text(d => d.label);
     
     // Update positions during simulation
-    simulation.on("tick", () => {
-      link
-        .attr("x1", d => d.source.x)
-        .attr("y1", d => d.source.y)
-        .attr("x2", d => d.target.x)
-        .attr("y2", d => d.target.y);
+    const ticked = () => {
+      link.attr("d", linkPath);
+      linkHit.attr("d", linkPath);
       
       node.attr("transform", d => `translate(${d.x},${d.y})`);
-    });
+    };
+    
+    // Remember where the nodes are for the next layout and the next visit
+    const rememberLayout = () => {
+      layoutRef.current = { ...layoutRef.current, ...layoutPositions(simNodes) };
+      saveLayout(layoutRef.current);
+    };
+    
+    simulation
+      .on("tick", ticked)
+      .on("end", rememberLayout);
+    
+    if (placed === simNodes.length) {
+      simulation.stop();
+      ticked();
+    } else if (placed > 0) {
+      simulation.alpha(0.3);
+    }
+    
+    // Forget the remembered and pinned positions and lay out afresh
+    resetLayoutRef.current = () => {
+      layoutRef.current = {};
+      saveLayout({});
+      placeNodes(simNodes, shippedLayout);
+      simulation.alpha(1).restart();
+    };
     
     // Double click to reset zoom
     svg.on("dblclick.zoom", () => {
@@ -316,99 +537,539 @@ const DLCNetworkVisualization = () => {
       );
     });
     
-    // Drag functions
+    // Drag functions. A dragged node stays pinned where it is dropped
+    let wasPinned = false;
+    let moved = false;
+    
     function dragstarted(event, d) {
       if (!event.active) simulation.alphaTarget(0.3).restart();
+      wasPinned = d.fx != null;
+      moved = false;
       d.fx = d.x;
       d.fy = d.y;
     }
     
     function dragged(event, d) {
+      moved = true;
       d.fx = event.x;
       d.fy = event.y;
     }
     
     function dragended(event, d) {
       if (!event.active) simulation.alphaTarget(0);
+      // A plain click doesn't pin the node
+      if (!moved && !wasPinned) {
+        d.fx = null;
+        d.fy = null;
+      }
+      rememberLayout();
+    }
+    
+    // Double-click a pinned node to let the layout move it again
+    function releaseNode(event, d) {
+      event.stopPropagation();
+      if (d.fx == null) return;
       d.fx = null;
       d.fy = null;
+      simulation.alpha(0.3).restart();
+      rememberLayout();
     }
     
-    // Find all required DLCs for the selected node
-    function findAllRequiredDLCs(routeId) {
-      if (!routeToDLC[routeId]) return [];
-      
-      // Extract all required DLCs from all locomotives for this route
-      const allRequiredDLCs = new Set();
-      routeToDLC[routeId].forEach(item => {
-        item.requiredDLCs.forEach(dlc => {
-          allRequiredDLCs.add(dlc.shortName.trim());
-        });
-      });
-      
-      return Array.from(allRequiredDLCs);
+    // Edge tooltip listing the locos behind the link
+    function showEdgeTooltip(event, d) {
+      const tooltip = d3.select(tooltipRef.current);
+      tooltip.selectAll("*").remove();
+      tooltip.append("div")
+        .attr("class", "font-semibold")
+        .text(`${d.target.id} → ${d.source.id}: ${translatorRef.current.tn(d.locos.length, '{count} loco', '{count} locos')}`);
+      tooltip.append("ul")
+        .selectAll("li")
+        .data(d.locos)
+        .enter()
+        .append("li")
+        .text(loco => loco);
+      tooltip.classed("hidden", false);
+      moveEdgeTooltip(event);
     }
     
-    // Handle node click
+    function moveEdgeTooltip(event) {
+      const [x, y] = d3.pointer(event, tooltipRef.current.parentNode);
+      d3.select(tooltipRef.current)
+        .style("left", `${x + 12}px`)
+        .style("top", `${y + 12}px`);
+    }
+    
+    function hideEdgeTooltip() {
+      d3.select(tooltipRef.current).classed("hidden", true);
+    }
+    
+    // Handle node click. Shift, Ctrl or Cmd + click compares with the selected route
     function handleNodeClick(event, d) {
-      // Find all required DLCs for this route
-      const requiredDLCs = findAllRequiredDLCs(d.id);
-      
-      // Highlight the clicked node and its required DLCs
-      node.select("circle")
-        .attr("stroke-width", node => {
-          if (node.id === d.id) return 3;
-          if (requiredDLCs.includes(node.id)) return 2;
-          return 1.5;
-        })
-        .attr("stroke", node => {
-          if (node.id === d.id) return "#ff0";
-          if (requiredDLCs.includes(node.id)) return "#f80";
-          return darkMode ? "#fff" : "#333";
-        });
+      const selected = selectedNodeRef.current;
+      if ((event.shiftKey || event.ctrlKey || event.metaKey) && selected && selected.id !== d.id) {
+        setCompareNodeId(d.id);
+        return;
+      }
       
-      // Highlight edges to required DLCs
-      link
-        .attr("stroke", conn => {
-          if (conn.source.id === d.id && requiredDLCs.includes(conn.target.id)) {
-            return "#f80";
-          }
-          return darkMode ? "#aaa" : "#999";
-        })
-        .attr("stroke-width", conn => {
-          if (conn.source.id === d.id && requiredDLCs.includes(conn.target.id)) {
-            return 2;
-          }
-          return 1;
-        })
-        .attr("stroke-opacity", conn => {
-          if (conn.source.id === d.id && requiredDLCs.includes(conn.target.id)) {
-            return 1;
-          }
-          return 0.6;
-        });
+      // Find all required DLCs for this route
+      const requiredDLCs = findAllRequiredDLCs(routeToDLC, d.id);
       
-      setSelectedNode(d);
+      setSelectedNode(loadedNodes.get(d.id));
       setSelectedNodeConnections(requiredDLCs);
+      setSelectedLocoId(null);
+      setCompareNodeId(null);
+    }
+    
+    // Enter or Space selects like a click, arrow keys move to the connected
+    // route in that direction
+    function handleNodeKey(event, d) {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        handleNodeClick(event, d);
+      } else if (isArrowKey(event.key)) {
+        event.preventDefault();
+        const candidates = simNodes.filter(other => connected[d.id] && connected[d.id].has(other.id));
+        const next = nodeInDirection(d, candidates, event.key);
+        if (next) node.filter(other => other === next).node().focus();
+      }
     }
     
     // Cleanup
     return () => {
       simulation.stop();
+      clearTimeout(zoomTimer);
+      rememberLayout();
+      resetLayoutRef.current = null;
     };
-  }, [nodes, edges, darkMode, isMobile, loading, containerRef, routeToDLC, regionColors]);
+  }, [visibleGraph, viewMode, loading, containerRef, routeToDLC, shippedLayout]);
+
+  // Color the default styling for the theme and palette. The highlight effects
+  // below run after this one and recolor whatever they highlight
+  useEffect(() => {
+    if (loading || viewMode !== 'graph' || !svgRef.current) return;
+    
+    const svg = d3.select(svgRef.current);
+    svg.select("#arrow path").attr("fill", darkMode ? "#aaa" : "#999");
+    svg.selectAll(".node circle")
+      .attr("fill", d => regionColors[d.region] || FALLBACK_COLOR)
+      .attr("stroke", darkMode ? "#fff" : "#333");
+    svg.selectAll(".node text").attr("fill", darkMode ? "#fff" : "#000");
+    svg.selectAll(".link").attr("stroke", darkMode ? "#aaa" : "#999");
+  }, [darkMode, regionColors, visibleGraph, viewMode, loading]);
+
+  // Label the nodes for screen readers in the chosen language
+  useEffect(() => {
+    if (loading || viewMode !== 'graph' || !svgRef.current) return;
+    
+    const links = visibleGraph.edges.filter(edge => endpointId(edge.source) !== endpointId(edge.target));
+    const borrowCount = id => links.filter(edge => endpointId(edge.source) === id).length;
+    const lendCount = id => links.filter(edge => endpointId(edge.target) === id).length;
+    
+    d3.select(svgRef.current).selectAll(".node")
+      .attr("aria-label", d => t('{name} ({id}), {region}. {borrows}, {lends}', {
+        name: routeName(d.id, d.fullName || d.label),
+        id: d.id,
+        region: regionName(d.region),
+        borrows: tn(borrowCount(d.id), 'Borrows locos from {count} DLC', 'Borrows locos from {count} DLCs'),
+        lends: tn(lendCount(d.id), 'lends locos to {count} route', 'lends locos to {count} routes')
+      }));
+  }, [t, tn, routeName, regionName, visibleGraph, viewMode, loading]);
+
+  // Fit the drawing to the graph area when crossing the mobile breakpoint,
+  // keeping the nodes where they are
+  useEffect(() => {
+    if (loading || viewMode !== 'graph' || !svgRef.current) return;
+    
+    const { width, height } = graphSize(containerRef.current, graphAreaRef.current);
+    d3.select(svgRef.current)
+      .attr("width", width)
+      .attr("height", height)
+      .attr("viewBox", [0, 0, width, height]);
+  }, [isMobile, viewMode, loading]);
+
+  // Incoming edges of the selected node: the routes that can use its trains,
+  // leaving out the route itself
+  const lendsTo = useMemo(() => {
+    if (!selectedNode) return [];
+    return edges
+      .filter(edge => endpointId(edge.target) === selectedNode.id && endpointId(edge.source) !== endpointId(edge.target))
+      .map(edge => ({ ...edge, source: nodes.find(node => node.id === endpointId(edge.source)) }));
+  }, [nodes, edges, selectedNode]);
+
+  // Restore the selection from the URL once the graph has loaded
+  useEffect(() => {
+    if (loading || urlRestored) return;
+    
+    const selection = selectionFromUrl(initialUrlState, nodes, routeToDLC);
+    setSelectedNode(selection.node);
+    setSelectedNodeConnections(selection.connections);
+    setSelectedLocoId(selection.locoId);
+    setCompareNodeId(selection.compareId);
+    lastSelectionRef.current = selectionKey(selection.node?.id, selection.locoId, selection.compareId);
+    setUrlRestored(true);
+  }, [loading, urlRestored, initialUrlState, nodes, routeToDLC]);
+
+  // Browser back/forward steps through the selection history
+  useEffect(() => {
+    if (loading) return;
+    
+    const handlePopState = () => {
+      const urlState = parseUrlState(window.location.hash);
+      const selection = selectionFromUrl(urlState, nodes, routeToDLC);
+      
+      setSelectedNode(selection.node);
+      setSelectedNodeConnections(selection.connections);
+      setSelectedLocoId(selection.locoId);
+      setCompareNodeId(selection.compareId);
+      // The selection comes from history, so the hash sync must not push it again
+      lastSelectionRef.current = selectionKey(selection.node?.id, selection.locoId, selection.compareId);
+      setLinkDirection(urlState.direction);
+      setViewMode(urlState.view);
+      setDarkMode(urlState.dark);
+      setPalette(urlState.palette);
+      if (isLanguage(urlState.language)) setLanguage(urlState.language);
+      setLibraryMode(urlState.library);
+      if (urlState.owned) {
+        const saved = loadOwnedDLCs();
+        setOwnedDLCs(urlState.owned);
+        setSharedLibrary(!isSameLibrary(urlState.owned, saved));
+      }
+      setZoomTransform(urlState.zoom);
+      setTimelineDate(urlState.date);
+      // Keep the same filters object when nothing changed, so the layout isn't rebuilt
+      setFilters(current => JSON.stringify(current) === JSON.stringify(urlState.filters) ? current : urlState.filters);
+      
+      zoomTransformRef.current = urlState.zoom;
+      if (zoomRef.current && svgRef.current) {
+        d3.select(svgRef.current).call(zoomRef.current.transform, toZoomTransform(urlState.zoom));
+      }
+    };
+    
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [loading, nodes, routeToDLC]);
+
+  // Mirror the view in the URL hash. Selection changes add a history entry,
+  // everything else replaces the current one
+  useEffect(() => {
+    if (!urlRestored) return;
+    
+    const hash = buildUrlHash({
+      node: selectedNode?.id,
+      compare: compareNode?.id,
+      loco: selectedLocoId,
+      direction: linkDirection,
+      view: viewMode,
+      zoom: zoomTransform,
+      dark: darkMode,
+      palette,
+      language,
+      library: libraryMode,
+      owned: ownedDLCs,
+      filters,
+      date: activeTimelineDate
+    });
+    
+    const selection = selectionKey(selectedNode?.id, selectedLocoId, compareNode?.id);
+    const selectionChanged = selection !== lastSelectionRef.current;
+    lastSelectionRef.current = selection;
+    
+    if (hash === window.location.hash) return;
+    
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    if (selectionChanged) {
+      window.history.pushState(null, '', url);
+    } else {
+      window.history.replaceState(null, '', url);
+    }
+  }, [urlRestored, selectedNode, compareNode, selectedLocoId, linkDirection, viewMode, zoomTransform, darkMode, palette, language, libraryMode, ownedDLCs, filters, activeTimelineDate]);
+
+  // Select a route from outside the graph, as if its node had been clicked
+  const selectRoute = useCallback((routeId) => {
+    const node = nodes.find(n => n.id === routeId);
+    if (!node) return;
+    setSelectedNode(node);
+    setSelectedNodeConnections(findAllRequiredDLCs(routeToDLC, routeId));
+    setSelectedLocoId(null);
+    setCompareNodeId(null);
+  }, [nodes, routeToDLC]);
+
+  // Every loco grouped under one normalized identity
+  const locoIndex = useMemo(() => buildLocoIndex(routeToDLC), [routeToDLC]);
+  const selectedLoco = selectedLocoId ? locoIndex[selectedLocoId] : null;
+
+  // Highlight every route where the selected loco is playable
+  useEffect(() => {
+    if (loading || !svgRef.current || !selectedLoco || highlightedPath) return;
+    
+    const svg = d3.select(svgRef.current);
+    const isPlayable = id => !!selectedLoco.routes[id];
+    
+    svg.selectAll(".node circle")
+      .attr("stroke-width", node => isPlayable(node.id) ? 3 : 1.5)
+      .attr("stroke", node => isPlayable(node.id) ? "#0ff" : (darkMode ? "#fff" : "#333"));
+    
+    svg.selectAll(".link")
+      .attr("stroke", darkMode ? "#aaa" : "#999")
+      .attr("stroke-width", conn => conn.width)
+      .attr("stroke-opacity", 0.6)
+      .attr("marker-end", "url(#arrow)");
+  }, [selectedLoco, highlightedPath, visibleGraph, viewMode, darkMode, loading]);
+
+  // Highlight the selected node and the routes it borrows from or lends to
+  useEffect(() => {
+    if (loading || !svgRef.current || !selectedNode || compareNode || highlightedPath) return;
+    
+    const svg = d3.select(svgRef.current);
+    const borrowing = linkDirection === 'borrows';
+    const related = borrowing
+      ? selectedNodeConnections
+      : lendsTo.map(edge => endpointId(edge.source));
+    const isHighlighted = conn => borrowing
+      ? endpointId(conn.source) === selectedNode.id && related.includes(endpointId(conn.target))
+      : endpointId(conn.target) === selectedNode.id;
+    
+    svg.selectAll(".node circle")
+      .attr("stroke-width", node => {
+        if (node.id === selectedNode.id) return 3;
+        if (related.includes(node.id)) return 2;
+        return 1.5;
+      })
+      .attr("stroke", node => {
+        if (node.id === selectedNode.id) return "#ff0";
+        if (related.includes(node.id)) return "#f80";
+        return darkMode ? "#fff" : "#333";
+      });
+    
+    svg.selectAll(".link")
+      .attr("stroke", conn => isHighlighted(conn) ? "#f80" : (darkMode ? "#aaa" : "#999"))
+      .attr("stroke-width", conn => isHighlighted(conn) ? conn.width + 1 : conn.width)
+      .attr("stroke-opacity", conn => isHighlighted(conn) ? 1 : 0.6)
+      .attr("marker-end", conn => isHighlighted(conn) ? "url(#arrow-highlight)" : "url(#arrow)");
+  }, [selectedNode, compareNode, selectedNodeConnections, lendsTo, linkDirection, highlightedPath, visibleGraph, viewMode, darkMode, loading]);
+
+  // Highlight the compared pair, the links between them and the DLCs both borrow from
+  useEffect(() => {
+    if (loading || !svgRef.current || !compareNode || highlightedPath) return;
+    
+    const svg = d3.select(svgRef.current);
+    const pair = [selectedNode.id, compareNode.id];
+    const common = comparison.commonDLCs.map(dlc => dlc.shortName.trim());
+    const isHighlighted = conn => pair.includes(endpointId(conn.source))
+      && (pair.includes(endpointId(conn.target)) || common.includes(endpointId(conn.target)));
+    
+    svg.selectAll(".node circle")
+      .attr("stroke-width", node => {
+        if (pair.includes(node.id)) return 3;
+        if (common.includes(node.id)) return 2;
+        return 1.5;
+      })
+      .attr("stroke", node => {
+        if (pair.includes(node.id)) return "#ff0";
+        if (common.includes(node.id)) return "#f80";
+        return darkMode ? "#fff" : "#333";
+      });
+    
+    svg.selectAll(".link")
+      .attr("stroke", conn => isHighlighted(conn) ? "#f80" : (darkMode ? "#aaa" : "#999"))
+      .attr("stroke-width", conn => isHighlighted(conn) ? conn.width + 1 : conn.width)
+      .attr("stroke-opacity", conn => isHighlighted(conn) ? 1 : 0.3)
+      .attr("marker-end", conn => isHighlighted(conn) ? "url(#arrow-highlight)" : "url(#arrow)");
+  }, [selectedNode, compareNode, comparison, highlightedPath, visibleGraph, viewMode, darkMode, loading]);
+
+  // Highlight the chain chosen in the path finder, which takes precedence over the selection
+  useEffect(() => {
+    if (loading || !svgRef.current) return;
+    
+    const svg = d3.select(svgRef.current);
+    
+    // With nothing highlighted at all, put the default styling back
+    if (!highlightedPath) {
+      if (selectedNode || selectedLoco) return;
+      svg.selectAll(".node circle")
+        .attr("stroke-width", 1.5)
+        .attr("stroke", darkMode ? "#fff" : "#333");
+      svg.selectAll(".link")
+        .attr("stroke", darkMode ? "#aaa" : "#999")
+        .attr("stroke-width", conn => conn.width)
+        .attr("stroke-opacity", 0.6)
+        .attr("marker-end", "url(#arrow)");
+      return;
+    }
+    
+    const routeIds = pathRoutes(highlightedPath);
+    const edgeIds = highlightedPath.map(hop => hop.edgeId);
+    
+    svg.selectAll(".node circle")
+      .attr("stroke-width", node => routeIds.includes(node.id) ? 3 : 1.5)
+      .attr("stroke", node => {
+        if (node.id === routeIds[0] || node.id === routeIds[routeIds.length - 1]) return "#ff0";
+        if (routeIds.includes(node.id)) return "#22c55e";
+        return darkMode ? "#fff" : "#333";
+      });
+    
+    svg.selectAll(".link")
+      .attr("stroke", conn => edgeIds.includes(conn.id) ? "#22c55e" : (darkMode ? "#aaa" : "#999"))
+      .attr("stroke-width", conn => edgeIds.includes(conn.id) ? conn.width + 2 : conn.width)
+      .attr("stroke-opacity", conn => edgeIds.includes(conn.id) ? 1 : 0.3)
+      .attr("marker-end", conn => edgeIds.includes(conn.id) ? "url(#arrow-path)" : "url(#arrow)");
+  }, [highlightedPath, selectedNode, selectedLoco, visibleGraph, viewMode, darkMode, loading]);
+
+  // Color what changed between the compared versions of the data, unless
+  // something is selected or a path is highlighted
+  useEffect(() => {
+    if (loading || !svgRef.current || !diffGraph || selectedNode || selectedLoco || highlightedPath) return;
+    
+    const svg = d3.select(svgRef.current);
+    
+    svg.selectAll(".node circle")
+      .attr("stroke-width", node => node.change ? 3 : 1.5)
+      .attr("stroke", node => DIFF_COLORS[node.change] || (darkMode ? "#fff" : "#333"));
+    
+    svg.selectAll(".link")
+      .attr("stroke", conn => DIFF_COLORS[conn.change] || (darkMode ? "#aaa" : "#999"))
+      .attr("stroke-width", conn => conn.change ? conn.width + 1 : conn.width)
+      .attr("stroke-opacity", conn => conn.change ? 1 : 0.3)
+      .attr("marker-end", conn => conn.change ? `url(#arrow-${conn.change})` : "url(#arrow)");
+  }, [diffGraph, selectedNode, selectedLoco, highlightedPath, visibleGraph, viewMode, darkMode, loading]);
+
+  // Dim routes and layering edges that are not unlocked by the owned DLCs
+  useEffect(() => {
+    if (loading || !svgRef.current) return;
+    
+    const svg = d3.select(svgRef.current);
+    const isOwned = id => !libraryMode || ownedSet.has(id);
+    
+    svg.selectAll(".node circle")
+      .attr("fill-opacity", d => isOwned(d.id) ? 1 : 0.3);
+    
+    svg.selectAll(".node text")
+      .attr("fill-opacity", d => isOwned(d.id) ? 1 : 0.5);
+    
+    // An edge is unlocked when both the route and the DLC it borrows from are owned
+    svg.selectAll(".link")
+      .attr("stroke-dasharray", d => isOwned(d.source.id) && isOwned(d.target.id) ? null : "4 3");
+  }, [libraryMode, ownedSet, visibleGraph, viewMode, loading]);
 
   // Toggle dark mode
   const toggleDarkMode = () => {
     setDarkMode(!darkMode);
   };
 
+  // Routes the selected one can be compared with, by short name
+  const compareOptions = useMemo(() => (
+    selectedNode
+      ? nodes.filter(node => node.id !== selectedNode.id).sort((a, b) => a.id.localeCompare(b.id))
+      : []
+  ), [nodes, selectedNode]);
+
+  // Make the compared route the selected one and the other way round
+  const swapComparedRoutes = () => {
+    const previous = selectedNode;
+    setSelectedNode(compareNode);
+    setSelectedNodeConnections(findAllRequiredDLCs(routeToDLC, compareNode.id));
+    setCompareNodeId(previous.id);
+  };
+
+  // Select a loco and show everywhere it can be driven
+  const selectLoco = (locoId) => {
+    setSelectedLocoId(locoId);
+    setSelectedNode(null);
+    setSelectedNodeConnections([]);
+    setCompareNodeId(null);
+  };
+
+  // Toggle library mode
+  const toggleLibraryMode = () => {
+    setLibraryMode(!libraryMode);
+  };
+
+  // Editing the owned DLCs makes them the user's own saved library
+  const updateOwnedDLCs = (owned) => {
+    setSharedLibrary(false);
+    setOwnedDLCs(owned);
+  };
+
+  // Drop a library opened from a shared link and go back to the saved one
+  const restoreSavedLibrary = () => {
+    setSharedLibrary(false);
+    setOwnedDLCs(loadOwnedDLCs());
+  };
+
+  // Toggle path finder
+  const togglePathFinder = () => {
+    setShowPathFinder(!showPathFinder);
+  };
+
+  // Toggle network statistics
+  const toggleAnalytics = () => {
+    setShowAnalytics(!showAnalytics);
+  };
+
+  // Toggle data quality report
+  const toggleDataQuality = () => {
+    setShowDataQuality(!showDataQuality);
+  };
+
+  // Save whichever diagram is showing, as it looks on screen
+  const exportDiagram = async (format) => {
+    const svgElement = graphAreaRef.current.querySelector('svg');
+    if (!svgElement) return;
+    
+    const svg = serializeSvg(svgElement, darkMode ? '#111827' : '#f9fafb');
+    const fileName = `tsw-layers-${viewMode}`;
+    if (format === 'svg') {
+      downloadFile(svg.text, `${fileName}.svg`, 'image/svg+xml');
+    } else {
+      try {
+        downloadFile(await svgToPng(svg), `${fileName}.png`);
+      } catch (err) {
+        console.error("Error exporting PNG:", err);
+      }
+    }
+  };
+  
+  // Save the processed graph, as loaded or imported
+  const exportGraph = () => {
+    downloadFile(graphToJSON({ nodes, edges, regions, routeToDLC, updated: dataUpdated }), 'tsw-layers-graph.json', 'application/json');
+  };
+  
+  // Save the node positions, to ship them with the data as public/layout.json
+  const exportLayout = () => {
+    downloadFile(`${JSON.stringify(layoutRef.current, null, 2)}\n`, 'layout.json', 'application/json');
+  };
+  
+  // Save the selected route's loco table
+  const exportRouteTable = (format) => {
+    const table = routeTable(routeToDLC[selectedNode.id]);
+    if (format === 'csv') {
+      downloadFile(tableToCSV(table), `${selectedNode.id}-locos.csv`, 'text/csv');
+    } else {
+      downloadFile(tableToMarkdown(table), `${selectedNode.id}-locos.md`, 'text/markdown');
+    }
+  };
+
+  // Open the timeline at the latest release, or close it to show every route
+  const toggleTimeline = () => {
+    setTimelineDate(activeTimelineDate ? null : releaseDates(nodes).pop() || null);
+  };
+
+  // Toggle the changelog
+  const toggleChangelog = () => {
+    setShowChangelog(!showChangelog);
+  };
+
+  // Toggle the CSV import panel
+  const toggleImport = () => {
+    setShowImport(!showImport);
+  };
+
   // Render loading state
   if (loading) {
     return (
       <div className={`flex items-center justify-center h-screen ${darkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-900'}`}>
         <div className="text-center">
-          <div className="text-3xl font-bold mb-4">Loading DLC Network Data...</div>
+          <div className="text-3xl font-bold mb-4">{t('Loading DLC Network Data...')}</div>
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto"></div>
         </div>
       </div>
@@ -418,136 +1079,504 @@ const DLCNetworkVisualization = () => {
   // Render error state
   if (error) {
     return (
-      <div className={`flex items-center justify-center h-screen ${darkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-900'}`}>
-        <div className="text-center">
-          <div className="text-3xl font-bold mb-4">Error</div>
-          <div className="text-red-500">{error}</div>
+      <TranslationContext.Provider value={translator}>
+        <div className={`flex items-center justify-center h-screen ${darkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-900'}`}>
+          <div className="text-center max-w-xl p-4">
+            <div className="text-3xl font-bold mb-4">{t('Error')}</div>
+            <DataLoadError error={error} onRetry={loadBuiltinData} darkMode={darkMode} />
+          </div>
         </div>
-      </div>
+      </TranslationContext.Provider>
     );
   }
 
   return (
-    <div className={`flex flex-col h-screen ${darkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-900'}`}>
-      {/* Header */}
-      <header className={`p-4 ${darkMode ? 'bg-gray-800' : 'bg-gray-100'} shadow`}>
-        <div className="container mx-auto flex justify-between items-center">
-          <h1 className="text-2xl font-bold">Train Sim World Route Layering</h1>
-          <button 
-            onClick={toggleDarkMode}
-            className={`px-4 py-2 rounded-md ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
-          >
-            {darkMode ? '☀️ Light Mode' : '🌙 Dark Mode'}
-          </button>
-        </div>
-      </header>
-      
-      {/* Legend */}
-      <div className={`p-2 ${darkMode ? 'bg-gray-800' : 'bg-gray-100'}`}>
-        <div className="container mx-auto">
-          <div className="flex flex-wrap gap-2 items-center text-sm">
-            <span className="font-semibold">Regions:</span>
-            {regions.map(region => (
-              <div key={region} className="flex items-center">
-                <div 
-                  className="w-4 h-4 rounded-full mr-1" 
-                  style={{ backgroundColor: regionColors[region] || '#ccc' }}
-                ></div>
-                <span>{region}</span>
-              </div>
-            ))}
-          </div>
-        </div>
-      </div>
-      
-      {/* Main content */}
+    <TranslationContext.Provider value={translator}>
       <div 
-        className={`flex ${isMobile ? 'flex-col' : 'flex-row'} flex-1 overflow-hidden`}
-        ref={containerRef}
+        className={`flex flex-col h-screen ${darkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-900'}`}
+        onDragOver={event => event.preventDefault()}
+        onDrop={event => {
+          event.preventDefault();
+          handleImport(event.dataTransfer.files);
+        }}
       >
-        {/* Graph area */}
-        <div className={`${isMobile ? 'h-96' : 'flex-1'} overflow-hidden ${darkMode ? 'bg-gray-900' : 'bg-gray-50'}`}>
-          <svg ref={svgRef} className="w-full h-full"></svg>
-        </div>
+        {/* Header */}
+        <header className={`p-4 ${darkMode ? 'bg-gray-800' : 'bg-gray-100'} shadow`}>
+          <div className="container mx-auto flex flex-wrap gap-2 justify-between items-center">
+            <h1 className="text-2xl font-bold">{t('Train Sim World Route Layering')}</h1>
+            <div className="flex flex-wrap gap-2 items-center">
+              <SearchBox 
+                locoIndex={locoIndex}
+                nodes={nodes}
+                onSelectLoco={selectLoco}
+                onSelectRoute={selectRoute}
+                darkMode={darkMode}
+              />
+              {dataQuality && countIssues(dataQuality) > 0 && (
+                <button 
+                  onClick={toggleDataQuality}
+                  className={`px-4 py-2 rounded-md ${showDataQuality ? 'bg-amber-500 text-black hover:bg-amber-400' : (darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300')}`}
+                  title={t('Problems found in the CSV data')}
+                >
+                  ⚠️ {countIssues(dataQuality)}
+                </button>
+              )}
+              <button 
+                onClick={toggleAnalytics}
+                className={`px-4 py-2 rounded-md ${showAnalytics ? 'bg-blue-600 text-white hover:bg-blue-500' : (darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300')}`}
+              >
+                📊 {t('Stats')}
+              </button>
+              <button 
+                onClick={togglePathFinder}
+                className={`px-4 py-2 rounded-md ${showPathFinder ? 'bg-green-600 text-white hover:bg-green-500' : (darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300')}`}
+              >
+                🧭 {t('Path Finder')}
+              </button>
+              <button 
+                onClick={toggleTimeline}
+                disabled={!hasTimeline(nodes)}
+                className={`px-4 py-2 rounded-md disabled:opacity-50 ${activeTimelineDate ? 'bg-blue-600 text-white hover:bg-blue-500' : (darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300')}`}
+                title={t(!hasTimeline(nodes) ? 'The data needs release dates for at least two releases' : 'Show the network as it grew release by release')}
+              >
+                🕒 {t('Timeline')}
+              </button>
+              <button 
+                onClick={toggleChangelog}
+                className={`px-4 py-2 rounded-md ${showChangelog ? 'bg-blue-600 text-white hover:bg-blue-500' : (darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300')}`}
+                title={t('What changed between versions of the data')}
+              >
+                📜 {t('Changelog')}
+              </button>
+              <button 
+                onClick={toggleImport}
+                className={`px-4 py-2 rounded-md ${showImport ? 'bg-blue-600 text-white hover:bg-blue-500' : (darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300')}`}
+                title={t('Load your own CSV files')}
+              >
+                📂 {t('Import')}
+              </button>
+              <button 
+                onClick={toggleLibraryMode}
+                className={`px-4 py-2 rounded-md ${libraryMode ? 'bg-blue-600 text-white hover:bg-blue-500' : (darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300')}`}
+              >
+                📚 {t('My Library')}
+              </button>
+              <button 
+                onClick={() => setPalette(palette === 'colorblind' ? 'default' : 'colorblind')}
+                className={`px-4 py-2 rounded-md ${palette === 'colorblind' ? 'bg-blue-600 text-white hover:bg-blue-500' : (darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300')}`}
+                aria-pressed={palette === 'colorblind'}
+                title={t('Region colors that stay distinguishable with color blindness')}
+              >
+                🎨 {t('Colorblind-safe')}
+              </button>
+              <button 
+                onClick={toggleDarkMode}
+                className={`px-4 py-2 rounded-md ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+              >
+                {darkMode ? `☀️ ${t('Light Mode')}` : `🌙 ${t('Dark Mode')}`}
+              </button>
+              <label className="flex items-center gap-1">
+                <span aria-hidden="true">🌐</span>
+                <select 
+                  value={language}
+                  onChange={event => setLanguage(event.target.value)}
+                  className={`px-2 py-2 rounded-md ${darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}
+                  aria-label={t('Language')}
+                >
+                  {Object.entries(LANGUAGES).map(([code, name]) => (
+                    <option key={code} value={code}>{name}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </div>
+        </header>
+        
+        {/* Newer data fetched in the background */}
+        {newDataAvailable && !importedFrom && (
+          <div className="p-2 text-sm bg-blue-600 text-white" role="status">
+            <div className="container mx-auto flex flex-wrap gap-2 items-center">
+              <span>{t('A newer version of the data is available.')}</span>
+              <button className="px-2 py-1 rounded-md bg-white text-blue-700 hover:bg-blue-50" onClick={loadBuiltinData}>
+                {t('Refresh')}
+              </button>
+              <button className="ml-auto px-2" onClick={() => setNewDataAvailable(false)} aria-label={t('Dismiss')}>
+                ✕
+              </button>
+            </div>
+          </div>
+        )}
+        
+        {/* Legend and filters */}
+        <RegionLegend 
+          regions={regions}
+          regionColors={regionColors}
+          filters={filters}
+          onFiltersChange={setFilters}
+          darkMode={darkMode}
+          showUnknownKey={nodes.some(node => node.unknown)}
+          visibleCount={visibleGraph.nodes.length}
+          totalCount={nodes.length}
+          tractionTypes={locoDetails.tractionTypes}
+          hasPartial={locoDetails.hasPartial}
+          bundles={bundles}
+        />
+        
+        {/* Release timeline */}
+        {activeTimelineDate && (
+          <TimelineBar 
+            nodes={nodes}
+            edges={edges}
+            date={activeTimelineDate}
+            onDateChange={setTimelineDate}
+            darkMode={darkMode}
+            onSelectRoute={selectRoute}
+          />
+        )}
         
-        {/* Info panel */}
-        <div className={`${isMobile ? 'h-auto' : 'w-1/3'} overflow-y-auto p-4 ${darkMode ? 'bg-gray-800' : 'bg-white'} border-l ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
-          {selectedNode ? (
-            <div>
-              <h2 className="text-xl font-bold mb-2">{selectedNode.fullName || selectedNode.label}</h2>
-              <div className="mb-3">
-                <span className="font-semibold">Region:</span> {selectedNode.region}
+        {/* Owned DLC checklist */}
+        {libraryMode && (
+          <LibraryPanel 
+            nodes={nodes}
+            ownedDLCs={ownedDLCs}
+            onChange={updateOwnedDLCs}
+            shared={sharedLibrary}
+            onUseSaved={restoreSavedLibrary}
+            bundles={bundles}
+            darkMode={darkMode}
+            regionColors={regionColors}
+          />
+        )}
+        
+        {/* Main content */}
+        <div 
+          className={`flex ${isMobile ? 'flex-col' : 'flex-row'} flex-1 overflow-hidden`}
+          ref={containerRef}
+        >
+          {/* Graph area */}
+          <div 
+            ref={graphAreaRef}
+            className={`${isMobile ? 'h-96' : 'flex-1'} relative overflow-hidden ${darkMode ? 'bg-gray-900' : 'bg-gray-50'}`}
+          >
+            {/* Export buttons */}
+            <div className="absolute top-2 left-2 z-30 flex text-xs shadow">
+              {[['svg', 'SVG', () => exportDiagram('svg')], ['png', 'PNG', () => exportDiagram('png')], ['json', 'JSON', exportGraph]]
+                .filter(([format]) => format === 'json' || viewMode === 'graph' || viewMode === 'chord')
+                .map(([format, label, onExport]) => (
+                  <button 
+                    key={format}
+                    onClick={onExport}
+                    className={`px-3 py-1 first:rounded-l-md last:rounded-r-md ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+                    title={format === 'json' ? t('Download the processed graph') : t('Download this view as {format}', { format: label })}
+                  >
+                    ⬇ {label}
+                  </button>
+                ))}
+            </div>
+            
+            {/* Layout controls */}
+            {viewMode === 'graph' && (
+              <div className="absolute bottom-2 left-2 z-30 flex text-xs shadow">
+                <button 
+                  onClick={exportLayout}
+                  className={`px-3 py-1 rounded-l-md ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+                  title={t('Download the node positions as layout.json')}
+                >
+                  ⬇ {t('Layout')}
+                </button>
+                <button 
+                  onClick={() => resetLayoutRef.current && resetLayoutRef.current()}
+                  className={`px-3 py-1 rounded-r-md ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+                  title={t('Drag a route to pin it and double-click it to let it go. This forgets all pinned and remembered positions')}
+                >
+                  ↺ {t('Reset layout')}
+                </button>
               </div>
-              
-              <div className="mb-4">
-                <h3 className="text-lg font-semibold mb-2">Required DLCs For Additional Playable Trains</h3>
-                {routeToDLC[selectedNode.id] && routeToDLC[selectedNode.id].length > 0 ? (
-                  <div className={`overflow-x-auto ${darkMode ? 'bg-gray-700' : 'bg-gray-50'} rounded-md`}>
-                    <table className="min-w-full divide-y divide-gray-500">
-                      <thead className={darkMode ? 'bg-gray-800' : 'bg-gray-100'}>
-                        <tr>
-                          <th className="px-3 py-2 text-left text-sm font-medium">Locomotive</th>
-                          <th className="px-3 py-2 text-left text-sm font-medium">Included in</th>
-                        </tr>
-                      </thead>
-                      <tbody className="divide-y divide-gray-300">
-                        {routeToDLC[selectedNode.id].map((item, index) => (
-                          <tr key={index} className={index % 2 === 0 ? (darkMode ? 'bg-gray-700' : 'bg-white') : (darkMode ? 'bg-gray-600' : 'bg-gray-50')}>
-                            <td className="px-3 py-2 text-sm">{item.loco}</td>
-                            <td className="px-3 py-2 text-sm">
-                              <div className="flex flex-wrap gap-1">
-                                {item.requiredDLCs.map((dlc, i) => (
-                                  <span 
-                                    key={i} 
-                                    className={`inline-block px-2 py-1 rounded-md text-xs ${selectedNodeConnections.includes(dlc.shortName.trim()) ? 'font-bold' : ''}`}
-                                    style={{
-                                      backgroundColor: regionColors[dlc.region] || '#ccc',
-                                      color: ['US', 'UK', 'CA', 'FR', 'CH', 'NL'].includes(dlc.region) ? 'black' : 'white',
-                                      border: selectedNodeConnections.includes(dlc.shortName.trim()) 
-                                        ? '2px solid #ff0' 
-                                        : 'none'
-                                    }}
-                                    title={dlc.fullName || dlc.shortName.trim()}
-                                  >
-                                    {dlc.shortName}
-                                    {dlc.fullName && (
-                                      <span 
-                                        className="block text-xs mt-1"
-                                        style={{ 
-                                          opacity: 0.85,
-                                          fontWeight: 'normal'
-                                        }}
-                                      >
-                                        {dlc.fullName}
-                                      </span>
-                                    )}
-                                  </span>
-                                ))}
-                              </div>
-                            </td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
+            )}
+            
+            {/* View switcher */}
+            <div className="absolute top-2 right-2 z-30 flex text-xs shadow">
+              {[['graph', 'Network'], ['matrix', 'Matrix'], ['chord', 'Chord'], ['list', 'List']].map(([view, label]) => (
+                <button 
+                  key={view}
+                  onClick={() => setViewMode(view)}
+                  className={`px-3 py-1 first:rounded-l-md last:rounded-r-md ${viewMode === view ? 'bg-blue-600 text-white' : (darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300')}`}
+                >
+                  {t(label)}
+                </button>
+              ))}
+            </div>
+            
+            {viewMode === 'matrix' ? (
+              <AdjacencyMatrix 
+                nodes={visibleGraph.nodes}
+                edges={visibleGraph.edges}
+                regionColors={regionColors}
+                darkMode={darkMode}
+                selectedId={selectedNode?.id}
+                onSelectRoute={selectRoute}
+              />
+            ) : viewMode === 'list' ? (
+              <NetworkListView 
+                nodes={visibleGraph.nodes}
+                edges={visibleGraph.edges}
+                regionColors={regionColors}
+                darkMode={darkMode}
+                selectedId={selectedNode?.id}
+                onSelectRoute={selectRoute}
+              />
+            ) : viewMode === 'chord' ? (
+              <ChordDiagram 
+                nodes={visibleGraph.nodes}
+                edges={visibleGraph.edges}
+                regionColors={regionColors}
+                darkMode={darkMode}
+                selectedId={selectedNode?.id}
+                onSelectRoute={selectRoute}
+              />
+            ) : (
+              <>
+                <svg 
+                  ref={svgRef}
+                  className="w-full h-full"
+                  role="group"
+                  aria-label={t('Layering network of {count} routes. Tab to a route, use the arrow keys to move between connected routes and Enter to select one, or switch to the List view', { count: visibleGraph.nodes.length })}
+                ></svg>
+                <div 
+                  ref={tooltipRef}
+                  className={`absolute hidden pointer-events-none z-20 max-w-xs p-2 rounded-md shadow text-xs ${darkMode ? 'bg-gray-700 text-white' : 'bg-white text-gray-900 border border-gray-200'}`}
+                ></div>
+              </>
+            )}
+          </div>
+          
+          {/* Info panel */}
+          <div className={`${isMobile ? 'h-auto' : 'w-1/3'} overflow-y-auto p-4 ${darkMode ? 'bg-gray-800' : 'bg-white'} border-l ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+            {showImport && (
+              <ImportPanel 
+                result={importResult}
+                importedFrom={importedFrom?.label}
+                onImport={handleImport}
+                onRestore={() => {
+                  setImportResult(null);
+                  loadBuiltinData();
+                }}
+                darkMode={darkMode}
+              />
+            )}
+            
+            {showChangelog && (
+              <ChangelogPanel 
+                currentGraph={currentGraph}
+                darkMode={darkMode}
+                onShowDiff={setDiffGraph}
+                onSelectRoute={selectRoute}
+              />
+            )}
+            
+            {showDataQuality && dataQuality && (
+              <DataQualityPanel 
+                report={dataQuality}
+                fileNames={importedFrom?.fileNames}
+                darkMode={darkMode}
+                onSelectRoute={selectRoute}
+              />
+            )}
+            
+            {showAnalytics && (
+              <AnalyticsPanel 
+                nodes={visibleGraph.nodes}
+                edges={visibleGraph.edges}
+                darkMode={darkMode}
+                selectedId={selectedNode?.id}
+                onSelectRoute={selectRoute}
+              />
+            )}
+            
+            {showPathFinder && (
+              <PathFinderPanel 
+                nodes={visibleGraph.nodes}
+                edges={visibleGraph.edges}
+                darkMode={darkMode}
+                onHighlightPath={setHighlightedPath}
+              />
+            )}
+            
+            {libraryMode && (
+              <RecommendationPanel 
+                nodes={nodes}
+                routeToDLC={routeToDLC}
+                ownedSet={ownedSet}
+                darkMode={darkMode}
+              />
+            )}
+            
+            {selectedLoco ? (
+              <LocoPanel 
+                loco={selectedLoco}
+                nodes={nodes}
+                darkMode={darkMode}
+                regionColors={regionColors}
+                onSelectRoute={selectRoute}
+              />
+            ) : compareNode ? (
+              <ComparePanel 
+                first={selectedNode}
+                second={compareNode}
+                comparison={comparison}
+                darkMode={darkMode}
+                regionColors={regionColors}
+                onSwap={swapComparedRoutes}
+                onClose={() => setCompareNodeId(null)}
+                onSelectRoute={selectRoute}
+              />
+            ) : selectedNode ? (
+              <div>
+                <h2 className="text-xl font-bold mb-2">{routeName(selectedNode.id, selectedNode.fullName || selectedNode.label)}</h2>
+                <div className="mb-3">
+                  <span className="font-semibold">{t('Region:')}</span> {translator.regionFlag(selectedNode.region)} {regionName(selectedNode.region)}
+                </div>
+                <label className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+                  <span className="font-semibold">{t('Compare with:')}</span>
+                  <select 
+                    value=""
+                    onChange={event => setCompareNodeId(event.target.value || null)}
+                    className={`px-2 py-1 rounded-md ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}
+                    title={t('Or Shift + click another route on the graph')}
+                  >
+                    <option value="">{t('Choose a route…')}</option>
+                    {compareOptions.map(node => (
+                      <option key={node.id} value={node.id}>{node.id}{node.fullName ? ` – ${routeName(node.id, node.fullName)}` : ''}</option>
+                    ))}
+                  </select>
+                </label>
+                {selectedNode.unknown && (
+                  <p className="mb-3 text-sm text-amber-500">{t('{route} is missing from the route lookup, so its full name and region are unknown.', { route: selectedNode.label })}</p>
+                )}
+                
+                {/* Direction toggle */}
+                <div className="flex mb-3 text-sm">
+                  {[['borrows', 'Borrows from'], ['lends', 'Lends to']].map(([direction, label]) => (
+                    <button 
+                      key={direction}
+                      onClick={() => setLinkDirection(direction)}
+                      className={`px-3 py-1 first:rounded-l-md last:rounded-r-md ${linkDirection === direction ? 'bg-blue-600 text-white' : (darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300')}`}
+                    >
+                      {t(label)}
+                    </button>
+                  ))}
+                </div>
+                
+                {linkDirection === 'lends' ? (
+                  <div className="mb-4">
+                    <h3 className="text-lg font-semibold mb-2">{t('Routes That Can Use Trains From {route}', { route: selectedNode.label })}</h3>
+                    {lendsTo.length > 0 ? (
+                      <LendsToTable 
+                        edges={lendsTo}
+                        darkMode={darkMode}
+                        regionColors={regionColors}
+                      />
+                    ) : (
+                      <p>{t('No other routes use trains from {route}.', { route: selectedNode.label })}</p>
+                    )}
                   </div>
                 ) : (
-                  <p>No DLC requirements found for {selectedNode.label}.</p>
+                  <div className="mb-4">
+                    <h3 className="text-lg font-semibold mb-2">{t('Required DLCs For Additional Playable Trains')}</h3>
+                    {routeToDLC[selectedNode.id] && routeToDLC[selectedNode.id].length > 0 && (
+                      <div className="flex gap-2 mb-2 text-xs">
+                        {[['csv', 'CSV'], ['markdown', 'Markdown']].map(([format, label]) => (
+                          <button 
+                            key={format}
+                            onClick={() => exportRouteTable(format)}
+                            className={`px-2 py-1 rounded-md ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+                          >
+                            ⬇ {label}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {routeToDLC[selectedNode.id] && routeToDLC[selectedNode.id].length > 0 ? (
+                      libraryMode ? (
+                        <OwnershipTables 
+                          routeId={selectedNode.id}
+                          items={routeToDLC[selectedNode.id]}
+                          ownedSet={ownedSet}
+                          darkMode={darkMode}
+                          regionColors={regionColors}
+                          highlightedDLCs={selectedNodeConnections}
+                          routeBundles={routeBundles}
+                        />
+                      ) : (
+                        <RequiredDLCTable 
+                          items={routeToDLC[selectedNode.id]}
+                          darkMode={darkMode}
+                          regionColors={regionColors}
+                          highlightedDLCs={selectedNodeConnections}
+                          routeBundles={routeBundles}
+                        />
+                      )
+                    ) : (
+                      <p>{t('No DLC requirements found for {route}.', { route: selectedNode.label })}</p>
+                    )}
+                  </div>
                 )}
               </div>
-            </div>
-          ) : (
-            <div className="flex flex-col items-center justify-center h-full text-center">
-              <p className="text-xl font-semibold mb-2">Select a node to view details</p>
-              <p className="text-gray-500">Click on any DLC node in the network to see its requirements and connections</p>
-            </div>
-          )}
+            ) : !libraryMode && !showDataQuality && !showPathFinder && !showAnalytics && !showImport && !showChangelog && (
+              <div className="flex flex-col items-center justify-center h-full text-center">
+                <p className="text-xl font-semibold mb-2">{t('Select a node to view details')}</p>
+                <p className="text-gray-500">{t('Click on any DLC node in the network to see its requirements and connections')}</p>
+              </div>
+            )}
+          </div>
         </div>
+        
+        {/* Footer */}
+        <footer className={`p-3 text-center text-sm ${darkMode ? 'bg-gray-800 text-gray-400' : 'bg-gray-100 text-gray-600'}`}>
+          <p>
+            {t('Click on nodes to see details | Arrows point from a DLC to the routes that can use its trains')}
+            {!online && ` | ${t('offline, showing the data saved on this device')}`}
+            {importedFrom ? ` | ${t('imported data')}` : dataUpdated && (
+              <>
+                {' | '}
+                <button className="underline" onClick={toggleChangelog} title={t('See what changed in the data')}>
+                  {t('updated {date}', { date: formatDate(dataUpdated, { month: 'long', year: 'numeric' }) })}
+                </button>
+              </>
+            )}
+          </p>
+        </footer>
+      </div>
+    </TranslationContext.Provider>
+  );
+};
+
+// Locos split into those playable with the owned DLCs and those needing a purchase
+const OwnershipTables = ({ routeId, items, ownedSet, darkMode, regionColors, highlightedDLCs, routeBundles }) => {
+  const { t } = useTranslation();
+  const { playable, needsPurchase } = splitByOwnership(routeId, items, ownedSet);
+  
+  return (
+    <div className="flex flex-col gap-4">
+      {!ownedSet.has(routeId) && (
+        <p className="text-sm text-amber-500">{t("You don't own {route}, so none of these locos are playable yet.", { route: routeId })}</p>
+      )}
+      <div>
+        <h4 className="font-semibold mb-1">{t('Playable now')} ({playable.length})</h4>
+        {playable.length > 0 ? (
+          <RequiredDLCTable items={playable} darkMode={darkMode} regionColors={regionColors} highlightedDLCs={highlightedDLCs} ownedSet={ownedSet} routeBundles={routeBundles} />
+        ) : (
+          <p className="text-sm">{t('No locos unlocked by your library yet.')}</p>
+        )}
+      </div>
+      <div>
+        <h4 className="font-semibold mb-1">{t('Requires purchase')} ({needsPurchase.length})</h4>
+        {needsPurchase.length > 0 ? (
+          <RequiredDLCTable items={needsPurchase} darkMode={darkMode} regionColors={regionColors} highlightedDLCs={highlightedDLCs} ownedSet={ownedSet} routeBundles={routeBundles} />
+        ) : (
+          <p className="text-sm">{t('Every loco for this route is already playable.')}</p>
+        )}
       </div>
-      
-      {/* Footer */}
-      <footer className={`p-3 text-center text-sm ${darkMode ? 'bg-gray-800 text-gray-400' : 'bg-gray-100 text-gray-600'}`}>
-        <p>Click on nodes to see details | updated May 2025</p>
-      </footer>
     </div>
   );
 };
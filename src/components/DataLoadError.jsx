@@ -0,0 +1,37 @@
+import React from 'react';
+import { useTranslation } from '../utils/i18n';
+
+// Which data file failed to load and why, with a button to try again. Errors
+// that don't come from loadDataFile show their message as they are
+const DataLoadError = ({ error, onRetry, darkMode }) => {
+  const { t } = useTranslation();
+  
+  const reasons = {
+    offline: t("You're offline and this device has no saved copy of the data yet. Open the site once with a connection to use it offline."),
+    network: t('The server could not be reached.'),
+    http: t('The server answered with HTTP {status}.', { status: error.status }),
+    json: t('The file is not valid JSON, so it may have been cut off while downloading.')
+  };
+  
+  return (
+    <div className="text-sm">
+      <p className="font-semibold mb-1">
+        {error.file ? t('Could not load {file}.', { file: error.file }) : t('Failed to load data.')}
+      </p>
+      <p className="mb-2">{reasons[error.reason] || error.message}</p>
+      {error.detail && error.reason === 'http' && (
+        <pre className={`text-xs text-left whitespace-pre-wrap max-h-48 overflow-y-auto p-2 mb-2 rounded-md ${darkMode ? 'bg-gray-800' : 'bg-gray-100'}`}>
+          {error.detail}
+        </pre>
+      )}
+      <button
+        onClick={onRetry}
+        className={`px-3 py-1 rounded-md ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+      >
+        ↻ {t('Retry')}
+      </button>
+    </div>
+  );
+};
+
+export default DataLoadError;
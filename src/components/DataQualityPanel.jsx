@@ -0,0 +1,76 @@
+import React from 'react';
+import { countIssues } from '../utils/dataQuality';
+import { DEFAULT_FILE_NAMES } from '../utils/validate';
+import { useTranslation } from '../utils/i18n';
+
+// Problems found in the CSVs, listed for whoever maintains them. fileNames is
+// set when the data was imported rather than built from public/
+const DataQualityPanel = ({ report, fileNames, darkMode, onSelectRoute }) => {
+  const { t, tn } = useTranslation();
+  const files = fileNames || DEFAULT_FILE_NAMES;
+  const sectionClass = `rounded-md p-2 mb-3 text-sm ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`;
+  const lines = list => tn(list.length, 'line {lines}', 'lines {lines}', { lines: list.join(', ') });
+  
+  return (
+    <div className="mb-6">
+      <h2 className="text-xl font-bold mb-2">{t('Data Quality')}</h2>
+      <p className="text-sm mb-3">
+        {countIssues(report) === 0
+          ? t('No problems found in the CSV files.')
+          : t(fileNames
+            ? '{count} problems found. Line numbers refer to the imported files.'
+            : '{count} problems found. Line numbers refer to the CSV files in public/.', { count: countIssues(report) })}
+      </p>
+      
+      <div className={sectionClass}>
+        <h3 className="font-semibold mb-1">{t('Short names missing from {file}', { file: files.routeLookup })} ({report.unknownShortNames.length})</h3>
+        <ul className="list-disc list-inside">
+          {report.unknownShortNames.map(entry => (
+            <li key={entry.shortName}>
+              <button className="font-semibold underline" onClick={() => onSelectRoute(entry.shortName)}>{entry.shortName}</button>
+              <span className="opacity-75"> – {files.dlcNetwork} {lines(entry.lines)}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+      
+      <div className={sectionClass}>
+        <h3 className="font-semibold mb-1">{t('Routes requiring themselves')} ({report.selfReferences.length})</h3>
+        <ul className="list-disc list-inside">
+          {report.selfReferences.map(entry => (
+            <li key={entry.line}>
+              {entry.route} – {entry.loco}
+              <span className="opacity-75"> ({files.dlcNetwork} {t('line {line}', { line: entry.line })})</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+      
+      <div className={sectionClass}>
+        <h3 className="font-semibold mb-1">{t('Duplicate route + loco rows')} ({report.duplicates.length})</h3>
+        <ul className="list-disc list-inside">
+          {report.duplicates.map(entry => (
+            <li key={entry.line}>
+              {entry.route} – {entry.loco}
+              <span className="opacity-75"> ({t('line {line}, first seen on line {firstLine}', { line: entry.line, firstLine: entry.firstLine })})</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+      
+      <div className={sectionClass}>
+        <h3 className="font-semibold mb-1">{t('Lookup entries never used in {file}', { file: files.dlcNetwork })} ({report.unusedLookupEntries.length})</h3>
+        <ul className="list-disc list-inside">
+          {report.unusedLookupEntries.map(entry => (
+            <li key={entry.shortName}>
+              {entry.shortName}
+              <span className="opacity-75"> – {entry.fullName}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default DataQualityPanel;
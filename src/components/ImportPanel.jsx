@@ -0,0 +1,84 @@
+import React, { useState, useRef } from 'react';
+import { formatProblem } from '../utils/validate';
+import { useTranslation } from '../utils/i18n';
+
+// Load route_lookup.csv and dlc_network.csv (or one file holding both) from disk.
+// Files can be dropped here, anywhere on the page, or picked with the file dialog
+const ImportPanel = ({ result, importedFrom, onImport, onRestore, darkMode }) => {
+  const { t, tn } = useTranslation();
+  const [dragging, setDragging] = useState(false);
+  const inputRef = useRef(null);
+  
+  const handleDrop = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    setDragging(false);
+    onImport(event.dataTransfer.files);
+  };
+  
+  const buttonClass = `px-3 py-1 rounded-md text-sm ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`;
+  
+  return (
+    <div className="mb-6">
+      <h2 className="text-xl font-bold mb-2">{t('Import Data')}</h2>
+      <p className="text-sm mb-3">
+        {t('Use your own CSV files without rebuilding the site. They need the same columns as the built-in data:')}
+        {' '}<code>Route, Short Name, Region</code> ({t('and optionally')} <code>Release Date, Version</code>) {t('for the route lookup and')}
+        {' '}<code>Route, Loco, Required DLC</code> ({t('and optionally')} <code>Traction, Compatibility, Notes</code>) {t('for the DLC network.')}
+        {' '}{t('A single file can hold both, one after the other, each starting with its header row.')}
+      </p>
+      
+      <div
+        onDragOver={event => {
+          event.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => inputRef.current.click()}
+        className={`mb-3 p-6 rounded-md border-2 border-dashed text-center text-sm cursor-pointer ${dragging ? 'border-blue-500 bg-blue-500/10' : (darkMode ? 'border-gray-600' : 'border-gray-300')}`}
+      >
+        {t('Drop CSV files here or click to choose them')}
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".csv,text/csv"
+          multiple
+          className="hidden"
+          onChange={event => {
+            onImport(event.target.files);
+            event.target.value = '';
+          }}
+        />
+      </div>
+      
+      {importedFrom && (
+        <div className={`rounded-md p-2 mb-3 text-sm flex flex-wrap gap-2 items-center justify-between ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+          <span>{t('Showing imported data from')} <span className="font-semibold">{importedFrom}</span></span>
+          <button className={buttonClass} onClick={onRestore}>{t('Back to built-in data')}</button>
+        </div>
+      )}
+      
+      {result && result.problems.errors.length > 0 && (
+        <div className="rounded-md p-2 mb-3 text-sm bg-red-500/10">
+          <h3 className="font-semibold mb-1 text-red-500">
+            {tn(result.problems.errors.length, 'Not imported: {count} error', 'Not imported: {count} errors')}
+          </h3>
+          <ul className="list-disc list-inside font-mono text-xs">
+            {result.problems.errors.map((problem, index) => (
+              <li key={index}>{formatProblem(problem, t)}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      
+      {result && result.graph && result.problems.warnings.length > 0 && (
+        <p className="text-sm text-amber-500">
+          {t('Imported with {count} data warnings; open ⚠️ in the header to see them.', { count: result.problems.warnings.length })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ImportPanel;
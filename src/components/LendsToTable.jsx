@@ -0,0 +1,50 @@
+import React from 'react';
+import { FALLBACK_COLOR, contrastText } from '../utils/palettes';
+import { useTranslation } from '../utils/i18n';
+
+// Routes that can use trains from a DLC, with the locos each one gets
+const LendsToTable = ({ edges, darkMode, regionColors }) => {
+  const { t, routeName } = useTranslation();
+  const rows = [...edges].sort((a, b) => a.source.id.localeCompare(b.source.id));
+  
+  return (
+    <div className={`overflow-x-auto ${darkMode ? 'bg-gray-700' : 'bg-gray-50'} rounded-md`}>
+      <table className="min-w-full divide-y divide-gray-500">
+        <thead className={darkMode ? 'bg-gray-800' : 'bg-gray-100'}>
+          <tr>
+            <th className="px-3 py-2 text-left text-sm font-medium">{t('Route')}</th>
+            <th className="px-3 py-2 text-left text-sm font-medium">{t('Locomotives')}</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-300">
+          {rows.map((edge, index) => (
+            <tr key={edge.id} className={index % 2 === 0 ? (darkMode ? 'bg-gray-700' : 'bg-white') : (darkMode ? 'bg-gray-600' : 'bg-gray-50')}>
+              <td className="px-3 py-2 text-sm align-top">
+                <span 
+                  className="inline-block px-2 py-1 rounded-md text-xs font-bold"
+                  style={{
+                    backgroundColor: regionColors[edge.source.region] || FALLBACK_COLOR,
+                    color: contrastText(regionColors[edge.source.region] || FALLBACK_COLOR)
+                  }}
+                  title={routeName(edge.source.id, edge.source.fullName)}
+                >
+                  {edge.source.label}
+                </span>
+                <span className="block text-xs mt-1 opacity-75">{routeName(edge.source.id, edge.source.fullName)}</span>
+              </td>
+              <td className="px-3 py-2 text-sm">
+                <ul className="list-disc list-inside">
+                  {edge.locos.map((loco, i) => (
+                    <li key={i}>{loco}</li>
+                  ))}
+                </ul>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default LendsToTable;
@@ -0,0 +1,99 @@
+import React, { useMemo } from 'react';
+import { useTranslation } from '../utils/i18n';
+import { FALLBACK_COLOR } from '../utils/palettes';
+
+// Checklist of routes for marking which DLCs the user owns, with game editions
+// and bundles as presets that tick all of their routes at once
+const LibraryPanel = ({ nodes, ownedDLCs, onChange, darkMode, regionColors, shared = false, onUseSaved, bundles = [] }) => {
+  const { t, routeName, regionName } = useTranslation();
+
+  // Group routes by region, sorted by short name
+  const routesByRegion = useMemo(() => {
+    const groups = {};
+    nodes.forEach(node => {
+      if (!groups[node.region]) {
+        groups[node.region] = [];
+      }
+      groups[node.region].push(node);
+    });
+    Object.values(groups).forEach(group => group.sort((a, b) => a.id.localeCompare(b.id)));
+    return Object.entries(groups).sort(([a], [b]) => a.localeCompare(b));
+  }, [nodes]);
+
+  const toggleDLC = (id) => {
+    if (ownedDLCs.includes(id)) {
+      onChange(ownedDLCs.filter(dlc => dlc !== id));
+    } else {
+      onChange([...ownedDLCs, id]);
+    }
+  };
+
+  // Add the routes of a bundle that are in the data and not owned yet
+  const addBundle = (bundle) => {
+    const known = new Set(nodes.map(node => node.id));
+    const added = bundle.routes.filter(route => known.has(route) && !ownedDLCs.includes(route));
+    if (added.length > 0) onChange([...ownedDLCs, ...added]);
+  };
+
+  const buttonClass = `px-2 py-1 rounded-md text-xs ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`;
+
+  return (
+    <div className={`p-2 border-t ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-gray-100 border-gray-200'}`}>
+      <div className="container mx-auto">
+        <div className="flex flex-wrap gap-2 items-center text-sm mb-2">
+          <span className="font-semibold">{t('My library:')}</span>
+          <span>{t('{owned} of {total} routes owned', { owned: ownedDLCs.length, total: nodes.length })}</span>
+          <button className={buttonClass} onClick={() => onChange(nodes.map(node => node.id))}>{t('Select all')}</button>
+          <button className={buttonClass} onClick={() => onChange([])}>{t('Clear')}</button>
+          {bundles.length > 0 && (
+            <select 
+              value=""
+              onChange={event => {
+                const bundle = bundles.find(b => b.name === event.target.value);
+                if (bundle) addBundle(bundle);
+              }}
+              className={`px-2 py-1 rounded-md text-xs ${darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}
+              aria-label={t('Add the routes of a bundle')}
+            >
+              <option value="">{t('I own…')}</option>
+              {bundles.map(bundle => (
+                <option key={bundle.name} value={bundle.name}>
+                  {bundle.name}{bundle.type ? ` (${t(bundle.type)})` : ''}
+                </option>
+              ))}
+            </select>
+          )}
+          {shared && (
+            <>
+              <span className="text-amber-500">{t('Viewing a shared library. Editing it replaces your saved one.')}</span>
+              <button className={buttonClass} onClick={onUseSaved}>{t('Use my saved library')}</button>
+            </>
+          )}
+        </div>
+        <div className="max-h-40 overflow-y-auto flex flex-col gap-1 text-sm">
+          {routesByRegion.map(([region, routes]) => (
+            <div key={region} className="flex flex-wrap gap-x-3 gap-y-1 items-center">
+              <span 
+                className="w-4 h-4 rounded-full inline-block" 
+                style={{ backgroundColor: regionColors[region] || FALLBACK_COLOR }}
+                title={regionName(region)}
+              ></span>
+              {routes.map(route => (
+                <label key={route.id} className="flex items-center gap-1 cursor-pointer" title={routeName(route.id, route.fullName)}>
+                  <input 
+                    type="checkbox"
+                    checked={ownedDLCs.includes(route.id)}
+                    onChange={() => toggleDLC(route.id)}
+                  />
+                  {route.label}
+                </label>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LibraryPanel;
@@ -0,0 +1,67 @@
+import React from 'react';
+import DLCBadge from './DLCBadge';
+import { providingDLCs } from '../utils/locos';
+import { useTranslation } from '../utils/i18n';
+
+// Where a loco can be driven and which DLCs provide it
+const LocoPanel = ({ loco, nodes, darkMode, regionColors, onSelectRoute }) => {
+  const { t, tn, routeName } = useTranslation();
+  const nodeById = Object.fromEntries(nodes.map(node => [node.id, node]));
+  const routes = Object.keys(loco.routes).sort((a, b) => a.localeCompare(b));
+  const dlcs = providingDLCs(loco);
+  
+  return (
+    <div>
+      <h2 className="text-xl font-bold mb-2">{loco.name}</h2>
+      {loco.aliases.length > 0 && (
+        <div className="mb-3 text-sm">
+          <span className="font-semibold">{t('Also listed as:')}</span> {loco.aliases.join(', ')}
+        </div>
+      )}
+      
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold mb-2">{t('Provided By')}</h3>
+        <div className="flex flex-wrap gap-1">
+          {dlcs.map(dlc => (
+            <DLCBadge key={dlc.shortName} dlc={dlc} regionColors={regionColors} />
+          ))}
+        </div>
+      </div>
+      
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold mb-2">{tn(routes.length, 'Playable On {count} Route', 'Playable On {count} Routes')}</h3>
+        <div className={`overflow-x-auto ${darkMode ? 'bg-gray-700' : 'bg-gray-50'} rounded-md`}>
+          <table className="min-w-full divide-y divide-gray-500">
+            <thead className={darkMode ? 'bg-gray-800' : 'bg-gray-100'}>
+              <tr>
+                <th className="px-3 py-2 text-left text-sm font-medium">{t('Route')}</th>
+                <th className="px-3 py-2 text-left text-sm font-medium">{t('Included in')}</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-300">
+              {routes.map((routeId, index) => (
+                <tr key={routeId} className={index % 2 === 0 ? (darkMode ? 'bg-gray-700' : 'bg-white') : (darkMode ? 'bg-gray-600' : 'bg-gray-50')}>
+                  <td className="px-3 py-2 text-sm align-top">
+                    <button className="font-semibold underline" onClick={() => onSelectRoute(routeId)}>{routeId}</button>
+                    {nodeById[routeId] && (
+                      <span className="block text-xs mt-1 opacity-75">{routeName(routeId, nodeById[routeId].fullName)}</span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-sm">
+                    <div className="flex flex-wrap gap-1">
+                      {Object.values(loco.routes[routeId]).map(dlc => (
+                        <DLCBadge key={dlc.shortName} dlc={dlc} regionColors={regionColors} />
+                      ))}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LocoPanel;
@@ -0,0 +1,105 @@
+import React, { useEffect, useMemo } from 'react';
+import { endpointId } from '../utils/graph';
+import { FALLBACK_COLOR, contrastText } from '../utils/palettes';
+import { useTranslation } from '../utils/i18n';
+
+// Every route as text: the DLCs it borrows locos from and the routes that
+// borrow its locos, as plain tables for keyboard and screen reader users
+const NetworkListView = ({ nodes, edges, regionColors, darkMode, selectedId, onSelectRoute }) => {
+  const { t, tn, routeName, regionName, regionFlag } = useTranslation();
+  
+  // Links per route, leaving out routes listing their own DLC
+  const { routes, borrows, lends } = useMemo(() => {
+    const borrows = {};
+    const lends = {};
+    const add = (index, id, link) => {
+      if (!index[id]) index[id] = [];
+      index[id].push(link);
+    };
+    edges.forEach(edge => {
+      const source = endpointId(edge.source);
+      const target = endpointId(edge.target);
+      if (source === target) return;
+      add(borrows, source, { id: target, locos: edge.locos });
+      add(lends, target, { id: source, locos: edge.locos });
+    });
+    [...Object.values(borrows), ...Object.values(lends)].forEach(list => list.sort((a, b) => a.id.localeCompare(b.id)));
+    
+    return {
+      routes: [...nodes].sort((a, b) => a.id.localeCompare(b.id)),
+      borrows,
+      lends
+    };
+  }, [nodes, edges]);
+  
+  const nodeById = useMemo(() => Object.fromEntries(nodes.map(node => [node.id, node])), [nodes]);
+  
+  // Bring the selected route into view, e.g. after picking it in the search box
+  useEffect(() => {
+    if (!selectedId) return;
+    const section = document.getElementById(`list-route-${selectedId}`);
+    if (section) section.scrollIntoView({ block: 'nearest' });
+  }, [selectedId]);
+  
+  const routeButton = (id) => {
+    const color = regionColors[nodeById[id]?.region] || FALLBACK_COLOR;
+    return (
+      <button 
+        className="inline-block px-2 py-0.5 rounded-md text-xs font-bold"
+        style={{ backgroundColor: color, color: contrastText(color) }}
+        onClick={() => onSelectRoute(id)}
+        title={routeName(id, nodeById[id]?.fullName)}
+      >
+        {id}
+      </button>
+    );
+  };
+  
+  const linkTable = (links, caption, heading) => (
+    <table className="min-w-full divide-y divide-gray-500 mb-2">
+      <caption className="text-left font-semibold py-1">{caption}</caption>
+      <thead className={darkMode ? 'bg-gray-800' : 'bg-gray-100'}>
+        <tr>
+          <th scope="col" className="px-3 py-1 text-left font-medium">{heading}</th>
+          <th scope="col" className="px-3 py-1 text-left font-medium">{t('Locomotives')}</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-300">
+        {links.map(link => (
+          <tr key={link.id}>
+            <th scope="row" className="px-3 py-1 text-left align-top font-normal">{routeButton(link.id)}</th>
+            <td className="px-3 py-1">{link.locos.join(', ')}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+  
+  return (
+    <div className="h-full overflow-auto p-4 pt-12 text-sm">
+      <p className="mb-3 opacity-75">
+        {tn(routes.length, '{count} route, with the DLCs it borrows locos from and the routes that borrow its locos.', '{count} routes, each with the DLCs it borrows locos from and the routes that borrow its locos.')}
+      </p>
+      {routes.map(route => (
+        <section 
+          key={route.id}
+          id={`list-route-${route.id}`}
+          aria-labelledby={`list-route-${route.id}-heading`}
+          className={`rounded-md p-2 mb-3 ${darkMode ? 'bg-gray-800' : 'bg-white'} ${route.id === selectedId ? 'outline outline-2 outline-yellow-500' : ''}`}
+        >
+          <h3 id={`list-route-${route.id}-heading`} className="text-base font-semibold mb-1">
+            {routeButton(route.id)} {routeName(route.id, route.fullName)} <span className="font-normal opacity-75">({regionFlag(route.region)} {regionName(route.region)})</span>
+          </h3>
+          {borrows[route.id]
+            ? linkTable(borrows[route.id], tn(borrows[route.id].length, 'Borrows locos from {count} DLC', 'Borrows locos from {count} DLCs'), 'DLC')
+            : <p className="mb-1">{t('Borrows no locos from other DLCs.')}</p>}
+          {lends[route.id]
+            ? linkTable(lends[route.id], tn(lends[route.id].length, 'Lends locos to {count} route', 'Lends locos to {count} routes'), t('Route'))
+            : <p>{t('No other routes use its locos.')}</p>}
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default NetworkListView;
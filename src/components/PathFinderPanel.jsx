@@ -0,0 +1,115 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { findShortestPaths, pathRoutes } from '../utils/paths';
+import { useTranslation } from '../utils/i18n';
+
+// Pick two routes and list the shortest chains of shared locos between them.
+// nodes and edges are the routes and links currently shown, so paths never
+// go through what the filters hide
+const PathFinderPanel = ({ nodes, edges, darkMode, onHighlightPath }) => {
+  const { t, tn, routeName } = useTranslation();
+  const [chosenFrom, setFrom] = useState('');
+  const [chosenTo, setTo] = useState('');
+  const [directed, setDirected] = useState(true);
+  const [activeIndex, setActiveIndex] = useState(0);
+  
+  const routes = useMemo(() => [...nodes].sort((a, b) => a.id.localeCompare(b.id)), [nodes]);
+  
+  // A chosen route that the filters hide counts as not chosen until it is shown again
+  const shownIds = useMemo(() => new Set(nodes.map(node => node.id)), [nodes]);
+  const from = shownIds.has(chosenFrom) ? chosenFrom : '';
+  const to = shownIds.has(chosenTo) ? chosenTo : '';
+  const paths = useMemo(() => findShortestPaths(edges, from, to, { directed }), [edges, from, to, directed]);
+  
+  // Highlight the chosen path on the graph, and clear it when the panel closes
+  useEffect(() => {
+    onHighlightPath(paths[activeIndex] || null);
+  }, [paths, activeIndex, onHighlightPath]);
+  
+  useEffect(() => () => onHighlightPath(null), [onHighlightPath]);
+  
+  const selectClass = `px-2 py-1 rounded-md w-full ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`;
+  
+  const routeSelect = (value, onChange, label) => (
+    <label className="block text-sm mb-2">
+      <span className="font-semibold">{label}</span>
+      <select 
+        value={value}
+        onChange={event => {
+          onChange(event.target.value);
+          setActiveIndex(0);
+        }}
+        className={selectClass}
+      >
+        <option value="">{t('Choose a route')}</option>
+        {routes.map(route => (
+          <option key={route.id} value={route.id}>{route.id} – {routeName(route.id, route.fullName)}</option>
+        ))}
+      </select>
+    </label>
+  );
+  
+  return (
+    <div className="mb-6">
+      <h2 className="text-xl font-bold mb-2">{t('Path Finder')}</h2>
+      {routeSelect(from, setFrom, t('From'))}
+      {routeSelect(to, setTo, t('To'))}
+      <div className="flex flex-wrap gap-3 items-center text-sm mb-3">
+        <button 
+          className={`px-2 py-1 rounded-md text-xs ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+          onClick={() => {
+            setFrom(to);
+            setTo(from);
+            setActiveIndex(0);
+          }}
+        >
+          ⇅ {t('Swap')}
+        </button>
+        <label className="flex items-center gap-1 cursor-pointer">
+          <input 
+            type="checkbox"
+            checked={!directed}
+            onChange={event => {
+              setDirected(!event.target.checked);
+              setActiveIndex(0);
+            }}
+          />
+          {t('Ignore edge direction')}
+        </label>
+      </div>
+      
+      {from && to && from !== to && (
+        paths.length === 0 ? (
+          <p className="text-sm">{t('No chain of layering links connects {from} to {to}.', { from, to })}</p>
+        ) : (
+          <div>
+            <p className="text-sm mb-2">
+              {tn(paths.length, '{count} shortest chain of {hops}:', '{count} shortest chains of {hops}:', {
+                hops: tn(paths[0].length, '{count} hop', '{count} hops')
+              })}
+            </p>
+            <ol className="flex flex-col gap-2">
+              {paths.map((path, index) => (
+                <li 
+                  key={index}
+                  onClick={() => setActiveIndex(index)}
+                  className={`rounded-md p-2 text-sm cursor-pointer ${index === activeIndex ? 'ring-2 ring-green-500' : ''} ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}
+                >
+                  <div className="font-semibold mb-1">{pathRoutes(path).join(' → ')}</div>
+                  <ul className="text-xs">
+                    {path.map(hop => (
+                      <li key={`${hop.from}-${hop.to}`}>
+                        <span className="font-semibold">{hop.from} → {hop.to}:</span> {hop.locos.join(', ')}
+                      </li>
+                    ))}
+                  </ul>
+                </li>
+              ))}
+            </ol>
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default PathFinderPanel;
@@ -0,0 +1,118 @@
+import React, { useState, useMemo } from 'react';
+import { rankPurchases, suggestPurchasesFor } from '../utils/recommend';
+import { useTranslation } from '../utils/i18n';
+
+const OWNED_ROUTES_TARGET = '__owned__';
+
+// "What should I buy next" rankings and purchase suggestions for a target
+const RecommendationPanel = ({ nodes, routeToDLC, ownedSet, darkMode }) => {
+  const { t, tn, routeName } = useTranslation();
+  const [target, setTarget] = useState(OWNED_ROUTES_TARGET);
+  const [showCount, setShowCount] = useState(10);
+  
+  const nodeById = useMemo(() => Object.fromEntries(nodes.map(node => [node.id, node])), [nodes]);
+  
+  // Routes that have at least one loco from another DLC
+  const targetRoutes = useMemo(() => (
+    Object.keys(routeToDLC)
+      .filter(routeId => routeToDLC[routeId].length > 0)
+      .sort((a, b) => a.localeCompare(b))
+  ), [routeToDLC]);
+  
+  const rankings = useMemo(() => rankPurchases(routeToDLC, ownedSet), [routeToDLC, ownedSet]);
+  
+  // "All routes I own" means nothing until some routes are marked as owned
+  const noOwnedRoutes = target === OWNED_ROUTES_TARGET && !nodes.some(node => ownedSet.has(node.id));
+  
+  const suggestion = useMemo(() => {
+    const routes = target === OWNED_ROUTES_TARGET
+      ? targetRoutes.filter(routeId => ownedSet.has(routeId))
+      : [target];
+    return suggestPurchasesFor(routeToDLC, ownedSet, routes);
+  }, [routeToDLC, ownedSet, target, targetRoutes]);
+  
+  const describe = shortName => routeName(shortName, nodeById[shortName]?.fullName);
+  const rowClass = index => index % 2 === 0 ? (darkMode ? 'bg-gray-700' : 'bg-white') : (darkMode ? 'bg-gray-600' : 'bg-gray-50');
+  
+  return (
+    <div className="mb-6">
+      <h2 className="text-xl font-bold mb-2">{t('What Should I Buy Next?')}</h2>
+      
+      <h3 className="text-lg font-semibold mb-2">{t('Most new route + loco combinations')}</h3>
+      {rankings.length > 0 ? (
+        <div className={`overflow-x-auto ${darkMode ? 'bg-gray-700' : 'bg-gray-50'} rounded-md mb-2`}>
+          <table className="min-w-full divide-y divide-gray-500">
+            <thead className={darkMode ? 'bg-gray-800' : 'bg-gray-100'}>
+              <tr>
+                <th className="px-3 py-2 text-left text-sm font-medium">DLC</th>
+                <th className="px-3 py-2 text-right text-sm font-medium">{t('Unlocks')}</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-300">
+              {rankings.slice(0, showCount).map((rec, index) => (
+                <tr key={rec.shortName} className={rowClass(index)}>
+                  <td className="px-3 py-2 text-sm" title={rec.combos.map(combo => `${combo.routeId}: ${combo.loco}`).join('\n')}>
+                    <span className="font-semibold">{rec.shortName}</span>
+                    <span className="block text-xs opacity-75">{describe(rec.shortName)}</span>
+                  </td>
+                  <td className="px-3 py-2 text-sm text-right">{rec.count}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm mb-2">{t('Nothing left to unlock. You own it all!')}</p>
+      )}
+      {rankings.length > showCount && (
+        <button 
+          className={`px-2 py-1 rounded-md text-xs mb-4 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+          onClick={() => setShowCount(showCount + 10)}
+        >
+          {t('Show more')}
+        </button>
+      )}
+      
+      <h3 className="text-lg font-semibold mb-2 mt-2">{t('Cover a target')}</h3>
+      <label className="block text-sm mb-2">
+        <span className="mr-2">{t('Unlock every loco on')}</span>
+        <select 
+          value={target}
+          onChange={event => setTarget(event.target.value)}
+          className={`px-2 py-1 rounded-md ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}
+        >
+          <option value={OWNED_ROUTES_TARGET}>{t('all routes I own')}</option>
+          {targetRoutes.map(routeId => (
+            <option key={routeId} value={routeId}>{routeId} – {describe(routeId)}</option>
+          ))}
+        </select>
+      </label>
+      {noOwnedRoutes ? (
+        <p className="text-sm">{t('Mark the routes you own in My library first.')}</p>
+      ) : suggestion.total === 0 ? (
+        <p className="text-sm">{t('Every loco for this target is already playable.')}</p>
+      ) : (
+        <div>
+          <p className="text-sm mb-2">
+            {tn(suggestion.purchases.length, '{count} purchase unlocks {combinations}:', '{count} purchases unlock {combinations}:', {
+              combinations: tn(suggestion.total, '{count} route + loco combination', '{count} route + loco combinations')
+            })}
+          </p>
+          <ol className="list-decimal list-inside text-sm flex flex-col gap-1">
+            {suggestion.purchases.map(purchase => (
+              <li key={purchase.shortName}>
+                <span className="font-semibold">{purchase.shortName}</span> ({describe(purchase.shortName)})
+                <span className="block text-xs opacity-75 ml-5">
+                  {purchase.reason === 'route' && `${t('The route itself.')} `}
+                  {purchase.combos.map(combo => combo.loco).join(', ')}
+                </span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecommendationPanel;
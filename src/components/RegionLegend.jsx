@@ -0,0 +1,144 @@
+import React from 'react';
+import { DEFAULT_FILTERS, hasActiveFilters } from '../utils/filters';
+import { useTranslation } from '../utils/i18n';
+import { FALLBACK_COLOR } from '../utils/palettes';
+
+// Region legend whose entries double as filters for the graph, plus the loco
+// filters for the traction types and compatibility levels found in the data
+const RegionLegend = ({ regions, regionColors, filters, onFiltersChange, darkMode, showUnknownKey, visibleCount, totalCount, tractionTypes = [], hasPartial = false, bundles = [] }) => {
+  const { t, regionName, regionFlag } = useTranslation();
+  const hidden = filters.hiddenRegions;
+  
+  // Click shows or hides a region
+  const toggleRegion = (region) => {
+    onFiltersChange({
+      ...filters,
+      hiddenRegions: hidden.includes(region)
+        ? hidden.filter(r => r !== region)
+        : [...hidden, region]
+    });
+  };
+  
+  // Show only this region, or everything again if it is already isolated
+  const isolateRegion = (region) => {
+    const others = regions.filter(r => r !== region);
+    const isolated = others.every(r => hidden.includes(r)) && !hidden.includes(region);
+    onFiltersChange({ ...filters, hiddenRegions: isolated ? [] : others });
+  };
+  
+  // Show only locos with the chosen traction types; none chosen means all
+  const toggleTraction = (traction) => {
+    onFiltersChange({
+      ...filters,
+      traction: filters.traction.includes(traction)
+        ? filters.traction.filter(type => type !== traction)
+        : [...filters.traction, traction]
+    });
+  };
+  
+  const buttonClass = `px-2 py-1 rounded-md text-xs ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`;
+  
+  return (
+    <div className={`p-2 ${darkMode ? 'bg-gray-800' : 'bg-gray-100'}`}>
+      <div className="container mx-auto">
+        <div className="flex flex-wrap gap-2 items-center text-sm">
+          <span className="font-semibold">{t('Regions:')}</span>
+          {regions.map(region => (
+            <div key={region} className={`flex items-center ${hidden.includes(region) ? 'opacity-40' : ''}`}>
+              <button 
+                className="flex items-center"
+                onClick={() => toggleRegion(region)}
+                title={t(hidden.includes(region) ? 'Show {region}' : 'Hide {region}', { region: regionName(region) })}
+              >
+                <div 
+                  className="w-4 h-4 rounded-full mr-1" 
+                  style={{ backgroundColor: regionColors[region] || FALLBACK_COLOR }}
+                ></div>
+                {regionFlag(region) && <span className="mr-1" aria-hidden="true">{regionFlag(region)}</span>}
+                <span className={hidden.includes(region) ? 'line-through' : ''}>{regionName(region)}</span>
+              </button>
+              <button 
+                className="ml-1 text-xs opacity-60 hover:opacity-100"
+                onClick={() => isolateRegion(region)}
+                title={t('Show only {region}', { region: regionName(region) })}
+              >
+                ◎
+              </button>
+            </div>
+          ))}
+          {showUnknownKey && (
+            <div className="flex items-center">
+              <div className="w-4 h-4 rounded-full mr-1 border border-dashed border-current"></div>
+              <span>{t('Not in route_lookup.csv')}</span>
+            </div>
+          )}
+        </div>
+        <div className="flex flex-wrap gap-3 items-center text-sm mt-1">
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input 
+              type="checkbox"
+              checked={filters.crossRegionOnly}
+              onChange={event => onFiltersChange({ ...filters, crossRegionOnly: event.target.checked })}
+            />
+            {t('Cross-region links only')}
+          </label>
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input 
+              type="checkbox"
+              checked={filters.hideUnlinked}
+              onChange={event => onFiltersChange({ ...filters, hideUnlinked: event.target.checked })}
+            />
+            {t('Hide routes without links')}
+          </label>
+          {tractionTypes.length > 0 && (
+            <div className="flex flex-wrap gap-1 items-center">
+              <span>{t('Traction:')}</span>
+              {tractionTypes.map(traction => (
+                <button 
+                  key={traction}
+                  onClick={() => toggleTraction(traction)}
+                  className={`px-2 py-0.5 rounded-md text-xs ${filters.traction.includes(traction) ? 'bg-blue-600 text-white' : (darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300')}`}
+                >
+                  {t(traction)}
+                </button>
+              ))}
+            </div>
+          )}
+          {hasPartial && (
+            <label className="flex items-center gap-1 cursor-pointer">
+              <input 
+                type="checkbox"
+                checked={filters.fullOnly}
+                onChange={event => onFiltersChange({ ...filters, fullOnly: event.target.checked })}
+              />
+              {t('Fully compatible locos only')}
+            </label>
+          )}
+          {bundles.length > 0 && (
+            <label className="flex items-center gap-1">
+              {t('Bundle:')}
+              <select 
+                value={filters.bundle || ''}
+                onChange={event => onFiltersChange({ ...filters, bundle: event.target.value || null })}
+                className={`px-1 py-0.5 rounded-md text-xs ${darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}
+              >
+                <option value="">{t('All routes')}</option>
+                {bundles.map(bundle => (
+                  <option key={bundle.name} value={bundle.name}>{bundle.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          {hasActiveFilters(filters) && (
+            <>
+              <span className="opacity-75">{t('Showing {visible} of {total} routes', { visible: visibleCount, total: totalCount })}</span>
+              <button className={buttonClass} onClick={() => onFiltersChange(DEFAULT_FILTERS)}>{t('Reset filters')}</button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RegionLegend;
@@ -0,0 +1,58 @@
+import React from 'react';
+import DLCBadge from './DLCBadge';
+import { useTranslation } from '../utils/i18n';
+
+// Table of locos for a route and the DLCs that include them. Traction, partial
+// compatibility and notes from dlc_network.csv are shown under the loco name
+const RequiredDLCTable = ({ items, darkMode, regionColors, highlightedDLCs = [], ownedSet = null, routeBundles = {} }) => {
+  const { t } = useTranslation();
+  
+  return (
+    <div className={`overflow-x-auto ${darkMode ? 'bg-gray-700' : 'bg-gray-50'} rounded-md`}>
+      <table className="min-w-full divide-y divide-gray-500">
+        <thead className={darkMode ? 'bg-gray-800' : 'bg-gray-100'}>
+          <tr>
+            <th className="px-3 py-2 text-left text-sm font-medium">{t('Locomotive')}</th>
+            <th className="px-3 py-2 text-left text-sm font-medium">{t('Included in')}</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-300">
+          {items.map((item, index) => (
+            <tr key={index} className={index % 2 === 0 ? (darkMode ? 'bg-gray-700' : 'bg-white') : (darkMode ? 'bg-gray-600' : 'bg-gray-50')}>
+              <td className="px-3 py-2 text-sm align-top">
+                {item.loco}
+                {(item.traction || item.compatibility === 'partial') && (
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {item.traction && (
+                      <span className={`px-1 rounded text-xs ${darkMode ? 'bg-gray-800' : 'bg-gray-200'}`}>{t(item.traction)}</span>
+                    )}
+                    {item.compatibility === 'partial' && (
+                      <span className="px-1 rounded text-xs bg-amber-400 text-black" title={t('Only works on part of the route')}>{t('partial')}</span>
+                    )}
+                  </div>
+                )}
+                {item.notes && <div className="text-xs opacity-75 mt-1">{item.notes}</div>}
+              </td>
+              <td className="px-3 py-2 text-sm">
+                <div className="flex flex-wrap gap-1">
+                  {item.requiredDLCs.map((dlc, i) => (
+                    <DLCBadge 
+                      key={i}
+                      dlc={dlc}
+                      regionColors={regionColors}
+                      highlighted={highlightedDLCs.includes(dlc.shortName.trim())}
+                      owned={ownedSet ? ownedSet.has(dlc.shortName.trim()) : null}
+                      bundles={routeBundles[dlc.shortName.trim()]}
+                    />
+                  ))}
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default RequiredDLCTable;
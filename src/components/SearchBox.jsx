@@ -0,0 +1,81 @@
+import React, { useState, useMemo } from 'react';
+import { searchLocosAndRoutes } from '../utils/locos';
+import { useTranslation } from '../utils/i18n';
+
+// Fuzzy search over loco names, route short names and full route names
+const SearchBox = ({ locoIndex, nodes, onSelectLoco, onSelectRoute, darkMode }) => {
+  const { t, tn, routeName } = useTranslation();
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  
+  const results = useMemo(() => (
+    query.trim() ? searchLocosAndRoutes(query, locoIndex, nodes) : []
+  ), [query, locoIndex, nodes]);
+  
+  const choose = (result) => {
+    if (result.type === 'loco') {
+      onSelectLoco(result.id);
+    } else {
+      onSelectRoute(result.id);
+    }
+    setQuery(result.label);
+    setOpen(false);
+  };
+  
+  const handleKeyDown = (event) => {
+    if (!results.length) return;
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setActiveIndex((activeIndex + 1) % results.length);
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActiveIndex((activeIndex - 1 + results.length) % results.length);
+    } else if (event.key === 'Enter') {
+      choose(results[activeIndex] || results[0]);
+    } else if (event.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+  
+  return (
+    <div className="relative w-full md:w-72">
+      <input 
+        type="search"
+        value={query}
+        placeholder={t('Search locos or routes...')}
+        onChange={event => {
+          setQuery(event.target.value);
+          setActiveIndex(0);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onKeyDown={handleKeyDown}
+        className={`w-full px-3 py-2 rounded-md ${darkMode ? 'bg-gray-700 text-white placeholder-gray-400' : 'bg-white text-gray-900 border border-gray-300'}`}
+      />
+      {open && results.length > 0 && (
+        <ul className={`absolute z-10 mt-1 w-full rounded-md shadow-lg max-h-80 overflow-y-auto ${darkMode ? 'bg-gray-700' : 'bg-white border border-gray-200'}`}>
+          {results.map((result, index) => (
+            <li 
+              key={`${result.type}-${result.id}`}
+              onMouseDown={() => choose(result)}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`px-3 py-2 cursor-pointer text-sm ${index === activeIndex ? (darkMode ? 'bg-gray-600' : 'bg-gray-100') : ''}`}
+            >
+              <span className="mr-2">{result.type === 'loco' ? '🚂' : '🛤️'}</span>
+              <span className="font-semibold">{result.label}</span>
+              <span className="block text-xs opacity-75 ml-7">
+                {result.type === 'loco'
+                  ? tn(result.routeCount, '{count} route', '{count} routes')
+                  : routeName(result.id, result.detail)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
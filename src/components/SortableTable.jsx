@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { useTranslation } from '../utils/i18n';
+
+// Table whose columns sort when their header is clicked, with clickable rows.
+// Column labels and titles are translated here
+const SortableTable = ({ columns, rows, rowKey, darkMode, onRowClick, selectedKey, initialSort }) => {
+  const { t } = useTranslation();
+  const [sort, setSort] = useState(initialSort || { key: columns[0].key, descending: false });
+  
+  const sortedRows = [...rows].sort((a, b) => {
+    const x = a[sort.key];
+    const y = b[sort.key];
+    const order = typeof x === 'number' && typeof y === 'number'
+      ? x - y
+      : String(x).localeCompare(String(y));
+    return sort.descending ? -order : order;
+  });
+  
+  const toggleSort = (key) => {
+    setSort(sort.key === key
+      ? { key, descending: !sort.descending }
+      : { key, descending: typeof rows[0]?.[key] === 'number' });
+  };
+  
+  return (
+    <div className={`overflow-x-auto ${darkMode ? 'bg-gray-700' : 'bg-gray-50'} rounded-md`}>
+      <table className="min-w-full divide-y divide-gray-500">
+        <thead className={darkMode ? 'bg-gray-800' : 'bg-gray-100'}>
+          <tr>
+            {columns.map(column => (
+              <th 
+                key={column.key}
+                onClick={() => toggleSort(column.key)}
+                className={`px-2 py-2 text-sm font-medium cursor-pointer select-none ${column.numeric ? 'text-right' : 'text-left'}`}
+                title={column.title && t(column.title)}
+              >
+                {t(column.label)}
+                {sort.key === column.key && (sort.descending ? ' ▼' : ' ▲')}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-300">
+          {sortedRows.map((row, index) => (
+            <tr 
+              key={row[rowKey]}
+              onClick={onRowClick ? () => onRowClick(row) : undefined}
+              className={`${onRowClick ? 'cursor-pointer' : ''} ${row[rowKey] === selectedKey ? 'font-bold' : ''} ${index % 2 === 0 ? (darkMode ? 'bg-gray-700' : 'bg-white') : (darkMode ? 'bg-gray-600' : 'bg-gray-50')}`}
+            >
+              {columns.map(column => (
+                <td key={column.key} className={`px-2 py-1 text-sm ${column.numeric ? 'text-right' : ''}`}>
+                  {column.format ? column.format(row[column.key], row) : row[column.key]}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default SortableTable;
@@ -0,0 +1,94 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { releaseDates, releaseAdditions } from '../utils/timeline';
+import { useTranslation } from '../utils/i18n';
+
+const PLAY_INTERVAL = 1500;
+
+const DATE_FORMAT = {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+};
+
+// Slider over release dates that shows the network as it stood on each one,
+// with a play button that steps through them release by release
+const TimelineBar = ({ nodes, edges, date, onDateChange, darkMode, onSelectRoute }) => {
+  const { t, tn, routeName, formatDate } = useTranslation();
+  const [playing, setPlaying] = useState(false);
+  
+  const dates = useMemo(() => releaseDates(nodes), [nodes]);
+  const index = Math.max(0, dates.indexOf(date));
+  const additions = useMemo(() => releaseAdditions(nodes, edges, date), [nodes, edges, date]);
+  const versions = [...new Set(additions.routes.map(route => route.version).filter(Boolean))];
+  const undated = nodes.filter(node => !node.releaseDate).length;
+  
+  // Step to the next release, stopping at the last one
+  useEffect(() => {
+    if (!playing) return;
+    if (index >= dates.length - 1) {
+      setPlaying(false);
+      return;
+    }
+    
+    const timer = setTimeout(() => onDateChange(dates[index + 1]), PLAY_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [playing, index, dates, onDateChange]);
+  
+  // Playing from the last release starts again from the first
+  const togglePlaying = () => {
+    if (!playing && index >= dates.length - 1) onDateChange(dates[0]);
+    setPlaying(!playing);
+  };
+  
+  const buttonClass = `px-2 py-1 rounded-md text-xs ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`;
+  
+  return (
+    <div className={`p-2 border-t ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-gray-100 border-gray-200'}`}>
+      <div className="container mx-auto text-sm">
+        <div className="flex flex-wrap gap-2 items-center">
+          <button className={buttonClass} onClick={togglePlaying} disabled={dates.length < 2}>
+            {playing ? `⏸ ${t('Pause')}` : `▶ ${t('Play')}`}
+          </button>
+          <input
+            type="range"
+            min={0}
+            max={dates.length - 1}
+            value={index}
+            onChange={event => {
+              setPlaying(false);
+              onDateChange(dates[Number(event.target.value)]);
+            }}
+            className="flex-1 min-w-[8rem]"
+            aria-label={t('Release date')}
+          />
+          <span className="font-semibold whitespace-nowrap">
+            {formatDate(date, DATE_FORMAT)}{versions.length > 0 && ` · ${versions.join(', ')}`}
+          </span>
+        </div>
+        <div className="flex flex-wrap gap-1 items-center mt-1">
+          <span className="opacity-75">{t('Released:')}</span>
+          {additions.routes.map(route => (
+            <button
+              key={route.id}
+              className="font-semibold underline"
+              onClick={() => onSelectRoute(route.id)}
+              title={routeName(route.id, route.fullName)}
+            >
+              {route.label}
+            </button>
+          ))}
+          <span className="opacity-75">
+            – {tn(additions.edges.length, '{count} new layering link', '{count} new layering links')}
+          </span>
+          {undated > 0 && (
+            <span className="opacity-75 ml-auto">
+              {tn(undated, '{count} route has no release date and is hidden', '{count} routes have no release date and are hidden')}
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TimelineBar;
@@ -0,0 +1,276 @@
+// German translations of the interface, keyed by the English text.
+// Placeholders such as {route} must be kept as they are
+
+export default {
+  'Network Statistics': 'Netzwerkstatistik',
+  'For the routes currently shown. Click a column to sort and a row to select the route.': 'Für die gerade angezeigten Strecken. Klicke auf eine Spalte zum Sortieren und auf eine Zeile, um die Strecke auszuwählen.',
+  'Routes': 'Strecken',
+  'Regions': 'Regionen',
+  'Connected Groups ({count})': 'Verbundene Gruppen ({count})',
+  'Group {id}': 'Gruppe {id}',
+  '{count} route': '{count} Strecke',
+  '{count} routes': '{count} Strecken',
+  'Isolated Routes ({count})': 'Isolierte Strecken ({count})',
+  'Every route shares locos with at least one other.': 'Jede Strecke teilt Loks mit mindestens einer anderen.',
+  'Route': 'Strecke',
+  'Region': 'Region',
+  'Out': 'Aus',
+  'In': 'Ein',
+  'Borrowed': 'Geliehen',
+  'Lent': 'Verliehen',
+  'Hub': 'Knoten',
+  'Group': 'Gruppe',
+  'Internal': 'Intern',
+  'Number of DLCs this route borrows locos from': 'Anzahl der DLCs, von denen diese Strecke Loks leiht',
+  'Number of routes that borrow locos from this DLC': 'Anzahl der Strecken, die Loks von diesem DLC leihen',
+  'Locos this route gets from other DLCs': 'Loks, die diese Strecke von anderen DLCs bekommt',
+  'Locos this DLC adds to other routes': 'Loks, die dieser DLC anderen Strecken hinzufügt',
+  'Betweenness centrality: how often the route lies on shortest layering chains': 'Betweenness-Zentralität: wie oft die Strecke auf kürzesten Layering-Ketten liegt',
+  'Connected component': 'Zusammenhangskomponente',
+  'Links between routes of this region': 'Verbindungen zwischen Strecken dieser Region',
+  'Links to DLCs from other regions': 'Verbindungen zu DLCs aus anderen Regionen',
+  'Links from routes in other regions': 'Verbindungen von Strecken in anderen Regionen',
+  'Name': 'Name',
+  'Loco count': 'Anzahl Loks',
+  'Sort by:': 'Sortieren nach:',
+  'Rows borrow locos from columns': 'Zeilen leihen Loks von Spalten',
+  'Route ↓ / DLC →': 'Strecke ↓ / DLC →',
+  '{count} loco lent': '{count} Lok verliehen',
+  '{count} locos lent': '{count} Loks verliehen',
+  '{count} loco borrowed': '{count} Lok geliehen',
+  '{count} locos borrowed': '{count} Loks geliehen',
+  '{route} borrows {count} loco from {dlc}': '{route} leiht {count} Lok von {dlc}',
+  '{route} borrows {count} locos from {dlc}': '{route} leiht {count} Loks von {dlc}',
+  'No layering links to show.': 'Keine Layering-Verbindungen anzuzeigen.',
+  'Current data': 'Aktuelle Daten',
+  'Changelog': 'Änderungsverlauf',
+  'No earlier versions of the data have been saved yet.': 'Es wurden noch keine früheren Versionen der Daten gespeichert.',
+  'From': 'Von',
+  'To': 'Bis',
+  'Show changes on the graph': 'Änderungen im Graphen zeigen',
+  'added': 'hinzugefügt',
+  'removed': 'entfernt',
+  'changed': 'geändert',
+  'No changes to routes, locos or layering links.': 'Keine Änderungen an Strecken, Loks oder Layering-Verbindungen.',
+  '{added} routes added, {removed} removed;': '{added} Strecken hinzugefügt, {removed} entfernt;',
+  '{added} layering links added, {removed} removed, {changed} changed.': '{added} Layering-Verbindungen hinzugefügt, {removed} entfernt, {changed} geändert.',
+  '{first} vs {second}': '{first} vs. {second}',
+  'Swap': 'Tauschen',
+  'Stop comparing': 'Vergleich beenden',
+  'Shared Locos': 'Gemeinsame Loks',
+  'On': 'Auf',
+  'from {dlc}': 'von {dlc}',
+  '{route} doesn\'t use {dlc} locos.': '{route} nutzt keine Loks von {dlc}.',
+  'DLCs Both Routes Borrow From': 'DLCs, von denen beide Strecken leihen',
+  'No other DLC adds locos to both routes.': 'Kein anderer DLC fügt beiden Strecken Loks hinzu.',
+  'Locos On Only One Route': 'Loks auf nur einer Strecke',
+  'Only': 'Nur',
+  'Every {route} loco also runs on {other}.': 'Jede Lok von {route} fährt auch auf {other}.',
+  'Included in {bundles}': 'Enthalten in {bundles}',
+  'line {lines}': 'Zeile {lines}',
+  'lines {lines}': 'Zeilen {lines}',
+  'Data Quality': 'Datenqualität',
+  'No problems found in the CSV files.': 'Keine Probleme in den CSV-Dateien gefunden.',
+  '{count} problems found. Line numbers refer to the imported files.': '{count} Probleme gefunden. Die Zeilennummern beziehen sich auf die importierten Dateien.',
+  '{count} problems found. Line numbers refer to the CSV files in public/.': '{count} Probleme gefunden. Die Zeilennummern beziehen sich auf die CSV-Dateien in public/.',
+  'Short names missing from {file}': 'Kurznamen, die in {file} fehlen',
+  'Routes requiring themselves': 'Strecken, die sich selbst voraussetzen',
+  'line {line}': 'Zeile {line}',
+  'Duplicate route + loco rows': 'Doppelte Zeilen mit Strecke + Lok',
+  'line {line}, first seen on line {firstLine}': 'Zeile {line}, zuerst in Zeile {firstLine}',
+  'Lookup entries never used in {file}': 'Einträge der Streckenliste, die in {file} nie vorkommen',
+  'Import Data': 'Daten importieren',
+  'Use your own CSV files without rebuilding the site. They need the same columns as the built-in data:': 'Nutze deine eigenen CSV-Dateien, ohne die Seite neu zu bauen. Sie brauchen dieselben Spalten wie die eingebauten Daten:',
+  'and optionally': 'und optional',
+  'for the route lookup and': 'für die Streckenliste und',
+  'for the DLC network.': 'für das DLC-Netzwerk.',
+  'A single file can hold both, one after the other, each starting with its header row.': 'Eine einzelne Datei kann beide nacheinander enthalten, jeweils mit eigener Kopfzeile.',
+  'Drop CSV files here or click to choose them': 'CSV-Dateien hierher ziehen oder klicken, um sie auszuwählen',
+  'Showing imported data from': 'Importierte Daten aus',
+  'Back to built-in data': 'Zurück zu den eingebauten Daten',
+  'Not imported: {count} error': 'Nicht importiert: {count} Fehler',
+  'Not imported: {count} errors': 'Nicht importiert: {count} Fehler',
+  'Imported with {count} data warnings; open ⚠️ in the header to see them.': 'Mit {count} Datenwarnungen importiert; öffne ⚠️ in der Kopfzeile, um sie zu sehen.',
+  'Locomotives': 'Lokomotiven',
+  'My library:': 'Meine Bibliothek:',
+  '{owned} of {total} routes owned': '{owned} von {total} Strecken im Besitz',
+  'Select all': 'Alle auswählen',
+  'Clear': 'Leeren',
+  'Add the routes of a bundle': 'Die Strecken eines Pakets hinzufügen',
+  'I own…': 'Ich besitze…',
+  'Base game': 'Grundspiel',
+  'Viewing a shared library. Editing it replaces your saved one.': 'Du siehst eine geteilte Bibliothek. Wenn du sie bearbeitest, ersetzt sie deine gespeicherte.',
+  'Use my saved library': 'Meine gespeicherte Bibliothek verwenden',
+  'Also listed as:': 'Auch geführt als:',
+  'Provided By': 'Enthalten in',
+  'Playable On {count} Route': 'Spielbar auf {count} Strecke',
+  'Playable On {count} Routes': 'Spielbar auf {count} Strecken',
+  'Included in': 'Enthalten in',
+  '{count} route, with the DLCs it borrows locos from and the routes that borrow its locos.': '{count} Strecke, mit den DLCs, von denen sie Loks leiht, und den Strecken, die ihre Loks leihen.',
+  '{count} routes, each with the DLCs it borrows locos from and the routes that borrow its locos.': '{count} Strecken, jeweils mit den DLCs, von denen sie Loks leiht, und den Strecken, die ihre Loks leihen.',
+  'Borrows locos from {count} DLC': 'Leiht Loks von {count} DLC',
+  'Borrows locos from {count} DLCs': 'Leiht Loks von {count} DLCs',
+  'Borrows no locos from other DLCs.': 'Leiht keine Loks von anderen DLCs.',
+  'Lends locos to {count} route': 'Verleiht Loks an {count} Strecke',
+  'Lends locos to {count} routes': 'Verleiht Loks an {count} Strecken',
+  'No other routes use its locos.': 'Keine andere Strecke nutzt ihre Loks.',
+  'Choose a route': 'Strecke wählen',
+  'Path Finder': 'Wegsuche',
+  'Ignore edge direction': 'Richtung der Verbindungen ignorieren',
+  'No chain of layering links connects {from} to {to}.': 'Keine Kette von Layering-Verbindungen führt von {from} nach {to}.',
+  '{count} shortest chain of {hops}:': '{count} kürzeste Kette mit {hops}:',
+  '{count} shortest chains of {hops}:': '{count} kürzeste Ketten mit {hops}:',
+  '{count} hop': '{count} Schritt',
+  '{count} hops': '{count} Schritten',
+  'What Should I Buy Next?': 'Was sollte ich als Nächstes kaufen?',
+  'Most new route + loco combinations': 'Die meisten neuen Kombinationen aus Strecke + Lok',
+  'Unlocks': 'Schaltet frei',
+  'Nothing left to unlock. You own it all!': 'Nichts mehr freizuschalten. Du besitzt alles!',
+  'Show more': 'Mehr zeigen',
+  'Cover a target': 'Ein Ziel abdecken',
+  'Unlock every loco on': 'Jede Lok freischalten auf',
+  'all routes I own': 'allen Strecken, die ich besitze',
+  'Every loco for this target is already playable.': 'Jede Lok für dieses Ziel ist bereits spielbar.',
+  '{count} purchase unlocks {combinations}:': '{count} Kauf schaltet {combinations} frei:',
+  '{count} purchases unlock {combinations}:': '{count} Käufe schalten {combinations} frei:',
+  '{count} route + loco combination': '{count} Kombination aus Strecke + Lok',
+  '{count} route + loco combinations': '{count} Kombinationen aus Strecke + Lok',
+  'The route itself.': 'Die Strecke selbst.',
+  'Regions:': 'Regionen:',
+  'Show {region}': '{region} zeigen',
+  'Hide {region}': '{region} ausblenden',
+  'Show only {region}': 'Nur {region} zeigen',
+  'Not in route_lookup.csv': 'Nicht in route_lookup.csv',
+  'Cross-region links only': 'Nur regionsübergreifende Verbindungen',
+  'Hide routes without links': 'Strecken ohne Verbindungen ausblenden',
+  'Traction:': 'Antrieb:',
+  'diesel': 'Diesel',
+  'electric': 'elektrisch',
+  'steam': 'Dampf',
+  'bi-mode': 'Zweikraft',
+  'Fully compatible locos only': 'Nur voll kompatible Loks',
+  'Bundle:': 'Paket:',
+  'All routes': 'Alle Strecken',
+  'Showing {visible} of {total} routes': '{visible} von {total} Strecken angezeigt',
+  'Reset filters': 'Filter zurücksetzen',
+  'Locomotive': 'Lokomotive',
+  'Only works on part of the route': 'Funktioniert nur auf einem Teil der Strecke',
+  'partial': 'teilweise',
+  'Search locos or routes...': 'Loks oder Strecken suchen...',
+  'Pause': 'Pause',
+  'Play': 'Abspielen',
+  'Release date': 'Erscheinungsdatum',
+  'Released:': 'Erschienen:',
+  '{count} new layering link': '{count} neue Layering-Verbindung',
+  '{count} new layering links': '{count} neue Layering-Verbindungen',
+  '{count} route has no release date and is hidden': '{count} Strecke hat kein Erscheinungsdatum und ist ausgeblendet',
+  '{count} routes have no release date and are hidden': '{count} Strecken haben kein Erscheinungsdatum und sind ausgeblendet',
+  '{count} loco': '{count} Lok',
+  '{count} locos': '{count} Loks',
+  '{name} ({id}), {region}. {borrows}, {lends}': '{name} ({id}), {region}. {borrows}, {lends}',
+  'lends locos to {count} route': 'verleiht Loks an {count} Strecke',
+  'lends locos to {count} routes': 'verleiht Loks an {count} Strecken',
+  'Loading DLC Network Data...': 'DLC-Netzwerkdaten werden geladen...',
+  'Error': 'Fehler',
+  'Train Sim World Route Layering': 'Train Sim World Strecken-Layering',
+  'Problems found in the CSV data': 'In den CSV-Daten gefundene Probleme',
+  'Stats': 'Statistik',
+  'The data needs release dates for at least two releases': 'Die Daten brauchen Erscheinungsdaten für mindestens zwei Veröffentlichungen',
+  'Show the network as it grew release by release': 'Das Netzwerk zeigen, wie es Veröffentlichung für Veröffentlichung wuchs',
+  'Timeline': 'Zeitleiste',
+  'What changed between versions of the data': 'Was sich zwischen Versionen der Daten geändert hat',
+  'Load your own CSV files': 'Eigene CSV-Dateien laden',
+  'Import': 'Importieren',
+  'My Library': 'Meine Bibliothek',
+  'Region colors that stay distinguishable with color blindness': 'Regionsfarben, die auch bei Farbenblindheit unterscheidbar bleiben',
+  'Colorblind-safe': 'Farbenblind-freundlich',
+  'Light Mode': 'Heller Modus',
+  'Dark Mode': 'Dunkler Modus',
+  'Language': 'Sprache',
+  'Download the processed graph': 'Den verarbeiteten Graphen herunterladen',
+  'Download this view as {format}': 'Diese Ansicht als {format} herunterladen',
+  'Download the node positions as layout.json': 'Die Knotenpositionen als layout.json herunterladen',
+  'Layout': 'Layout',
+  'Drag a route to pin it and double-click it to let it go. This forgets all pinned and remembered positions': 'Ziehe eine Strecke, um sie festzuheften, und doppelklicke sie, um sie zu lösen. Dies vergisst alle festgehefteten und gemerkten Positionen',
+  'Reset layout': 'Layout zurücksetzen',
+  'Network': 'Netzwerk',
+  'Matrix': 'Matrix',
+  'Chord': 'Sehnen',
+  'List': 'Liste',
+  'Layering network of {count} routes. Tab to a route, use the arrow keys to move between connected routes and Enter to select one, or switch to the List view': 'Layering-Netzwerk aus {count} Strecken. Springe mit Tab zu einer Strecke, wechsle mit den Pfeiltasten zwischen verbundenen Strecken und wähle mit Enter eine aus, oder wechsle zur Listenansicht',
+  'Region:': 'Region:',
+  'Compare with:': 'Vergleichen mit:',
+  'Or Shift + click another route on the graph': 'Oder Umschalt + Klick auf eine andere Strecke im Graphen',
+  'Choose a route…': 'Strecke wählen…',
+  '{route} is missing from the route lookup, so its full name and region are unknown.': '{route} fehlt in der Streckenliste, daher sind vollständiger Name und Region unbekannt.',
+  'Borrows from': 'Leiht von',
+  'Lends to': 'Verleiht an',
+  'Routes That Can Use Trains From {route}': 'Strecken, die Züge von {route} nutzen können',
+  'No other routes use trains from {route}.': 'Keine anderen Strecken nutzen Züge von {route}.',
+  'Required DLCs For Additional Playable Trains': 'Benötigte DLCs für zusätzliche spielbare Züge',
+  'No DLC requirements found for {route}.': 'Keine DLC-Voraussetzungen für {route} gefunden.',
+  'Select a node to view details': 'Wähle einen Knoten, um Details zu sehen',
+  'Click on any DLC node in the network to see its requirements and connections': 'Klicke auf einen DLC-Knoten im Netzwerk, um seine Voraussetzungen und Verbindungen zu sehen',
+  'Click on nodes to see details | Arrows point from a DLC to the routes that can use its trains': 'Klicke auf Knoten für Details | Pfeile zeigen von einem DLC zu den Strecken, die seine Züge nutzen können',
+  'imported data': 'importierte Daten',
+  'See what changed in the data': 'Sehen, was sich in den Daten geändert hat',
+  'updated {date}': 'aktualisiert {date}',
+  'You don\'t own {route}, so none of these locos are playable yet.': 'Du besitzt {route} nicht, daher ist noch keine dieser Loks spielbar.',
+  'Playable now': 'Jetzt spielbar',
+  'No locos unlocked by your library yet.': 'Deine Bibliothek schaltet noch keine Loks frei.',
+  'Requires purchase': 'Kauf erforderlich',
+  'Every loco for this route is already playable.': 'Jede Lok für diese Strecke ist bereits spielbar.',
+  'Unknown': 'Unbekannt',
+  'You\'re offline and this device has no saved copy of the data yet. Open the site once with a connection to use it offline.': 'Du bist offline und auf diesem Gerät ist noch keine Kopie der Daten gespeichert. Öffne die Seite einmal mit Verbindung, um sie offline zu nutzen.',
+  'The server could not be reached.': 'Der Server war nicht erreichbar.',
+  'The server answered with HTTP {status}.': 'Der Server antwortete mit HTTP {status}.',
+  'The file is not valid JSON, so it may have been cut off while downloading.': 'Die Datei ist kein gültiges JSON und wurde beim Herunterladen vielleicht abgeschnitten.',
+  'Could not load {file}.': '{file} konnte nicht geladen werden.',
+  'Failed to load data.': 'Die Daten konnten nicht geladen werden.',
+  'Retry': 'Erneut versuchen',
+  'A newer version of the data is available.': 'Eine neuere Version der Daten ist verfügbar.',
+  'Refresh': 'Aktualisieren',
+  'Dismiss': 'Schließen',
+  'offline, showing the data saved on this device': 'offline, die auf diesem Gerät gespeicherten Daten werden angezeigt',
+  'full': 'vollständig',
+  '{loco} traction: {before} → {after}': '{loco} Antrieb: {before} → {after}',
+  '{loco} compatibility: {before} → {after}': '{loco} Kompatibilität: {before} → {after}',
+  '{loco} notes: {before} → {after}': '{loco} Hinweise: {before} → {after}',
+  'New route {route}': 'Neue Strecke {route}',
+  'Route removed ({route})': 'Strecke entfernt ({route})',
+  'New loco {loco}, included in {dlcs}': 'Neue Lok {loco}, enthalten in {dlcs}',
+  'Loco {loco} removed': 'Lok {loco} entfernt',
+  '{loco} now also in {added}; no longer in {removed}': '{loco} jetzt auch in {added}; nicht mehr in {removed}',
+  '{loco} now also in {added}': '{loco} jetzt auch in {added}',
+  '{loco} no longer in {removed}': '{loco} nicht mehr in {removed}',
+  'Second route lookup (Route, Short Name, Region) section (first in {file} on line {firstLine})': 'Zweiter Abschnitt mit Strecken (Route, Short Name, Region) (der erste in {file} in Zeile {firstLine})',
+  'Missing route lookup (Route, Short Name, Region) data': 'Streckendaten (Route, Short Name, Region) fehlen',
+  'Second DLC network (Route, Loco, Required DLC) section (first in {file} on line {firstLine})': 'Zweiter Abschnitt mit dem DLC-Netz (Route, Loco, Required DLC) (der erste in {file} in Zeile {firstLine})',
+  'Missing DLC network (Route, Loco, Required DLC) data': 'Daten des DLC-Netzes (Route, Loco, Required DLC) fehlen',
+  'Could not read the file: {detail}': 'Die Datei konnte nicht gelesen werden: {detail}',
+  'No header row found; expected the columns of route_lookup.csv or dlc_network.csv': 'Keine Kopfzeile gefunden; erwartet werden die Spalten von route_lookup.csv oder dlc_network.csv',
+  'Too few fields: expected {expected} but found {found}': 'Zu wenige Felder: {expected} erwartet, aber {found} gefunden',
+  'Too many fields: expected {expected} but found {found}': 'Zu viele Felder: {expected} erwartet, aber {found} gefunden',
+  'Quoted field is never closed': 'Ein Feld in Anführungszeichen wird nie geschlossen',
+  'Quoted field has a stray quote in it': 'Ein Feld in Anführungszeichen enthält ein überzähliges Anführungszeichen',
+  'Missing column "{column}"': 'Spalte "{column}" fehlt',
+  'Empty "{column}"': '"{column}" ist leer',
+  'Release date "{date}" is not a YYYY-MM-DD date': 'Erscheinungsdatum "{date}" ist kein Datum im Format JJJJ-MM-TT',
+  'Duplicate short name "{shortName}" (first on line {firstLine})': 'Doppelter Kurzname "{shortName}" (zuerst in Zeile {firstLine})',
+  'Duplicate row for {route} / {loco} (first on line {firstLine})': 'Doppelte Zeile für {route} / {loco} (zuerst in Zeile {firstLine})',
+  '"{shortName}" is not in {file} (lines {lines})': '"{shortName}" steht nicht in {file} (Zeilen {lines})',
+  '{route} lists itself as a required DLC for {loco}': '{route} nennt sich selbst als benötigten DLC für {loco}',
+  '"{shortName}" never appears in {file}': '"{shortName}" kommt in {file} nie vor',
+  'Duplicate bundle "{bundle}" (first on line {firstLine})': 'Doppeltes Paket "{bundle}" (zuerst in Zeile {firstLine})',
+  '"{shortName}" is not in {file}': '"{shortName}" steht nicht in {file}',
+  '{column} "{value}" is not a #rrggbb color': '{column} "{value}" ist keine Farbe im Format #rrggbb',
+  'Duplicate region "{region}" (first on line {firstLine})': 'Doppelte Region "{region}" (zuerst in Zeile {firstLine})',
+  'Region "{region}" is not in {file}': 'Region "{region}" steht nicht in {file}',
+  'Invalid JSON: {detail}': 'Ungültiges JSON: {detail}',
+  'Expected an object of positions by short name': 'Erwartet wird ein Objekt mit Positionen nach Kurznamen',
+  '"{shortName}" needs numeric "x" and "y"': '"{shortName}" braucht numerische Werte für "x" und "y"',
+  '"{date}" is not a YYYY-MM or YYYY-MM-DD date': '"{date}" ist kein Datum im Format JJJJ-MM oder JJJJ-MM-TT',
+  'Unknown traction "{value}" (expected {allowed})': 'Unbekannter Antrieb "{value}" (erwartet: {allowed})',
+  'Unknown compatibility "{value}" (expected {allowed})': 'Unbekannte Kompatibilität "{value}" (erwartet: {allowed})',
+  'Mark the routes you own in My library first.': 'Markiere zuerst in Meine Bibliothek die Strecken, die du besitzt.'
+};
@@ -0,0 +1,276 @@
+// French translations of the interface, keyed by the English text.
+// Placeholders such as {route} must be kept as they are
+
+export default {
+  'Network Statistics': 'Statistiques du réseau',
+  'For the routes currently shown. Click a column to sort and a row to select the route.': 'Pour les itinéraires affichés. Cliquez sur une colonne pour trier et sur une ligne pour sélectionner l\'itinéraire.',
+  'Routes': 'Itinéraires',
+  'Regions': 'Régions',
+  'Connected Groups ({count})': 'Groupes connectés ({count})',
+  'Group {id}': 'Groupe {id}',
+  '{count} route': '{count} itinéraire',
+  '{count} routes': '{count} itinéraires',
+  'Isolated Routes ({count})': 'Itinéraires isolés ({count})',
+  'Every route shares locos with at least one other.': 'Chaque itinéraire partage des locomotives avec au moins un autre.',
+  'Route': 'Itinéraire',
+  'Region': 'Région',
+  'Out': 'Sortants',
+  'In': 'Entrants',
+  'Borrowed': 'Empruntées',
+  'Lent': 'Prêtées',
+  'Hub': 'Pivot',
+  'Group': 'Groupe',
+  'Internal': 'Internes',
+  'Number of DLCs this route borrows locos from': 'Nombre de DLC dont cet itinéraire emprunte des locomotives',
+  'Number of routes that borrow locos from this DLC': 'Nombre d\'itinéraires qui empruntent des locomotives à ce DLC',
+  'Locos this route gets from other DLCs': 'Locomotives que cet itinéraire reçoit d\'autres DLC',
+  'Locos this DLC adds to other routes': 'Locomotives que ce DLC ajoute à d\'autres itinéraires',
+  'Betweenness centrality: how often the route lies on shortest layering chains': 'Centralité d\'intermédiarité : fréquence à laquelle l\'itinéraire se trouve sur les plus courtes chaînes de layering',
+  'Connected component': 'Composante connexe',
+  'Links between routes of this region': 'Liens entre les itinéraires de cette région',
+  'Links to DLCs from other regions': 'Liens vers des DLC d\'autres régions',
+  'Links from routes in other regions': 'Liens depuis des itinéraires d\'autres régions',
+  'Name': 'Nom',
+  'Loco count': 'Nombre de locomotives',
+  'Sort by:': 'Trier par :',
+  'Rows borrow locos from columns': 'Les lignes empruntent des locomotives aux colonnes',
+  'Route ↓ / DLC →': 'Itinéraire ↓ / DLC →',
+  '{count} loco lent': '{count} locomotive prêtée',
+  '{count} locos lent': '{count} locomotives prêtées',
+  '{count} loco borrowed': '{count} locomotive empruntée',
+  '{count} locos borrowed': '{count} locomotives empruntées',
+  '{route} borrows {count} loco from {dlc}': '{route} emprunte {count} locomotive à {dlc}',
+  '{route} borrows {count} locos from {dlc}': '{route} emprunte {count} locomotives à {dlc}',
+  'No layering links to show.': 'Aucun lien de layering à afficher.',
+  'Current data': 'Données actuelles',
+  'Changelog': 'Historique des modifications',
+  'No earlier versions of the data have been saved yet.': 'Aucune version antérieure des données n\'a encore été enregistrée.',
+  'From': 'De',
+  'To': 'À',
+  'Show changes on the graph': 'Afficher les modifications sur le graphe',
+  'added': 'ajouté',
+  'removed': 'supprimé',
+  'changed': 'modifié',
+  'No changes to routes, locos or layering links.': 'Aucune modification des itinéraires, locomotives ou liens de layering.',
+  '{added} routes added, {removed} removed;': '{added} itinéraires ajoutés, {removed} supprimés ;',
+  '{added} layering links added, {removed} removed, {changed} changed.': '{added} liens de layering ajoutés, {removed} supprimés, {changed} modifiés.',
+  '{first} vs {second}': '{first} contre {second}',
+  'Swap': 'Inverser',
+  'Stop comparing': 'Arrêter la comparaison',
+  'Shared Locos': 'Locomotives partagées',
+  'On': 'Sur',
+  'from {dlc}': 'venant de {dlc}',
+  '{route} doesn\'t use {dlc} locos.': '{route} n\'utilise aucune locomotive de {dlc}.',
+  'DLCs Both Routes Borrow From': 'DLC dont les deux itinéraires empruntent',
+  'No other DLC adds locos to both routes.': 'Aucun autre DLC n\'ajoute de locomotives aux deux itinéraires.',
+  'Locos On Only One Route': 'Locomotives sur un seul itinéraire',
+  'Only': 'Uniquement',
+  'Every {route} loco also runs on {other}.': 'Chaque locomotive de {route} circule aussi sur {other}.',
+  'Included in {bundles}': 'Inclus dans {bundles}',
+  'line {lines}': 'ligne {lines}',
+  'lines {lines}': 'lignes {lines}',
+  'Data Quality': 'Qualité des données',
+  'No problems found in the CSV files.': 'Aucun problème trouvé dans les fichiers CSV.',
+  '{count} problems found. Line numbers refer to the imported files.': '{count} problèmes trouvés. Les numéros de ligne se rapportent aux fichiers importés.',
+  '{count} problems found. Line numbers refer to the CSV files in public/.': '{count} problèmes trouvés. Les numéros de ligne se rapportent aux fichiers CSV de public/.',
+  'Short names missing from {file}': 'Noms courts absents de {file}',
+  'Routes requiring themselves': 'Itinéraires qui se requièrent eux-mêmes',
+  'line {line}': 'ligne {line}',
+  'Duplicate route + loco rows': 'Lignes itinéraire + locomotive en double',
+  'line {line}, first seen on line {firstLine}': 'ligne {line}, vue d\'abord à la ligne {firstLine}',
+  'Lookup entries never used in {file}': 'Entrées de la liste des itinéraires jamais utilisées dans {file}',
+  'Import Data': 'Importer des données',
+  'Use your own CSV files without rebuilding the site. They need the same columns as the built-in data:': 'Utilisez vos propres fichiers CSV sans reconstruire le site. Ils doivent avoir les mêmes colonnes que les données intégrées :',
+  'and optionally': 'et éventuellement',
+  'for the route lookup and': 'pour la liste des itinéraires et',
+  'for the DLC network.': 'pour le réseau de DLC.',
+  'A single file can hold both, one after the other, each starting with its header row.': 'Un seul fichier peut contenir les deux, l\'un après l\'autre, chacun commençant par sa ligne d\'en-tête.',
+  'Drop CSV files here or click to choose them': 'Déposez des fichiers CSV ici ou cliquez pour les choisir',
+  'Showing imported data from': 'Données importées depuis',
+  'Back to built-in data': 'Revenir aux données intégrées',
+  'Not imported: {count} error': 'Non importé : {count} erreur',
+  'Not imported: {count} errors': 'Non importé : {count} erreurs',
+  'Imported with {count} data warnings; open ⚠️ in the header to see them.': 'Importé avec {count} avertissements ; ouvrez ⚠️ dans l\'en-tête pour les voir.',
+  'Locomotives': 'Locomotives',
+  'My library:': 'Ma bibliothèque :',
+  '{owned} of {total} routes owned': '{owned} itinéraires possédés sur {total}',
+  'Select all': 'Tout sélectionner',
+  'Clear': 'Effacer',
+  'Add the routes of a bundle': 'Ajouter les itinéraires d\'un pack',
+  'I own…': 'Je possède…',
+  'Base game': 'Jeu de base',
+  'Viewing a shared library. Editing it replaces your saved one.': 'Vous consultez une bibliothèque partagée. La modifier remplace celle que vous avez enregistrée.',
+  'Use my saved library': 'Utiliser ma bibliothèque enregistrée',
+  'Also listed as:': 'Aussi listée comme :',
+  'Provided By': 'Fournie par',
+  'Playable On {count} Route': 'Jouable sur {count} itinéraire',
+  'Playable On {count} Routes': 'Jouable sur {count} itinéraires',
+  'Included in': 'Inclus dans',
+  '{count} route, with the DLCs it borrows locos from and the routes that borrow its locos.': '{count} itinéraire, avec les DLC dont il emprunte des locomotives et les itinéraires qui empruntent les siennes.',
+  '{count} routes, each with the DLCs it borrows locos from and the routes that borrow its locos.': '{count} itinéraires, chacun avec les DLC dont il emprunte des locomotives et les itinéraires qui empruntent les siennes.',
+  'Borrows locos from {count} DLC': 'Emprunte des locomotives à {count} DLC',
+  'Borrows locos from {count} DLCs': 'Emprunte des locomotives à {count} DLC',
+  'Borrows no locos from other DLCs.': 'N\'emprunte aucune locomotive à d\'autres DLC.',
+  'Lends locos to {count} route': 'Prête des locomotives à {count} itinéraire',
+  'Lends locos to {count} routes': 'Prête des locomotives à {count} itinéraires',
+  'No other routes use its locos.': 'Aucun autre itinéraire n\'utilise ses locomotives.',
+  'Choose a route': 'Choisir un itinéraire',
+  'Path Finder': 'Recherche de chemin',
+  'Ignore edge direction': 'Ignorer le sens des liens',
+  'No chain of layering links connects {from} to {to}.': 'Aucune chaîne de liens de layering ne relie {from} à {to}.',
+  '{count} shortest chain of {hops}:': '{count} chaîne la plus courte de {hops} :',
+  '{count} shortest chains of {hops}:': '{count} chaînes les plus courtes de {hops} :',
+  '{count} hop': '{count} étape',
+  '{count} hops': '{count} étapes',
+  'What Should I Buy Next?': 'Que devrais-je acheter ensuite ?',
+  'Most new route + loco combinations': 'Le plus de nouvelles combinaisons itinéraire + locomotive',
+  'Unlocks': 'Débloque',
+  'Nothing left to unlock. You own it all!': 'Plus rien à débloquer. Vous possédez tout !',
+  'Show more': 'Afficher plus',
+  'Cover a target': 'Couvrir un objectif',
+  'Unlock every loco on': 'Débloquer chaque locomotive sur',
+  'all routes I own': 'tous les itinéraires que je possède',
+  'Every loco for this target is already playable.': 'Chaque locomotive pour cet objectif est déjà jouable.',
+  '{count} purchase unlocks {combinations}:': '{count} achat débloque {combinations} :',
+  '{count} purchases unlock {combinations}:': '{count} achats débloquent {combinations} :',
+  '{count} route + loco combination': '{count} combinaison itinéraire + locomotive',
+  '{count} route + loco combinations': '{count} combinaisons itinéraire + locomotive',
+  'The route itself.': 'L\'itinéraire lui-même.',
+  'Regions:': 'Régions :',
+  'Show {region}': 'Afficher {region}',
+  'Hide {region}': 'Masquer {region}',
+  'Show only {region}': 'Afficher uniquement {region}',
+  'Not in route_lookup.csv': 'Absent de route_lookup.csv',
+  'Cross-region links only': 'Liens entre régions uniquement',
+  'Hide routes without links': 'Masquer les itinéraires sans liens',
+  'Traction:': 'Traction :',
+  'diesel': 'diesel',
+  'electric': 'électrique',
+  'steam': 'vapeur',
+  'bi-mode': 'bimode',
+  'Fully compatible locos only': 'Locomotives entièrement compatibles uniquement',
+  'Bundle:': 'Pack :',
+  'All routes': 'Tous les itinéraires',
+  'Showing {visible} of {total} routes': '{visible} itinéraires affichés sur {total}',
+  'Reset filters': 'Réinitialiser les filtres',
+  'Locomotive': 'Locomotive',
+  'Only works on part of the route': 'Ne fonctionne que sur une partie de l\'itinéraire',
+  'partial': 'partielle',
+  'Search locos or routes...': 'Rechercher des locomotives ou des itinéraires...',
+  'Pause': 'Pause',
+  'Play': 'Lecture',
+  'Release date': 'Date de sortie',
+  'Released:': 'Sortis :',
+  '{count} new layering link': '{count} nouveau lien de layering',
+  '{count} new layering links': '{count} nouveaux liens de layering',
+  '{count} route has no release date and is hidden': '{count} itinéraire n\'a pas de date de sortie et est masqué',
+  '{count} routes have no release date and are hidden': '{count} itinéraires n\'ont pas de date de sortie et sont masqués',
+  '{count} loco': '{count} locomotive',
+  '{count} locos': '{count} locomotives',
+  '{name} ({id}), {region}. {borrows}, {lends}': '{name} ({id}), {region}. {borrows}, {lends}',
+  'lends locos to {count} route': 'prête des locomotives à {count} itinéraire',
+  'lends locos to {count} routes': 'prête des locomotives à {count} itinéraires',
+  'Loading DLC Network Data...': 'Chargement des données du réseau de DLC...',
+  'Error': 'Erreur',
+  'Train Sim World Route Layering': 'Layering des itinéraires de Train Sim World',
+  'Problems found in the CSV data': 'Problèmes trouvés dans les données CSV',
+  'Stats': 'Statistiques',
+  'The data needs release dates for at least two releases': 'Les données doivent contenir les dates d\'au moins deux sorties',
+  'Show the network as it grew release by release': 'Afficher le réseau tel qu\'il a grandi, sortie après sortie',
+  'Timeline': 'Chronologie',
+  'What changed between versions of the data': 'Ce qui a changé entre les versions des données',
+  'Load your own CSV files': 'Charger vos propres fichiers CSV',
+  'Import': 'Importer',
+  'My Library': 'Ma bibliothèque',
+  'Region colors that stay distinguishable with color blindness': 'Couleurs de région qui restent distinctes en cas de daltonisme',
+  'Colorblind-safe': 'Adapté au daltonisme',
+  'Light Mode': 'Mode clair',
+  'Dark Mode': 'Mode sombre',
+  'Language': 'Langue',
+  'Download the processed graph': 'Télécharger le graphe traité',
+  'Download this view as {format}': 'Télécharger cette vue en {format}',
+  'Download the node positions as layout.json': 'Télécharger les positions des nœuds en layout.json',
+  'Layout': 'Disposition',
+  'Drag a route to pin it and double-click it to let it go. This forgets all pinned and remembered positions': 'Faites glisser un itinéraire pour l\'épingler et double-cliquez dessus pour le libérer. Ceci oublie toutes les positions épinglées et mémorisées',
+  'Reset layout': 'Réinitialiser la disposition',
+  'Network': 'Réseau',
+  'Matrix': 'Matrice',
+  'Chord': 'Cordes',
+  'List': 'Liste',
+  'Layering network of {count} routes. Tab to a route, use the arrow keys to move between connected routes and Enter to select one, or switch to the List view': 'Réseau de layering de {count} itinéraires. Atteignez un itinéraire avec Tab, passez d\'un itinéraire connecté à l\'autre avec les flèches et sélectionnez-en un avec Entrée, ou passez à la vue Liste',
+  'Region:': 'Région :',
+  'Compare with:': 'Comparer avec :',
+  'Or Shift + click another route on the graph': 'Ou Maj + clic sur un autre itinéraire du graphe',
+  'Choose a route…': 'Choisir un itinéraire…',
+  '{route} is missing from the route lookup, so its full name and region are unknown.': '{route} est absent de la liste des itinéraires, son nom complet et sa région sont donc inconnus.',
+  'Borrows from': 'Emprunte à',
+  'Lends to': 'Prête à',
+  'Routes That Can Use Trains From {route}': 'Itinéraires pouvant utiliser les trains de {route}',
+  'No other routes use trains from {route}.': 'Aucun autre itinéraire n\'utilise les trains de {route}.',
+  'Required DLCs For Additional Playable Trains': 'DLC requis pour des trains jouables supplémentaires',
+  'No DLC requirements found for {route}.': 'Aucun DLC requis trouvé pour {route}.',
+  'Select a node to view details': 'Sélectionnez un nœud pour voir les détails',
+  'Click on any DLC node in the network to see its requirements and connections': 'Cliquez sur un nœud de DLC du réseau pour voir ses prérequis et ses connexions',
+  'Click on nodes to see details | Arrows point from a DLC to the routes that can use its trains': 'Cliquez sur les nœuds pour voir les détails | Les flèches vont d\'un DLC vers les itinéraires qui peuvent utiliser ses trains',
+  'imported data': 'données importées',
+  'See what changed in the data': 'Voir ce qui a changé dans les données',
+  'updated {date}': 'mis à jour en {date}',
+  'You don\'t own {route}, so none of these locos are playable yet.': 'Vous ne possédez pas {route}, aucune de ces locomotives n\'est donc encore jouable.',
+  'Playable now': 'Jouables maintenant',
+  'No locos unlocked by your library yet.': 'Votre bibliothèque ne débloque encore aucune locomotive.',
+  'Requires purchase': 'Achat requis',
+  'Every loco for this route is already playable.': 'Chaque locomotive de cet itinéraire est déjà jouable.',
+  'Unknown': 'Inconnue',
+  'You\'re offline and this device has no saved copy of the data yet. Open the site once with a connection to use it offline.': 'Vous êtes hors ligne et cet appareil n\'a pas encore de copie des données. Ouvrez le site une fois avec une connexion pour l\'utiliser hors ligne.',
+  'The server could not be reached.': 'Le serveur est injoignable.',
+  'The server answered with HTTP {status}.': 'Le serveur a répondu HTTP {status}.',
+  'The file is not valid JSON, so it may have been cut off while downloading.': 'Le fichier n\'est pas un JSON valide ; il a peut-être été tronqué pendant le téléchargement.',
+  'Could not load {file}.': 'Impossible de charger {file}.',
+  'Failed to load data.': 'Échec du chargement des données.',
+  'Retry': 'Réessayer',
+  'A newer version of the data is available.': 'Une version plus récente des données est disponible.',
+  'Refresh': 'Actualiser',
+  'Dismiss': 'Fermer',
+  'offline, showing the data saved on this device': 'hors ligne, affichage des données enregistrées sur cet appareil',
+  'full': 'complète',
+  '{loco} traction: {before} → {after}': '{loco} traction : {before} → {after}',
+  '{loco} compatibility: {before} → {after}': '{loco} compatibilité : {before} → {after}',
+  '{loco} notes: {before} → {after}': '{loco} remarques : {before} → {after}',
+  'New route {route}': 'Nouvel itinéraire {route}',
+  'Route removed ({route})': 'Itinéraire supprimé ({route})',
+  'New loco {loco}, included in {dlcs}': 'Nouvelle loco {loco}, incluse dans {dlcs}',
+  'Loco {loco} removed': 'Loco {loco} supprimée',
+  '{loco} now also in {added}; no longer in {removed}': '{loco} désormais aussi dans {added} ; plus dans {removed}',
+  '{loco} now also in {added}': '{loco} désormais aussi dans {added}',
+  '{loco} no longer in {removed}': '{loco} plus dans {removed}',
+  'Second route lookup (Route, Short Name, Region) section (first in {file} on line {firstLine})': 'Deuxième section d\'itinéraires (Route, Short Name, Region) (la première dans {file} à la ligne {firstLine})',
+  'Missing route lookup (Route, Short Name, Region) data': 'Données d\'itinéraires (Route, Short Name, Region) manquantes',
+  'Second DLC network (Route, Loco, Required DLC) section (first in {file} on line {firstLine})': 'Deuxième section du réseau de DLC (Route, Loco, Required DLC) (la première dans {file} à la ligne {firstLine})',
+  'Missing DLC network (Route, Loco, Required DLC) data': 'Données du réseau de DLC (Route, Loco, Required DLC) manquantes',
+  'Could not read the file: {detail}': 'Impossible de lire le fichier : {detail}',
+  'No header row found; expected the columns of route_lookup.csv or dlc_network.csv': 'Aucune ligne d\'en-tête trouvée ; les colonnes de route_lookup.csv ou dlc_network.csv sont attendues',
+  'Too few fields: expected {expected} but found {found}': 'Trop peu de champs : {expected} attendus mais {found} trouvés',
+  'Too many fields: expected {expected} but found {found}': 'Trop de champs : {expected} attendus mais {found} trouvés',
+  'Quoted field is never closed': 'Un champ entre guillemets n\'est jamais fermé',
+  'Quoted field has a stray quote in it': 'Un champ entre guillemets contient un guillemet en trop',
+  'Missing column "{column}"': 'Colonne "{column}" manquante',
+  'Empty "{column}"': '"{column}" est vide',
+  'Release date "{date}" is not a YYYY-MM-DD date': 'La date de sortie "{date}" n\'est pas une date AAAA-MM-JJ',
+  'Duplicate short name "{shortName}" (first on line {firstLine})': 'Nom court "{shortName}" en double (d\'abord à la ligne {firstLine})',
+  'Duplicate row for {route} / {loco} (first on line {firstLine})': 'Ligne en double pour {route} / {loco} (d\'abord à la ligne {firstLine})',
+  '"{shortName}" is not in {file} (lines {lines})': '"{shortName}" ne figure pas dans {file} (lignes {lines})',
+  '{route} lists itself as a required DLC for {loco}': '{route} se cite comme DLC requis pour {loco}',
+  '"{shortName}" never appears in {file}': '"{shortName}" n\'apparaît jamais dans {file}',
+  'Duplicate bundle "{bundle}" (first on line {firstLine})': 'Pack "{bundle}" en double (d\'abord à la ligne {firstLine})',
+  '"{shortName}" is not in {file}': '"{shortName}" ne figure pas dans {file}',
+  '{column} "{value}" is not a #rrggbb color': '{column} "{value}" n\'est pas une couleur #rrggbb',
+  'Duplicate region "{region}" (first on line {firstLine})': 'Région "{region}" en double (d\'abord à la ligne {firstLine})',
+  'Region "{region}" is not in {file}': 'La région "{region}" ne figure pas dans {file}',
+  'Invalid JSON: {detail}': 'JSON invalide : {detail}',
+  'Expected an object of positions by short name': 'Un objet de positions par nom court est attendu',
+  '"{shortName}" needs numeric "x" and "y"': '"{shortName}" doit avoir des valeurs numériques "x" et "y"',
+  '"{date}" is not a YYYY-MM or YYYY-MM-DD date': '"{date}" n\'est pas une date AAAA-MM ou AAAA-MM-JJ',
+  'Unknown traction "{value}" (expected {allowed})': 'Traction "{value}" inconnue (attendu : {allowed})',
+  'Unknown compatibility "{value}" (expected {allowed})': 'Compatibilité "{value}" inconnue (attendu : {allowed})',
+  'Mark the routes you own in My library first.': 'Cochez d\'abord les itinéraires que vous possédez dans Ma bibliothèque.'
+};
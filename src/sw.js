@@ -0,0 +1,95 @@
+// Service worker template. plugins/serviceWorker.js fills in the self.__…
+// placeholders at build time and emits the result as sw.js.
+//
+// The site itself is cached on install, so it opens without a connection. The
+// compiled graph is answered from the cache and refreshed in the background,
+// and open pages get a message when the refreshed graph differs. Other data,
+// such as the changelog snapshots, comes from the network when it can
+
+const SHELL_FILES = self.__SHELL_FILES;
+const GRAPH_FILE = self.__GRAPH_FILE;
+const DATASET_UPDATED = self.__DATASET_UPDATED;
+const SHELL_CACHE = `tswlayers-shell-${self.__CACHE_VERSION}`;
+const DATA_CACHE = 'tswlayers-data';
+
+const scopeUrl = file => new URL(file, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES.map(scopeUrl)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the files of earlier builds. The data cache is kept, so the last
+// loaded data stays available offline
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('tswlayers-shell-') && key !== SHELL_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+const notifyPages = async () => {
+  const pages = await self.clients.matchAll({ type: 'window' });
+  pages.forEach(page => page.postMessage({ type: DATASET_UPDATED }));
+};
+
+// Answer with the cached graph straight away and refresh it in the background
+const cachedGraph = async (event) => {
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(event.request, { ignoreSearch: true });
+  const cachedText = cached ? cached.clone().text() : null;
+  
+  const refresh = fetch(event.request).then(async (response) => {
+    if (!response.ok) return response;
+    const fresh = await response.clone().text();
+    await cache.put(event.request, response.clone());
+    if (cachedText && (await cachedText) !== fresh) await notifyPages();
+    return response;
+  });
+  
+  if (!cached) return refresh;
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+};
+
+// Try the network and keep a copy, falling back to the copy when offline
+const networkFirst = async (request, cacheName, fallback) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true })
+      || (fallback !== undefined && await caches.match(scopeUrl(fallback)));
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+const cacheFirst = async request => (await caches.match(request)) || fetch(request);
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const scope = self.registration.scope;
+  if (request.method !== 'GET' || !request.url.startsWith(scope)) return;
+  
+  const file = request.url.slice(scope.length).split(/[?#]/)[0];
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, ''));
+  } else if (file === GRAPH_FILE) {
+    event.respondWith(cachedGraph(event));
+  } else if (file.endsWith('.json')) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
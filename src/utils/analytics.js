@@ -0,0 +1,158 @@
+// Network statistics: degrees, loco counts, betweenness centrality and components
+
+import { endpointId } from './graph.js';
+
+// Betweenness centrality of every node on the directed, unweighted graph (Brandes)
+const betweennessCentrality = (ids, successors) => {
+  const centrality = Object.fromEntries(ids.map(id => [id, 0]));
+  
+  ids.forEach(source => {
+    const stack = [];
+    const predecessors = Object.fromEntries(ids.map(id => [id, []]));
+    const paths = Object.fromEntries(ids.map(id => [id, 0]));
+    const distance = Object.fromEntries(ids.map(id => [id, -1]));
+    paths[source] = 1;
+    distance[source] = 0;
+    
+    const queue = [source];
+    while (queue.length > 0) {
+      const v = queue.shift();
+      stack.push(v);
+      successors[v].forEach(w => {
+        if (distance[w] < 0) {
+          distance[w] = distance[v] + 1;
+          queue.push(w);
+        }
+        if (distance[w] === distance[v] + 1) {
+          paths[w] += paths[v];
+          predecessors[w].push(v);
+        }
+      });
+    }
+    
+    const dependency = Object.fromEntries(ids.map(id => [id, 0]));
+    while (stack.length > 0) {
+      const w = stack.pop();
+      predecessors[w].forEach(v => {
+        dependency[v] += (paths[v] / paths[w]) * (1 + dependency[w]);
+      });
+      if (w !== source) centrality[w] += dependency[w];
+    }
+  });
+  
+  // Normalize by the number of ordered pairs that could pass through a node
+  const n = ids.length;
+  const scale = n > 2 ? 1 / ((n - 1) * (n - 2)) : 1;
+  Object.keys(centrality).forEach(id => { centrality[id] *= scale; });
+  
+  return centrality;
+};
+
+// Weakly connected components, largest first
+const connectedComponents = (ids, neighbours) => {
+  const componentOf = {};
+  const components = [];
+  
+  ids.forEach(start => {
+    if (componentOf[start] !== undefined) return;
+    const members = [];
+    const stack = [start];
+    componentOf[start] = components.length;
+    while (stack.length > 0) {
+      const v = stack.pop();
+      members.push(v);
+      neighbours[v].forEach(w => {
+        if (componentOf[w] === undefined) {
+          componentOf[w] = components.length;
+          stack.push(w);
+        }
+      });
+    }
+    components.push(members.sort((a, b) => a.localeCompare(b)));
+  });
+  
+  const order = components
+    .map((members, index) => ({ members, index }))
+    .sort((a, b) => b.members.length - a.members.length || a.members[0].localeCompare(b.members[0]));
+  const renumber = Object.fromEntries(order.map(({ index }, i) => [index, i + 1]));
+  
+  return {
+    componentOf: Object.fromEntries(Object.entries(componentOf).map(([id, index]) => [id, renumber[index]])),
+    components: order.map(({ members }, i) => ({ id: i + 1, size: members.length, routes: members }))
+  };
+};
+
+// Statistics for every route, component and region. Self-references are ignored
+export const computeNetworkStats = (nodes, edges) => {
+  const ids = nodes.map(node => node.id);
+  const successors = Object.fromEntries(ids.map(id => [id, []]));
+  const neighbours = Object.fromEntries(ids.map(id => [id, new Set()]));
+  const stats = Object.fromEntries(nodes.map(node => [node.id, {
+    id: node.id,
+    fullName: node.fullName,
+    region: node.region,
+    outDegree: 0,
+    inDegree: 0,
+    locosBorrowed: 0,
+    locosLent: 0
+  }]));
+  
+  const links = edges
+    .map(edge => ({ source: endpointId(edge.source), target: endpointId(edge.target), locos: edge.locos.length }))
+    .filter(link => link.source !== link.target && stats[link.source] && stats[link.target]);
+  
+  // An edge points from a route to the DLC it borrows locos from
+  links.forEach(link => {
+    stats[link.source].outDegree += 1;
+    stats[link.source].locosBorrowed += link.locos;
+    stats[link.target].inDegree += 1;
+    stats[link.target].locosLent += link.locos;
+    successors[link.source].push(link.target);
+    neighbours[link.source].add(link.target);
+    neighbours[link.target].add(link.source);
+  });
+  
+  const centrality = betweennessCentrality(ids, successors);
+  const { componentOf, components } = connectedComponents(ids, neighbours);
+  
+  const routes = Object.values(stats).map(route => ({
+    ...route,
+    betweenness: centrality[route.id],
+    component: componentOf[route.id]
+  }));
+  
+  const isolated = routes
+    .filter(route => route.inDegree === 0 && route.outDegree === 0)
+    .map(route => route.id)
+    .sort((a, b) => a.localeCompare(b));
+  
+  // Per-region totals, counting links that stay inside a region separately
+  const regionById = Object.fromEntries(nodes.map(node => [node.id, node.region]));
+  const regions = {};
+  const regionStats = region => {
+    if (!regions[region]) {
+      regions[region] = { region, routes: 0, internalLinks: 0, linksOut: 0, linksIn: 0, locosBorrowed: 0, locosLent: 0 };
+    }
+    return regions[region];
+  };
+  nodes.forEach(node => { regionStats(node.region).routes += 1; });
+  links.forEach(link => {
+    const from = regionStats(regionById[link.source]);
+    const to = regionStats(regionById[link.target]);
+    from.locosBorrowed += link.locos;
+    to.locosLent += link.locos;
+    if (from === to) {
+      from.internalLinks += 1;
+    } else {
+      from.linksOut += 1;
+      to.linksIn += 1;
+    }
+  });
+  
+  return {
+    routes,
+    components,
+    isolated,
+    regions: Object.values(regions)
+  };
+};
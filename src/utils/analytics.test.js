@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { computeNetworkStats } from './analytics.js';
+
+const node = (id, region) => ({ id, fullName: `Route ${id}`, region });
+const edge = (source, target, locos) => ({ id: `${source}-${target}`, source, target, locos });
+const betweenness = ({ routes }) => Object.fromEntries(routes.map(route => [route.id, route.betweenness]));
+
+// A path A → B → C, a star with X → H → Y and H → Z, and I that only uses its own locos
+const NODES = [
+  node('A', 'UK'), node('B', 'UK'), node('C', 'UK'),
+  node('X', 'US'), node('H', 'US'), node('Y', 'CA'), node('Z', 'CA'),
+  node('I', 'DE')
+];
+const EDGES = [
+  edge('A', 'B', ['a1']),
+  edge('B', 'C', ['b1', 'b2']),
+  edge('X', 'H', ['x1']),
+  edge('H', 'Y', ['h1', 'h2']),
+  edge('H', 'Z', ['h3']),
+  edge('I', 'I', ['i1'])
+];
+
+describe('computeNetworkStats', () => {
+  const stats = computeNetworkStats(NODES, EDGES);
+  const route = id => stats.routes.find(r => r.id === id);
+  
+  it('counts links and locos in both directions, ignoring self-references', () => {
+    expect(route('H')).toMatchObject({ outDegree: 2, inDegree: 1, locosBorrowed: 3, locosLent: 1 });
+    expect(route('C')).toMatchObject({ outDegree: 0, inDegree: 1, locosBorrowed: 0, locosLent: 2 });
+    expect(route('I')).toMatchObject({ outDegree: 0, inDegree: 0, locosBorrowed: 0, locosLent: 0 });
+  });
+  
+  it('gives the middle of a path all of its betweenness', () => {
+    // Only A → C passes through B, out of 2 · 1 ordered pairs
+    expect(betweenness(computeNetworkStats(NODES.slice(0, 3), EDGES.slice(0, 2)))).toEqual({ A: 0, B: 0.5, C: 0 });
+  });
+  
+  it('counts the pairs a star routes through its hub', () => {
+    // X → Y and X → Z pass through H, out of 3 · 2 ordered pairs
+    expect(betweenness(computeNetworkStats(NODES.slice(3, 7), EDGES.slice(2, 5)))).toEqual({ X: 0, H: 1 / 3, Y: 0, Z: 0 });
+  });
+  
+  it('splits betweenness between equally short paths', () => {
+    const diamond = computeNetworkStats(
+      ['S', 'P', 'Q', 'T'].map(id => node(id, 'UK')),
+      [edge('S', 'P', ['1']), edge('S', 'Q', ['2']), edge('P', 'T', ['3']), edge('Q', 'T', ['4'])]
+    );
+    expect(betweenness(diamond)).toEqual({ S: 0, P: 1 / 12, Q: 1 / 12, T: 0 });
+  });
+  
+  it('normalizes over every route in the network', () => {
+    expect(route('B').betweenness).toBeCloseTo(1 / 42);
+    expect(route('H').betweenness).toBeCloseTo(2 / 42);
+  });
+  
+  it('numbers the connected components largest first', () => {
+    expect(stats.components).toEqual([
+      { id: 1, size: 4, routes: ['H', 'X', 'Y', 'Z'] },
+      { id: 2, size: 3, routes: ['A', 'B', 'C'] },
+      { id: 3, size: 1, routes: ['I'] }
+    ]);
+    expect(route('A').component).toBe(2);
+    expect(route('Z').component).toBe(1);
+  });
+  
+  it('lists the routes without layering links', () => {
+    expect(stats.isolated).toEqual(['I']);
+  });
+  
+  it('sums up each region, keeping links inside a region apart', () => {
+    expect(stats.regions).toEqual([
+      { region: 'UK', routes: 3, internalLinks: 2, linksOut: 0, linksIn: 0, locosBorrowed: 3, locosLent: 3 },
+      { region: 'US', routes: 2, internalLinks: 1, linksOut: 2, linksIn: 0, locosBorrowed: 4, locosLent: 1 },
+      { region: 'CA', routes: 2, internalLinks: 0, linksOut: 0, linksIn: 2, locosBorrowed: 0, locosLent: 3 },
+      { region: 'DE', routes: 1, internalLinks: 0, linksOut: 0, linksIn: 0, locosBorrowed: 0, locosLent: 0 }
+    ]);
+  });
+});
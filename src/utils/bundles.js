@@ -0,0 +1,30 @@
+// Game editions, season passes and other bundles, read from public/bundles.csv
+
+export const BUNDLE_COLUMNS = ['Bundle', 'Type', 'Short Names'];
+
+const splitShortNames = value => (value || '').split(',')
+  .map(shortName => shortName.trim())
+  .filter(Boolean);
+
+// Bundles with the short names of the routes they contain
+export const buildBundles = bundlesData => bundlesData
+  .filter(item => item.Bundle && item.Bundle.trim())
+  .map(item => ({
+    name: item.Bundle.trim(),
+    type: (item.Type || '').trim() || null,
+    routes: splitShortNames(item["Short Names"])
+  }));
+
+// Names of the bundles that contain each route
+export const bundlesByRoute = (bundles) => {
+  const index = {};
+  bundles.forEach(bundle => {
+    bundle.routes.forEach(route => {
+      if (!index[route]) index[route] = [];
+      index[route].push(bundle.name);
+    });
+  });
+  return index;
+};
+
+export const findBundle = (bundles, name) => bundles.find(bundle => bundle.name === name) || null;
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { parseCSV, buildGraphFromCSV } from './graph.js';
+import { validateBundles } from './validate.js';
+import { buildBundles, bundlesByRoute, findBundle } from './bundles.js';
+import { filterGraph, DEFAULT_FILTERS } from './filters.js';
+
+const ROUTE_LOOKUP = `Route,Short Name,Region
+Great Western Express,GWE,UK
+Northern Trans-Pennine: Manchester - Leeds,NTP,UK
+Sand Patch Grade,SPG,US
+`;
+
+const BUNDLES = 'Bundle,Type,Short Names\nStarter Pack,Bundle,"GWE, NTP"\nUS Pack,,SPG\n';
+const bundles = buildBundles(parseCSV(BUNDLES).data);
+
+describe('bundles', () => {
+  it('lists the routes of each bundle and the bundles of each route', () => {
+    expect(bundles).toEqual([
+      { name: 'Starter Pack', type: 'Bundle', routes: ['GWE', 'NTP'] },
+      { name: 'US Pack', type: null, routes: ['SPG'] }
+    ]);
+    expect(bundlesByRoute(bundles)).toEqual({ GWE: ['Starter Pack'], NTP: ['Starter Pack'], SPG: ['US Pack'] });
+  });
+  
+  it('finds a bundle by name', () => {
+    expect(findBundle(bundles, 'US Pack').routes).toEqual(['SPG']);
+    expect(findBundle(bundles, 'Season Pass')).toBeNull();
+  });
+  
+  it('reports duplicate bundles and warns about unknown routes', () => {
+    const { errors, warnings } = validateBundles(
+      parseCSV('Bundle,Type,Short Names\nPack,,GWE\nPack,,"SPG, ZZZ"\n'),
+      parseCSV(ROUTE_LOOKUP)
+    );
+    expect(errors).toEqual([
+      { file: 'bundles.csv', line: 3, message: 'Duplicate bundle "{bundle}" (first on line {firstLine})', params: { bundle: 'Pack', firstLine: 2 } }
+    ]);
+    expect(warnings).toEqual([
+      { file: 'bundles.csv', line: 3, message: '"{shortName}" is not in {file}', params: { shortName: 'ZZZ', file: 'route_lookup.csv' } }
+    ]);
+  });
+  
+  it('filters the graph down to the routes of a bundle', () => {
+    const graph = buildGraphFromCSV(ROUTE_LOOKUP, `Route,Loco,Required DLC
+SPG,BNSF SD40-2,SPG
+GWE,Class 47,"NTP, SPG"
+GWE,Class 166,GWE
+`);
+    const { nodes, edges } = filterGraph(graph.nodes, graph.edges, { ...DEFAULT_FILTERS, bundle: 'Starter Pack' }, { routeToDLC: graph.routeToDLC, bundles });
+    expect(nodes.map(node => node.id).sort()).toEqual(['GWE', 'NTP']);
+    expect(edges.map(edge => edge.id).sort()).toEqual(['GWE-GWE', 'GWE-NTP']);
+  });
+});
@@ -0,0 +1,60 @@
+// Two routes side by side: the locos each one lends the other, the DLCs both
+// borrow from and the locos only one of them has
+
+import { locoKey } from './locos.js';
+
+const byName = (a, b) => a.localeCompare(b);
+
+// Loco names by identity, so spelling variants of the same train count once
+const locoNames = (items) => {
+  const names = {};
+  items.forEach(item => {
+    const id = item.locoId || locoKey(item.loco);
+    if (id && !names[id]) names[id] = item.loco;
+  });
+  return names;
+};
+
+// Locos on a route that come from a given DLC
+const borrowedFrom = (items, dlc) => Object.values(locoNames(
+  items.filter(item => item.requiredDLCs.some(required => required.shortName.trim() === dlc))
+)).sort(byName);
+
+const requiredDLCs = (items) => {
+  const dlcs = {};
+  items.forEach(item => {
+    item.requiredDLCs.forEach(dlc => {
+      dlcs[dlc.shortName.trim()] = dlc;
+    });
+  });
+  return dlcs;
+};
+
+// Compare two routes from routeToDLC. The routes themselves are left out of
+// the common DLCs, since those locos are already listed per direction
+export const compareRoutes = (routeToDLC, first, second) => {
+  const firstItems = routeToDLC[first] || [];
+  const secondItems = routeToDLC[second] || [];
+  
+  const firstDLCs = requiredDLCs(firstItems);
+  const secondDLCs = requiredDLCs(secondItems);
+  const commonDLCs = Object.keys(firstDLCs)
+    .filter(dlc => secondDLCs[dlc] && dlc !== first && dlc !== second)
+    .sort(byName)
+    .map(dlc => firstDLCs[dlc]);
+  
+  const firstLocos = locoNames(firstItems);
+  const secondLocos = locoNames(secondItems);
+  const only = (locos, other) => Object.keys(locos)
+    .filter(id => !other[id])
+    .map(id => locos[id])
+    .sort(byName);
+  
+  return {
+    firstFromSecond: borrowedFrom(firstItems, second),
+    secondFromFirst: borrowedFrom(secondItems, first),
+    commonDLCs,
+    onlyFirst: only(firstLocos, secondLocos),
+    onlySecond: only(secondLocos, firstLocos)
+  };
+};
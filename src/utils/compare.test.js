@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { buildGraphFromCSV } from './graph.js';
+import { compareRoutes } from './compare.js';
+
+const ROUTE_LOOKUP = `Route,Short Name,Region
+Great Western Express,GWE,UK
+Northern Trans-Pennine: Manchester - Leeds,NTP,UK
+Sand Patch Grade,SPG,US
+Bakerloo Line,BKL,UK
+`;
+
+const { routeToDLC } = buildGraphFromCSV(ROUTE_LOOKUP, `Route,Loco,Required DLC
+GWE,Class 47,"NTP, SPG"
+GWE,Class 08 BLU,BKL
+GWE,Class 166,GWE
+NTP,Class 08 Blue,BKL
+NTP,Class 31,GWE
+NTP,Class 185,NTP
+`);
+
+describe('compareRoutes', () => {
+  const comparison = compareRoutes(routeToDLC, 'GWE', 'NTP');
+  
+  it('lists the locos each route gets from the other', () => {
+    expect(comparison.firstFromSecond).toEqual(['Class 47']);
+    expect(comparison.secondFromFirst).toEqual(['Class 31']);
+  });
+  
+  it('lists the other DLCs both routes borrow from', () => {
+    expect(comparison.commonDLCs.map(dlc => dlc.shortName)).toEqual(['BKL']);
+  });
+  
+  it('lists the locos only one of the routes has, matching spelling variants', () => {
+    expect(comparison.onlyFirst).toEqual(['Class 166', 'Class 47']);
+    expect(comparison.onlySecond).toEqual(['Class 185', 'Class 31']);
+  });
+  
+  it('handles routes without any locos', () => {
+    expect(compareRoutes(routeToDLC, 'GWE', 'SPG').onlySecond).toEqual([]);
+  });
+});
@@ -0,0 +1,35 @@
+// Loading the compiled data files, with errors that say which file failed and why
+
+// Reasons a data file can fail to load
+export const LOAD_ERRORS = ['offline', 'network', 'http', 'json'];
+
+const loadError = (file, reason, { status = null, detail = '' } = {}) => Object.assign(
+  new Error(`${file}: ${reason}${status ? ` ${status}` : ''}`),
+  { file, reason, status, detail }
+);
+
+// Fetch and parse a JSON file next to the page. Failures carry the file name,
+// one of LOAD_ERRORS as the reason, the HTTP status and whatever the server or
+// parser said, e.g. the validation errors the dev server reports. Error pages
+// in HTML are left out of the detail
+export const loadDataFile = async (file) => {
+  const baseUrl = import.meta.env.BASE_URL || '/';
+  
+  let response;
+  try {
+    response = await fetch(`${baseUrl}${file}`);
+  } catch (err) {
+    throw loadError(file, navigator.onLine === false ? 'offline' : 'network', { detail: err.message });
+  }
+  
+  if (!response.ok) {
+    const body = (await response.text().catch(() => '')).trim();
+    throw loadError(file, 'http', { status: response.status, detail: body.startsWith('<') ? '' : body });
+  }
+  
+  try {
+    return await response.json();
+  } catch (err) {
+    throw loadError(file, 'json', { detail: err.message });
+  }
+};
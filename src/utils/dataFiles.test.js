@@ -0,0 +1,39 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { loadDataFile } from './dataFiles.js';
+
+const respond = (status, body) => vi.fn(async () => new Response(body, { status }));
+
+describe('loadDataFile', () => {
+  afterEach(() => vi.unstubAllGlobals());
+  
+  it('returns the parsed file', async () => {
+    vi.stubGlobal('fetch', respond(200, '{"nodes":[]}'));
+    expect(await loadDataFile('dlc_graph.json')).toEqual({ nodes: [] });
+    expect(fetch).toHaveBeenCalledWith(`${import.meta.env.BASE_URL}dlc_graph.json`);
+  });
+  
+  it('names the file and keeps what the server said on HTTP errors', async () => {
+    vi.stubGlobal('fetch', respond(500, 'route_lookup.csv line 3: missing Short Name\n'));
+    await expect(loadDataFile('dlc_graph.json')).rejects.toMatchObject({
+      file: 'dlc_graph.json', reason: 'http', status: 500, detail: 'route_lookup.csv line 3: missing Short Name'
+    });
+  });
+  
+  it('leaves out HTML error pages', async () => {
+    vi.stubGlobal('fetch', respond(404, '<!doctype html><h1>Not Found</h1>'));
+    await expect(loadDataFile('dlc_graph.json')).rejects.toMatchObject({ reason: 'http', status: 404, detail: '' });
+  });
+  
+  it('reports cut-off files', async () => {
+    vi.stubGlobal('fetch', respond(200, '{"nodes":['));
+    await expect(loadDataFile('dlc_snapshots.json')).rejects.toMatchObject({ file: 'dlc_snapshots.json', reason: 'json' });
+  });
+  
+  it('tells being offline from an unreachable server', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('Failed to fetch'); }));
+    vi.stubGlobal('navigator', { onLine: true });
+    await expect(loadDataFile('dlc_graph.json')).rejects.toMatchObject({ reason: 'network' });
+    vi.stubGlobal('navigator', { onLine: false });
+    await expect(loadDataFile('dlc_graph.json')).rejects.toMatchObject({ reason: 'offline' });
+  });
+});
@@ -0,0 +1,80 @@
+// Data-quality checks for route_lookup.csv and dlc_network.csv
+
+import { locoKey } from './locos.js';
+
+const splitDLCs = value => (value || '').split(',')
+  .map(dlc => dlc.trim())
+  .filter(Boolean);
+
+// Find gaps and mistakes that the graph would otherwise hide. dlcNetworkLines are
+// the file lines of the network rows; without them rows are assumed to follow the header
+export const checkDataQuality = (routeLookupData, dlcNetworkData, dlcNetworkLines) => {
+  const lineNumber = index => dlcNetworkLines ? dlcNetworkLines[index] : index + 2;
+  
+  const lookupShortNames = new Set(
+    routeLookupData
+      .filter(item => item.Route && item["Short Name"])
+      .map(item => item["Short Name"].trim())
+  );
+  
+  const unknown = {};
+  const selfReferences = [];
+  const duplicates = [];
+  const seenRows = {};
+  const usedShortNames = new Set();
+  
+  const noteUnknown = (shortName, line) => {
+    if (lookupShortNames.has(shortName)) return;
+    if (!unknown[shortName]) {
+      unknown[shortName] = { shortName, lines: [] };
+    }
+    if (!unknown[shortName].lines.includes(line)) {
+      unknown[shortName].lines.push(line);
+    }
+  };
+  
+  dlcNetworkData.forEach((item, index) => {
+    const line = lineNumber(index);
+    const route = (item.Route || '').trim();
+    const requiredDLCs = splitDLCs(item["Required DLC"]);
+    
+    if (!route) return;
+    usedShortNames.add(route);
+    noteUnknown(route, line);
+    
+    requiredDLCs.forEach(dlc => {
+      usedShortNames.add(dlc);
+      noteUnknown(dlc, line);
+    });
+    
+    if (requiredDLCs.includes(route)) {
+      selfReferences.push({ route, loco: item.Loco, line });
+    }
+    
+    const rowKey = `${route}|${locoKey(item.Loco)}`;
+    if (seenRows[rowKey]) {
+      duplicates.push({ route, loco: item.Loco, line, firstLine: seenRows[rowKey] });
+    } else {
+      seenRows[rowKey] = line;
+    }
+  });
+  
+  const unusedLookupEntries = routeLookupData
+    .filter(item => item["Short Name"] && !usedShortNames.has(item["Short Name"].trim()))
+    .map(item => ({ shortName: item["Short Name"].trim(), fullName: item.Route }));
+  
+  return {
+    unknownShortNames: Object.values(unknown).sort((a, b) => a.shortName.localeCompare(b.shortName)),
+    selfReferences,
+    duplicates,
+    unusedLookupEntries
+  };
+};
+
+// Total number of problems in a data-quality report
+export const countIssues = report => (
+  report.unknownShortNames.length +
+  report.selfReferences.length +
+  report.duplicates.length +
+  report.unusedLookupEntries.length
+);
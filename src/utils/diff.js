@@ -0,0 +1,166 @@
+// What changed between two versions of the graph, for the changelog and diff view
+
+import { endpointId } from './graph.js';
+
+// Colors for the change flags set by mergeForDiff
+export const DIFF_COLORS = {
+  added: '#16a34a',
+  removed: '#dc2626',
+  changed: '#f59e0b'
+};
+
+const byId = items => Object.fromEntries(items.map(item => [item.id, item]));
+
+const difference = (list, other) => list.filter(item => !other.includes(item));
+
+// Loco details compared between versions. A blank compatibility means full
+const DETAILS = ['traction', 'compatibility', 'notes'];
+const detailValue = (item, detail) => item[detail] || (detail === 'compatibility' ? 'full' : null);
+
+// Every route + loco pairing with the DLCs that include the loco and its details.
+// Duplicate rows for the same loco are merged, so only real changes show up
+const locoEntries = (routeToDLC) => {
+  const entries = {};
+  Object.entries(routeToDLC).forEach(([route, items]) => {
+    items.forEach(item => {
+      const key = `${route}|${item.locoId}`;
+      if (!entries[key]) entries[key] = { route, loco: item.loco, dlcs: [], details: {} };
+      item.requiredDLCs.forEach(dlc => {
+        if (!entries[key].dlcs.includes(dlc.shortName)) entries[key].dlcs.push(dlc.shortName);
+      });
+      DETAILS.forEach(detail => {
+        entries[key].details[detail] = entries[key].details[detail] || detailValue(item, detail);
+      });
+    });
+  });
+  return entries;
+};
+
+// Compare two graphs as built by buildGraph. Routes and layering edges are
+// matched by id, locos by their normalized key within a route. Changed locos
+// list the DLCs they gained or lost and the traction, compatibility and notes that changed
+export const diffGraphs = (before, after) => {
+  const beforeNodes = byId(before.nodes);
+  const afterNodes = byId(after.nodes);
+  const beforeEdges = byId(before.edges);
+  const afterEdges = byId(after.edges);
+  
+  const changedEdges = after.edges
+    .filter(edge => beforeEdges[edge.id])
+    .map(edge => ({
+      id: edge.id,
+      source: endpointId(edge.source),
+      target: endpointId(edge.target),
+      addedLocos: difference(edge.locos, beforeEdges[edge.id].locos),
+      removedLocos: difference(beforeEdges[edge.id].locos, edge.locos)
+    }))
+    .filter(edge => edge.addedLocos.length > 0 || edge.removedLocos.length > 0);
+  
+  const beforeLocos = locoEntries(before.routeToDLC);
+  const afterLocos = locoEntries(after.routeToDLC);
+  const changedLocos = Object.keys(afterLocos)
+    .filter(key => beforeLocos[key])
+    .map(key => ({
+      route: afterLocos[key].route,
+      loco: afterLocos[key].loco,
+      addedDLCs: difference(afterLocos[key].dlcs, beforeLocos[key].dlcs),
+      removedDLCs: difference(beforeLocos[key].dlcs, afterLocos[key].dlcs),
+      details: DETAILS
+        .filter(detail => beforeLocos[key].details[detail] !== afterLocos[key].details[detail])
+        .map(detail => ({ detail, before: beforeLocos[key].details[detail], after: afterLocos[key].details[detail] }))
+    }))
+    .filter(entry => entry.addedDLCs.length > 0 || entry.removedDLCs.length > 0 || entry.details.length > 0);
+  
+  return {
+    routes: {
+      added: after.nodes.filter(node => !beforeNodes[node.id]),
+      removed: before.nodes.filter(node => !afterNodes[node.id])
+    },
+    edges: {
+      added: after.edges.filter(edge => !beforeEdges[edge.id]),
+      removed: before.edges.filter(edge => !afterEdges[edge.id]),
+      changed: changedEdges
+    },
+    locos: {
+      added: Object.keys(afterLocos).filter(key => !beforeLocos[key]).map(key => afterLocos[key]),
+      removed: Object.keys(beforeLocos).filter(key => !afterLocos[key]).map(key => beforeLocos[key]),
+      changed: changedLocos
+    }
+  };
+};
+
+export const isEmptyDiff = diff => [diff.routes, diff.edges, diff.locos]
+  .every(group => Object.values(group).every(list => list.length === 0));
+
+// Change lines for each loco detail. Traction and compatibility are codes that
+// are translated themselves; notes are free text
+const DETAIL_LINES = {
+  traction: { message: '{loco} traction: {before} → {after}', codes: ['before', 'after'] },
+  compatibility: { message: '{loco} compatibility: {before} → {after}', codes: ['before', 'after'] },
+  notes: { message: '{loco} notes: {before} → {after}' }
+};
+
+// Change summary grouped by route. Each line is an English template with its
+// params, like the problems of validateData, and codes names the params whose
+// values are translated too, e.g.
+// { route: 'GWE', lines: [{ message: 'New loco {loco}, included in {dlcs}', params: { loco: 'Class 166', dlcs: 'NTP' } }, ...] }
+export const summarizeDiff = (diff) => {
+  const lines = {};
+  const add = (route, message, params, codes) => {
+    if (!lines[route]) lines[route] = [];
+    lines[route].push({ message, params, ...(codes && { codes }) });
+  };
+  
+  diff.routes.added.forEach(node => add(node.id, 'New route {route}', { route: node.fullName }));
+  diff.routes.removed.forEach(node => add(node.id, 'Route removed ({route})', { route: node.fullName }));
+  diff.locos.added.forEach(entry => add(entry.route, 'New loco {loco}, included in {dlcs}', { loco: entry.loco, dlcs: entry.dlcs.join(', ') }));
+  diff.locos.removed.forEach(entry => add(entry.route, 'Loco {loco} removed', { loco: entry.loco }));
+  diff.locos.changed.forEach(entry => {
+    const added = entry.addedDLCs.join(', ');
+    const removed = entry.removedDLCs.join(', ');
+    if (added && removed) {
+      add(entry.route, '{loco} now also in {added}; no longer in {removed}', { loco: entry.loco, added, removed });
+    } else if (added) {
+      add(entry.route, '{loco} now also in {added}', { loco: entry.loco, added });
+    } else if (removed) {
+      add(entry.route, '{loco} no longer in {removed}', { loco: entry.loco, removed });
+    }
+    entry.details.forEach(({ detail, before, after }) => {
+      const { message, codes } = DETAIL_LINES[detail];
+      add(entry.route, message, { loco: entry.loco, before: before || '–', after: after || '–' }, codes);
+    });
+  });
+  
+  return Object.keys(lines)
+    .sort((a, b) => a.localeCompare(b))
+    .map(route => ({ route, lines: lines[route] }));
+};
+
+// The newer graph plus everything the older one had that is gone, with a
+// change flag ('added', 'removed' or 'changed') on the nodes and edges that differ
+export const mergeForDiff = (before, after, diff) => {
+  const addedNodes = new Set(diff.routes.added.map(node => node.id));
+  const addedEdges = new Set(diff.edges.added.map(edge => edge.id));
+  const changedEdges = new Set(diff.edges.changed.map(edge => edge.id));
+  
+  return {
+    nodes: [
+      ...after.nodes.map(node => ({ ...node, change: addedNodes.has(node.id) ? 'added' : null })),
+      ...diff.routes.removed.map(node => ({ ...node, change: 'removed' }))
+    ],
+    edges: [
+      ...after.edges.map(edge => ({
+        ...edge,
+        source: endpointId(edge.source),
+        target: endpointId(edge.target),
+        change: addedEdges.has(edge.id) ? 'added' : (changedEdges.has(edge.id) ? 'changed' : null)
+      })),
+      ...diff.edges.removed.map(edge => ({
+        ...edge,
+        source: endpointId(edge.source),
+        target: endpointId(edge.target),
+        change: 'removed'
+      }))
+    ]
+  };
+};
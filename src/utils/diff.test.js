@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { buildGraphFromCSV } from './graph.js';
+import { diffGraphs, isEmptyDiff, summarizeDiff, mergeForDiff } from './diff.js';
+import { fillPlaceholders } from './placeholders.js';
+
+const ROUTE_LOOKUP = `Route,Short Name,Region
+Great Western Express,GWE,UK
+Northern Trans-Pennine: Manchester - Leeds,NTP,UK
+Sand Patch Grade,SPG,US
+`;
+
+const before = buildGraphFromCSV(ROUTE_LOOKUP, `Route,Loco,Required DLC
+GWE,Class 47,NTP
+GWE,Class 08,NTP
+NTP,Class 31,GWE
+`);
+
+const after = buildGraphFromCSV(ROUTE_LOOKUP, `Route,Loco,Required DLC
+GWE,Class 47,"NTP, SPG"
+GWE,Class 166,NTP
+SPG,SD40-2,GWE
+`);
+
+describe('diffGraphs', () => {
+  const diff = diffGraphs(before, after);
+  
+  it('finds added and removed routes and layering edges', () => {
+    expect(diff.routes.added.map(node => node.id)).toEqual(['SPG']);
+    expect(diff.routes.removed).toEqual([]);
+    expect(diff.edges.added.map(edge => edge.id)).toEqual(['GWE-SPG', 'SPG-GWE']);
+    expect(diff.edges.removed.map(edge => edge.id)).toEqual(['NTP-GWE']);
+    expect(diff.edges.changed).toMatchObject([{ id: 'GWE-NTP', addedLocos: ['Class 166'], removedLocos: ['Class 08'] }]);
+  });
+  
+  it('summarizes loco changes per route', () => {
+    expect(summarizeDiff(diff)).toEqual([
+      { route: 'GWE', lines: [
+        { message: 'New loco {loco}, included in {dlcs}', params: { loco: 'Class 166', dlcs: 'NTP' } },
+        { message: 'Loco {loco} removed', params: { loco: 'Class 08' } },
+        { message: '{loco} now also in {added}', params: { loco: 'Class 47', added: 'SPG' } }
+      ] },
+      { route: 'NTP', lines: [{ message: 'Loco {loco} removed', params: { loco: 'Class 31' } }] },
+      { route: 'SPG', lines: [
+        { message: 'New route {route}', params: { route: 'Sand Patch Grade' } },
+        { message: 'New loco {loco}, included in {dlcs}', params: { loco: 'SD40-2', dlcs: 'GWE' } }
+      ] }
+    ]);
+  });
+  
+  it('keeps removed edges in the merged graph with change flags', () => {
+    const merged = mergeForDiff(before, after, diff);
+    const changes = Object.fromEntries(merged.edges.map(edge => [edge.id, edge.change]));
+    expect(changes).toEqual({ 'GWE-NTP': 'changed', 'GWE-SPG': 'added', 'SPG-GWE': 'added', 'NTP-GWE': 'removed' });
+  });
+  
+  it('compares traction, compatibility and notes, a blank compatibility meaning full', () => {
+    const withDetails = details => buildGraphFromCSV(ROUTE_LOOKUP, `Route,Loco,Required DLC,Traction,Compatibility,Notes\n${details}\n`);
+    const detailDiff = diffGraphs(
+      withDetails('GWE,Class 47,NTP,diesel,,\nGWE,Class 08,NTP,diesel,,'),
+      withDetails('GWE,Class 47,NTP,electric,partial,No scenarios\nGWE,Class 08,NTP,diesel,full,')
+    );
+    expect(detailDiff.locos.changed).toEqual([{
+      route: 'GWE',
+      loco: 'Class 47',
+      addedDLCs: [],
+      removedDLCs: [],
+      details: [
+        { detail: 'traction', before: 'diesel', after: 'electric' },
+        { detail: 'compatibility', before: 'full', after: 'partial' },
+        { detail: 'notes', before: null, after: 'No scenarios' }
+      ]
+    }]);
+    const [{ lines }] = summarizeDiff(detailDiff);
+    expect(lines.map(line => fillPlaceholders(line.message, line.params))).toEqual([
+      'Class 47 traction: diesel → electric',
+      'Class 47 compatibility: full → partial',
+      'Class 47 notes: – → No scenarios'
+    ]);
+    expect(lines.map(line => line.codes)).toEqual([['before', 'after'], ['before', 'after'], undefined]);
+  });
+  
+  it('reports no changes between identical graphs', () => {
+    expect(isEmptyDiff(diffGraphs(before, before))).toBe(true);
+  });
+});
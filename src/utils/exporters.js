@@ -0,0 +1,107 @@
+// Turn the graph, its drawing and route tables into files people can share
+
+import Papa from 'papaparse';
+import { endpointId } from './graph.js';
+
+// "Northern Trans-Pennine (NTP)", or just the short name when it isn't in the lookup
+const dlcName = dlc => dlc.fullName ? `${dlc.fullName} (${dlc.shortName})` : dlc.shortName;
+
+// Header and rows of a route's "Locomotive / Included in" table, with the loco details
+export const routeTable = items => ({
+  header: ['Locomotive', 'Included in', 'Traction', 'Compatibility', 'Notes'],
+  rows: items.map(item => [
+    item.loco,
+    item.requiredDLCs.map(dlcName).join('; '),
+    item.traction || '',
+    item.compatibility || '',
+    item.notes || ''
+  ])
+});
+
+export const tableToCSV = ({ header, rows }) => Papa.unparse([header, ...rows]);
+
+// Pipes would end the cell early and newlines the row
+const markdownCell = value => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+export const tableToMarkdown = ({ header, rows }) => [
+  header,
+  header.map(() => '---'),
+  ...rows
+].map(row => `| ${row.map(markdownCell).join(' | ')} |`).join('\n') + '\n';
+
+// Fields the layout puts on nodes, which are not part of the data
+const LAYOUT_FIELDS = ['index', 'x', 'y', 'vx', 'vy', 'fx', 'fy'];
+
+// The processed graph as plain data, with every node field but the layout's
+// positions and velocities, and the date of the data when there is one. Edge
+// endpoints are short names even after the simulation has run
+export const graphToJSON = ({ nodes, edges, regions, routeToDLC, updated = null }) => JSON.stringify({
+  ...(updated && { updated }),
+  nodes: nodes.map(node => Object.fromEntries(Object.entries(node).filter(([key]) => !LAYOUT_FIELDS.includes(key)))),
+  edges: edges.map(edge => ({
+    id: edge.id,
+    source: endpointId(edge.source),
+    target: endpointId(edge.target),
+    locos: edge.locos
+  })),
+  regions,
+  routeToDLC
+}, null, 2);
+
+// A standalone copy of an svg element as it is on screen, zoom and highlighting
+// included. Fonts come from the page's CSS, so the page's font is written onto the copy
+export const serializeSvg = (svgElement, background) => {
+  const { width, height } = svgElement.getBoundingClientRect();
+  const copy = svgElement.cloneNode(true);
+  copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  copy.setAttribute('width', width);
+  copy.setAttribute('height', height);
+  copy.setAttribute('font-family', getComputedStyle(svgElement).fontFamily);
+  if (!copy.getAttribute('viewBox')) {
+    copy.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  }
+  
+  // The page background isn't part of the svg, so paint it behind everything
+  const [x, y, viewWidth, viewHeight] = copy.getAttribute('viewBox').split(/[\s,]+/);
+  const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  rect.setAttribute('x', x);
+  rect.setAttribute('y', y);
+  rect.setAttribute('width', viewWidth);
+  rect.setAttribute('height', viewHeight);
+  rect.setAttribute('fill', background);
+  copy.insertBefore(rect, copy.firstChild);
+  
+  return {
+    text: new XMLSerializer().serializeToString(copy),
+    width,
+    height
+  };
+};
+
+// Rasterize serialized svg, at twice the screen size so it stays sharp in posts
+export const svgToPng = ({ text, width, height }, scale = 2) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not create PNG')), 'image/png');
+  };
+  image.onerror = () => reject(new Error('Could not render SVG'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(text)}`;
+});
+
+// Save a blob or string through the browser's download prompt
+export const downloadFile = (content, fileName, type) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Some browsers start the download after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
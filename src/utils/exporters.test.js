@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import Papa from 'papaparse';
+import { buildGraphFromCSV } from './graph.js';
+import { routeTable, tableToCSV, tableToMarkdown, graphToJSON } from './exporters.js';
+
+const TABLE = {
+  header: ['Locomotive', 'Notes'],
+  rows: [
+    ['Class 47', 'Works, but "partially"'],
+    ['Class 08 | BLU', 'First line\nsecond line'],
+    ['BR 185.2', '']
+  ]
+};
+
+describe('tableToCSV', () => {
+  it('quotes commas, quotes and newlines so the table reads back the same', () => {
+    const csv = tableToCSV(TABLE);
+    expect(csv).toContain('"Works, but ""partially"""');
+    expect(csv).toContain('"First line\nsecond line"');
+    expect(Papa.parse(csv).data).toEqual([TABLE.header, ...TABLE.rows]);
+  });
+});
+
+describe('tableToMarkdown', () => {
+  it('escapes pipes and keeps each row on one line', () => {
+    expect(tableToMarkdown(TABLE)).toBe([
+      '| Locomotive | Notes |',
+      '| --- | --- |',
+      '| Class 47 | Works, but "partially" |',
+      '| Class 08 \\| BLU | First line second line |',
+      '| BR 185.2 |  |',
+      ''
+    ].join('\n'));
+  });
+  
+  it('handles Windows line breaks and numbers', () => {
+    expect(tableToMarkdown({ header: ['A'], rows: [['x\r\ny'], [3]] })).toBe('| A |\n| --- |\n| x y |\n| 3 |\n');
+  });
+});
+
+const graph = buildGraphFromCSV(`Route,Short Name,Region
+Great Western Express,GWE,UK
+Northern Trans-Pennine: Manchester - Leeds,NTP,UK
+`, `Route,Loco,Required DLC,Traction,Compatibility,Notes
+GWE,Class 47,"NTP, XYZ",diesel,partial,"No scenarios, free roam only"
+`);
+
+describe('routeTable', () => {
+  it('lists each loco with the DLCs it comes with and its details', () => {
+    expect(routeTable(graph.routeToDLC.GWE)).toEqual({
+      header: ['Locomotive', 'Included in', 'Traction', 'Compatibility', 'Notes'],
+      rows: [['Class 47', 'Northern Trans-Pennine: Manchester - Leeds (NTP); XYZ', 'diesel', 'partial', 'No scenarios, free roam only']]
+    });
+  });
+});
+
+describe('graphToJSON', () => {
+  it('writes edge endpoints as short names even after the layout replaced them', () => {
+    const laidOut = graph.edges.map(edge => ({ ...edge, source: { id: edge.source, x: 1 }, target: { id: edge.target, x: 2 } }));
+    const json = JSON.parse(graphToJSON({ ...graph, edges: laidOut }));
+    expect(json.edges.map(edge => [edge.source, edge.target])).toEqual(graph.edges.map(edge => [edge.source, edge.target]));
+  });
+  
+  it('keeps every node field and the date of the data, but not the layout', () => {
+    const dated = buildGraphFromCSV(
+      'Route,Short Name,Region,Release Date,Version,Route (de)\nSand Patch Grade,SPG,US,2020-01-10,TSW2,Sand-Patch-Steigung\n',
+      'Route,Loco,Required DLC\nSPG,SD40-2,SPG\n'
+    );
+    const laidOut = dated.nodes.map(node => ({ ...node, index: 0, x: 1, y: 2, vx: 0, vy: 0, fx: null, fy: null }));
+    const json = JSON.parse(graphToJSON({ ...dated, nodes: laidOut, updated: '2026-10' }));
+    
+    expect(json.updated).toBe('2026-10');
+    expect(json.nodes).toEqual([{
+      id: 'SPG',
+      label: 'SPG',
+      region: 'US',
+      fullName: 'Sand Patch Grade',
+      unknown: false,
+      releaseDate: '2020-01-10',
+      version: 'TSW2',
+      names: { de: 'Sand-Patch-Steigung' }
+    }]);
+  });
+});
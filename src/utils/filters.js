@@ -0,0 +1,81 @@
+// Region, bundle, link and loco filters that pick the visible part of the network
+
+import { endpointId } from './graph.js';
+import { findBundle } from './bundles.js';
+
+export const DEFAULT_FILTERS = {
+  hiddenRegions: [],
+  crossRegionOnly: false,
+  hideUnlinked: false,
+  traction: [],
+  fullOnly: false,
+  bundle: null
+};
+
+const hasLocoFilters = filters => filters.traction.length > 0 || filters.fullOnly;
+
+// Is any filter switched on?
+export const hasActiveFilters = filters => (
+  filters.hiddenRegions.length > 0 || filters.crossRegionOnly || filters.hideUnlinked || hasLocoFilters(filters) || !!filters.bundle
+);
+
+// Does a routeToDLC item pass the traction and compatibility filters?
+export const locoMatchesFilters = (item, filters) => (
+  (filters.traction.length === 0 || filters.traction.includes(item.traction)) &&
+  (!filters.fullOnly || item.compatibility !== 'partial')
+);
+
+// An edge keeps only the locos that pass the loco filters, and goes once none do.
+// Edges without loco rows (e.g. removed ones in the diff view) are kept as they are
+const filterEdgeLocos = (edge, filters, routeToDLC) => {
+  const source = endpointId(edge.source);
+  const target = endpointId(edge.target);
+  const rows = (routeToDLC[source] || [])
+    .filter(item => item.requiredDLCs.some(dlc => dlc.shortName === target));
+  if (rows.length === 0) return edge;
+  
+  const locos = rows.filter(item => locoMatchesFilters(item, filters)).map(item => item.loco);
+  return locos.length > 0 ? { ...edge, locos } : null;
+};
+
+// Nodes and edges left after hiding regions, keeping only the routes of the chosen
+// bundle and cross-region links, dropping locos that don't match the loco filters
+// and routes without any layering edges
+export const filterGraph = (nodes, edges, filters, { routeToDLC = {}, bundles = [] } = {}) => {
+  const hidden = new Set(filters.hiddenRegions);
+  const regionById = Object.fromEntries(nodes.map(node => [node.id, node.region]));
+  const bundle = filters.bundle ? findBundle(bundles, filters.bundle) : null;
+  
+  let visibleNodes = nodes.filter(node => !hidden.has(node.region) && (!bundle || bundle.routes.includes(node.id)));
+  const visibleIds = new Set(visibleNodes.map(node => node.id));
+  
+  const visibleEdges = edges
+    .filter(edge => {
+      const source = endpointId(edge.source);
+      const target = endpointId(edge.target);
+      if (!visibleIds.has(source) || !visibleIds.has(target)) return false;
+      if (filters.crossRegionOnly && regionById[source] === regionById[target]) return false;
+      return true;
+    })
+    .map(edge => hasLocoFilters(filters) ? filterEdgeLocos(edge, filters, routeToDLC) : edge)
+    .filter(Boolean);
+  
+  if (filters.hideUnlinked) {
+    // A route that only lists itself has no layering edges
+    const linked = new Set();
+    visibleEdges.forEach(edge => {
+      const source = endpointId(edge.source);
+      const target = endpointId(edge.target);
+      if (source === target) return;
+      linked.add(source);
+      linked.add(target);
+    });
+    visibleNodes = visibleNodes.filter(node => linked.has(node.id));
+  }
+  
+  const keptIds = new Set(visibleNodes.map(node => node.id));
+  return {
+    nodes: visibleNodes,
+    edges: visibleEdges.filter(edge => keptIds.has(endpointId(edge.source)) && keptIds.has(endpointId(edge.target)))
+  };
+};
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { buildGraphFromCSV } from './graph.js';
+import { filterGraph, hasActiveFilters, locoMatchesFilters, DEFAULT_FILTERS } from './filters.js';
+
+const ROUTE_LOOKUP = `Route,Short Name,Region
+Great Western Express,GWE,UK
+Northern Trans-Pennine: Manchester - Leeds,NTP,UK
+Canadian National Oakville Subdivision: Hamilton - Oakville,OSD,CA
+Sand Patch Grade,SPG,US
+Bakerloo Line,BKL,UK
+`;
+
+const graph = buildGraphFromCSV(ROUTE_LOOKUP, `Route,Loco,Required DLC,Traction,Compatibility
+GWE,Class 166,GWE,diesel,
+GWE,Class 31,NTP,diesel,
+GWE,Class 86,NTP,electric,partial
+OSD,GP38-2,SPG,diesel,
+OSD,ES44C4,SPG,diesel,partial
+SPG,SD40-2,SPG,diesel,
+BKL,1972 Stock,BKL,electric,
+`);
+
+const filter = overrides => {
+  const { nodes, edges } = filterGraph(graph.nodes, graph.edges, { ...DEFAULT_FILTERS, ...overrides }, { routeToDLC: graph.routeToDLC });
+  return {
+    nodes: nodes.map(node => node.id).sort(),
+    edges: edges.map(edge => edge.id).sort(),
+    locos: Object.fromEntries(edges.map(edge => [edge.id, edge.locos]))
+  };
+};
+
+describe('filterGraph', () => {
+  it('shows everything by default', () => {
+    expect(hasActiveFilters(DEFAULT_FILTERS)).toBe(false);
+    expect(filter({}).nodes).toEqual(['BKL', 'GWE', 'NTP', 'OSD', 'SPG']);
+    expect(filter({}).edges).toEqual(['BKL-BKL', 'GWE-GWE', 'GWE-NTP', 'OSD-SPG', 'SPG-SPG']);
+  });
+  
+  it('hides regions along with their links', () => {
+    const { nodes, edges } = filter({ hiddenRegions: ['US'] });
+    expect(nodes).toEqual(['BKL', 'GWE', 'NTP', 'OSD']);
+    expect(edges).toEqual(['BKL-BKL', 'GWE-GWE', 'GWE-NTP']);
+  });
+  
+  it('keeps only links between different regions', () => {
+    expect(filter({ crossRegionOnly: true }).edges).toEqual(['OSD-SPG']);
+  });
+  
+  it('drops routes that only use their own locos', () => {
+    expect(filter({ hideUnlinked: true }).nodes).toEqual(['GWE', 'NTP', 'OSD', 'SPG']);
+    expect(filter({ hideUnlinked: true, crossRegionOnly: true }).nodes).toEqual(['OSD', 'SPG']);
+  });
+  
+  it('keeps the locos of the chosen traction and drops links left without any', () => {
+    const { edges, locos } = filter({ traction: ['electric'] });
+    expect(edges).toEqual(['BKL-BKL', 'GWE-NTP']);
+    expect(locos['GWE-NTP']).toEqual(['Class 86']);
+  });
+  
+  it('leaves out partially compatible locos when asked for full compatibility only', () => {
+    const { edges, locos } = filter({ fullOnly: true });
+    expect(edges).toContain('GWE-NTP');
+    expect(locos['GWE-NTP']).toEqual(['Class 31']);
+    expect(locos['OSD-SPG']).toEqual(['GP38-2']);
+  });
+  
+  it('combines the filters', () => {
+    expect(hasActiveFilters({ ...DEFAULT_FILTERS, traction: ['electric'] })).toBe(true);
+    expect(filter({ traction: ['electric'], fullOnly: true, hideUnlinked: true }).nodes).toEqual([]);
+  });
+});
+
+describe('locoMatchesFilters', () => {
+  it('matches traction and compatibility', () => {
+    const item = { traction: 'diesel', compatibility: 'partial' };
+    expect(locoMatchesFilters(item, DEFAULT_FILTERS)).toBe(true);
+    expect(locoMatchesFilters(item, { ...DEFAULT_FILTERS, traction: ['diesel', 'steam'] })).toBe(true);
+    expect(locoMatchesFilters(item, { ...DEFAULT_FILTERS, traction: ['electric'] })).toBe(false);
+    expect(locoMatchesFilters(item, { ...DEFAULT_FILTERS, fullOnly: true })).toBe(false);
+  });
+});
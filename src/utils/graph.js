@@ -0,0 +1,244 @@
+// CSV-to-graph pipeline: parses route_lookup.csv and dlc_network.csv and builds
+// the nodes, edges and route-to-DLC map used by the visualization
+
+import Papa from 'papaparse';
+import { locoKey } from './locos.js';
+import { checkDataQuality } from './dataQuality.js';
+
+// Edge endpoints are ids until a force simulation swaps them for node objects
+export const endpointId = end => typeof end === 'object' ? end.id : end;
+
+// Translations in optional "<Column> (<language>)" columns, e.g. "Route (de)",
+// as { de: '...' } with blank ones left out
+export const translatedColumns = (item, column) => {
+  const names = {};
+  Object.keys(item).forEach(key => {
+    const match = key.match(/^(.+) \(([a-z]{2})\)$/);
+    if (match && match[1] === column && item[key] && item[key].trim()) {
+      names[match[2]] = item[key].trim();
+    }
+  });
+  return names;
+};
+
+// Parse a CSV file with a header row. rowLines holds the line each data row starts
+// on, so problems point at the right line even when the file has blank lines.
+// firstLine is where the text starts when it is a section of a larger file
+export const parseCSV = (text, firstLine = 1) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const data = [];
+  const rowLines = [];
+  const errors = [];
+  let meta = null;
+  let previousEnd = input.indexOf('\n') + 1;
+  let line = firstLine + 1;
+  
+  Papa.parse(input, {
+    header: true,
+    skipEmptyLines: true,
+    step: (results) => {
+      // Skip the blank lines between the previous row and this one
+      let start = previousEnd;
+      while (start < input.length && (input[start] === '\r' || input[start] === '\n')) {
+        if (input[start] === '\n') line++;
+        start++;
+      }
+      rowLines.push(line);
+      
+      // Quoted fields may span several lines
+      for (let i = start; i < results.meta.cursor; i++) {
+        if (input[i] === '\n') line++;
+      }
+      previousEnd = results.meta.cursor;
+      
+      data.push(results.data);
+      results.errors.forEach(err => errors.push({ ...err, row: data.length - 1 }));
+      meta = results.meta;
+    }
+  });
+  
+  // A file with only a header has no rows to take the fields from
+  if (!meta) {
+    meta = Papa.parse(input, { header: true, preview: 1 }).meta;
+  }
+  
+  return { data, errors, meta, rowLines, headerLine: firstLine };
+};
+
+// Build the graph from parsed route lookup and DLC network rows. dlcNetworkLines
+// are the file lines of the network rows, for the data-quality report
+export const buildGraph = (routeLookupData, dlcNetworkData, dlcNetworkLines) => {
+  // Create maps
+  const routeToShortName = {};
+  const routeToRegion = {};
+  const shortNameToRoute = {};
+  const shortNameToFullName = {};
+  const shortNameToRelease = {};
+  const shortNameToNames = {};
+
+  routeLookupData.forEach(item => {
+    if (item.Route && item["Short Name"]) {
+      routeToShortName[item.Route] = item["Short Name"];
+      routeToRegion[item.Route] = item.Region;
+      shortNameToRoute[item["Short Name"]] = item.Route;
+      shortNameToFullName[item["Short Name"]] = item.Route;
+      shortNameToRelease[item["Short Name"]] = {
+        releaseDate: (item["Release Date"] || '').trim() || null,
+        version: (item.Version || '').trim() || null
+      };
+      shortNameToNames[item["Short Name"]] = translatedColumns(item, 'Route');
+    }
+  });
+
+  // Process network data
+  const processedNodes = [];
+  const processedEdges = [];
+  const nodeSet = new Set();
+  const connections = {};
+  const dlcMap = {};
+  const shortNameToInfo = {};
+  const routesWithRequiredDLCs = new Set();
+
+  // Track all DLC short names first to get full info
+  const allDLCShortNames = new Set();
+  dlcNetworkData.forEach(item => {
+    if (item["Required DLC"]) {
+      const requiredDLCs = item["Required DLC"].split(',')
+        .map(dlc => dlc.trim())
+        .filter(Boolean);
+      requiredDLCs.forEach(dlc => allDLCShortNames.add(dlc));
+    }
+    if (item.Route) {
+      allDLCShortNames.add(item.Route.trim());
+    }
+  });
+
+  // Create a map of all short names to their info (even those not in lookup)
+  allDLCShortNames.forEach(shortName => {
+    const fullName = shortNameToRoute[shortName] || null;
+    const region = fullName ? routeToRegion[fullName] : "Unknown";
+
+    shortNameToInfo[shortName] = {
+      shortName,
+      fullName,
+      region,
+      inLookup: !!fullName,
+      releaseDate: shortNameToRelease[shortName]?.releaseDate || null,
+      version: shortNameToRelease[shortName]?.version || null,
+      names: shortNameToNames[shortName] || {}
+    };
+  });
+
+  dlcNetworkData.forEach(item => {
+    const sourceRoute = item.Route.trim();
+    if (!sourceRoute) return;
+
+    // Add source route if not already added, flagging it when it is missing from the lookup
+    if (!nodeSet.has(sourceRoute)) {
+      nodeSet.add(sourceRoute);
+
+      processedNodes.push({
+        id: sourceRoute,
+        label: sourceRoute,
+        region: shortNameToInfo[sourceRoute].region,
+        fullName: shortNameToInfo[sourceRoute].fullName || sourceRoute,
+        unknown: !shortNameToInfo[sourceRoute].inLookup,
+        releaseDate: shortNameToInfo[sourceRoute].releaseDate,
+        version: shortNameToInfo[sourceRoute].version,
+        names: shortNameToInfo[sourceRoute].names
+      });
+    }
+
+    // Track DLCs for each route
+    if (!dlcMap[sourceRoute]) {
+      dlcMap[sourceRoute] = [];
+    }
+
+    if (item["Required DLC"]) {
+      const requiredDLCs = item["Required DLC"].split(',').map(dlc => dlc.trim()).filter(Boolean);
+
+      // If this route has required DLCs, mark it
+      if (requiredDLCs.length > 0) {
+        routesWithRequiredDLCs.add(sourceRoute);
+      }
+
+      // Map required DLCs to their full info (trim whitespace)
+      const dlcInfoList = requiredDLCs.map(dlc => {
+        const trimmedDLC = dlc.trim();
+        return {
+          shortName: trimmedDLC,
+          fullName: shortNameToInfo[trimmedDLC]?.fullName,
+          region: shortNameToInfo[trimmedDLC]?.region || "Unknown",
+          inLookup: !!shortNameToInfo[trimmedDLC]?.inLookup
+        };
+      });
+
+      dlcMap[sourceRoute].push({
+        loco: item.Loco,
+        locoId: locoKey(item.Loco),
+        requiredDLCs: dlcInfoList,
+        traction: (item.Traction || '').trim().toLowerCase() || null,
+        compatibility: (item.Compatibility || '').trim().toLowerCase() || null,
+        notes: (item.Notes || '').trim() || null
+      });
+
+      // Add connections to the graph, including DLCs missing from the lookup
+      requiredDLCs.forEach(targetRoute => {
+        if (!targetRoute) return;
+
+        // Add target route if not already added
+        if (!nodeSet.has(targetRoute)) {
+          nodeSet.add(targetRoute);
+
+          processedNodes.push({
+            id: targetRoute,
+            label: targetRoute,
+            region: shortNameToInfo[targetRoute].region,
+            fullName: shortNameToInfo[targetRoute].fullName || targetRoute,
+            unknown: !shortNameToInfo[targetRoute].inLookup,
+            releaseDate: shortNameToInfo[targetRoute].releaseDate,
+            version: shortNameToInfo[targetRoute].version,
+            names: shortNameToInfo[targetRoute].names
+          });
+        }
+
+        // Create connection key - DO NOT SORT to maintain direction
+        const connectionKey = `${sourceRoute}-${targetRoute}`;
+
+        // Add edge if not already added
+        if (!connections[connectionKey]) {
+          connections[connectionKey] = {
+            id: connectionKey,
+            source: sourceRoute,
+            target: targetRoute,
+            locos: [item.Loco]
+          };
+        } else {
+          connections[connectionKey].locos.push(item.Loco);
+        }
+      });
+    }
+  });
+
+  // Convert connections to edges
+  Object.values(connections).forEach(conn => {
+    processedEdges.push(conn);
+  });
+
+  // Get unique regions
+  const uniqueRegions = [...new Set(processedNodes.map(node => node.region))];
+  
+  return {
+    nodes: processedNodes,
+    edges: processedEdges,
+    regions: uniqueRegions,
+    routeToDLC: dlcMap,
+    dataQuality: checkDataQuality(routeLookupData, dlcNetworkData, dlcNetworkLines)
+  };
+};
+
+// Build the graph straight from the text of both CSV files
+export const buildGraphFromCSV = (routeLookupText, dlcNetworkText) => {
+  const dlcNetwork = parseCSV(dlcNetworkText);
+  return buildGraph(parseCSV(routeLookupText).data, dlcNetwork.data, dlcNetwork.rowLines);
+};
@@ -0,0 +1,228 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { parseCSV, buildGraph, buildGraphFromCSV } from './graph.js';
+import { validateData, validateUpdated, formatProblem } from './validate.js';
+import { createTranslator } from './i18n.js';
+
+const ROUTE_LOOKUP = `Route,Short Name,Region
+Great Western Express,GWE,UK
+Northern Trans-Pennine: Manchester - Leeds,NTP,UK
+Sand Patch Grade,SPG,US
+Cajon Pass: Barstow - San Bernardino,CJP,US
+Bakerloo Line,BKL,UK
+`;
+
+const DLC_NETWORK = `Route,Loco,Required DLC
+SPG,BNSF SD40-2,CJP
+GWE,Class 47,"NTP, XYZ"
+GWE,Class 08 BLU,"NTP, GWE"
+GWE,Class 31/1 BLU,NTP
+`;
+
+describe('buildGraph', () => {
+  const graph = buildGraphFromCSV(ROUTE_LOOKUP, DLC_NETWORK);
+  
+  it('creates a node for every route and required DLC', () => {
+    expect(graph.nodes.map(node => node.id).sort()).toEqual(['CJP', 'GWE', 'NTP', 'SPG', 'XYZ']);
+  });
+  
+  it('fills in full names and regions from the lookup', () => {
+    const gwe = graph.nodes.find(node => node.id === 'GWE');
+    expect(gwe).toMatchObject({ label: 'GWE', region: 'UK', fullName: 'Great Western Express', unknown: false });
+  });
+  
+  it('keeps DLCs missing from the lookup as unknown nodes', () => {
+    const xyz = graph.nodes.find(node => node.id === 'XYZ');
+    expect(xyz).toMatchObject({ region: 'Unknown', fullName: 'XYZ', unknown: true });
+    expect(graph.regions).toContain('Unknown');
+  });
+  
+  it('creates one directed edge per route and required DLC with its locos', () => {
+    const edge = graph.edges.find(e => e.id === 'GWE-NTP');
+    expect(edge).toMatchObject({ source: 'GWE', target: 'NTP' });
+    expect(edge.locos).toEqual(['Class 47', 'Class 08 BLU', 'Class 31/1 BLU']);
+    expect(graph.edges.find(e => e.id === 'NTP-GWE')).toBeUndefined();
+  });
+  
+  it('maps each route to its locos and required DLCs', () => {
+    expect(graph.routeToDLC.GWE).toHaveLength(3);
+    expect(graph.routeToDLC.GWE[0]).toMatchObject({ loco: 'Class 47', locoId: 'class47' });
+    expect(graph.routeToDLC.GWE[0].requiredDLCs).toEqual([
+      { shortName: 'NTP', fullName: 'Northern Trans-Pennine: Manchester - Leeds', region: 'UK', inLookup: true },
+      { shortName: 'XYZ', fullName: null, region: 'Unknown', inLookup: false }
+    ]);
+  });
+  
+  it('reports data quality problems', () => {
+    expect(graph.dataQuality.unknownShortNames).toEqual([{ shortName: 'XYZ', lines: [3] }]);
+    expect(graph.dataQuality.selfReferences).toEqual([{ route: 'GWE', loco: 'Class 08 BLU', line: 4 }]);
+    expect(graph.dataQuality.unusedLookupEntries.map(entry => entry.shortName)).toEqual(['BKL']);
+  });
+  
+  it('carries release dates and versions onto nodes', () => {
+    const dated = buildGraphFromCSV(
+      'Route,Short Name,Region,Release Date,Version\nSand Patch Grade,SPG,US,2020-03-17,TSW2\nCajon Pass,CJP,US,,\n',
+      'Route,Loco,Required DLC\nSPG,SD40-2,CJP\n'
+    );
+    expect(dated.nodes.find(node => node.id === 'SPG')).toMatchObject({ releaseDate: '2020-03-17', version: 'TSW2' });
+    expect(dated.nodes.find(node => node.id === 'CJP')).toMatchObject({ releaseDate: null, version: null });
+  });
+  
+  it('carries translated route names onto nodes', () => {
+    const translated = buildGraphFromCSV(
+      'Route,Short Name,Region,Route (de),Route (fr)\nMain Line,MAI,DE,Hauptstrecke,\n',
+      'Route,Loco,Required DLC\nMAI,BR 101,MAI\n'
+    );
+    expect(translated.nodes[0].names).toEqual({ de: 'Hauptstrecke' });
+  });
+  
+  it('carries loco traction, compatibility and notes', () => {
+    const detailed = buildGraphFromCSV(
+      ROUTE_LOOKUP,
+      'Route,Loco,Required DLC,Traction,Compatibility,Notes\nSPG,SD40-2,CJP,Diesel,Partial,No scenarios\nSPG,GP38-2,CJP,,,\n'
+    );
+    expect(detailed.routeToDLC.SPG[0]).toMatchObject({ traction: 'diesel', compatibility: 'partial', notes: 'No scenarios' });
+    expect(detailed.routeToDLC.SPG[1]).toMatchObject({ traction: null, compatibility: null, notes: null });
+  });
+  
+  it('trims whitespace around short names', () => {
+    const { edges } = buildGraph(
+      [{ Route: 'Sand Patch Grade', 'Short Name': 'SPG', Region: 'US' }, { Route: 'Cajon Pass', 'Short Name': 'CJP', Region: 'US' }],
+      [{ Route: ' SPG ', Loco: 'SD40-2', 'Required DLC': ' CJP ,' }]
+    );
+    expect(edges.map(edge => edge.id)).toEqual(['SPG-CJP']);
+  });
+});
+
+describe('parseCSV', () => {
+  it('records the file line of each row across blank lines and multi-line fields', () => {
+    const { data, rowLines } = parseCSV('\uFEFFRoute,Loco,Required DLC\r\nGWE,Class 47,NTP\r\n\r\nGWE,"Class\n08",NTP\r\nSPG,SD40-2,CJP\r\n');
+    expect(data.map(row => row.Route)).toEqual(['GWE', 'GWE', 'SPG']);
+    expect(rowLines).toEqual([2, 4, 6]);
+  });
+  
+  it('counts lines from where a section starts', () => {
+    expect(parseCSV('Route,Loco,Required DLC\nGWE,Class 47,NTP\n', 10).rowLines).toEqual([11]);
+  });
+});
+
+describe('validateData', () => {
+  it('accepts well-formed files', () => {
+    const { errors } = validateData(parseCSV(ROUTE_LOOKUP), parseCSV(DLC_NETWORK));
+    expect(errors).toEqual([]);
+  });
+  
+  it('reports missing columns and empty fields with line numbers', () => {
+    const { errors } = validateData(
+      parseCSV('Route,Short Name\nGreat Western Express,GWE\n'),
+      parseCSV('Route,Loco,Required DLC\nGWE,,NTP\n')
+    );
+    expect(errors).toContainEqual({ file: 'route_lookup.csv', line: 1, message: 'Missing column "{column}"', params: { column: 'Region' } });
+    expect(errors).toContainEqual({ file: 'dlc_network.csv', line: 2, message: 'Empty "{column}"', params: { column: 'Loco' } });
+  });
+  
+  it('reports errors against the real line when rows follow blank lines', () => {
+    const { errors } = validateData(
+      parseCSV(ROUTE_LOOKUP),
+      parseCSV('Route,Loco,Required DLC\n\n\nGWE,,NTP\n')
+    );
+    expect(errors).toEqual([{ file: 'dlc_network.csv', line: 4, message: 'Empty "{column}"', params: { column: 'Loco' } }]);
+  });
+  
+  it('reports release dates that are not YYYY-MM-DD', () => {
+    const { errors } = validateData(
+      parseCSV('Route,Short Name,Region,Release Date,Version\nA,AAA,UK,2022-02-30,TSW3\nB,BBB,UK,,\n'),
+      parseCSV('Route,Loco,Required DLC\nAAA,Loco,BBB\n')
+    );
+    expect(errors).toEqual([
+      { file: 'route_lookup.csv', line: 2, message: 'Release date "{date}" is not a YYYY-MM-DD date', params: { date: '2022-02-30' } }
+    ]);
+  });
+  
+  it('reports unknown traction types and compatibility levels', () => {
+    const { errors } = validateData(
+      parseCSV(ROUTE_LOOKUP),
+      parseCSV('Route,Loco,Required DLC,Traction,Compatibility,Notes\nGWE,Class 47,NTP,Diesel,full,\nGWE,Class 43,NTP,gas turbine,some,\n')
+    );
+    expect(errors).toEqual([
+      {
+        file: 'dlc_network.csv',
+        line: 3,
+        message: 'Unknown traction "{value}" (expected {allowed})',
+        params: { value: 'gas turbine', allowed: 'diesel, electric, steam, bi-mode' }
+      },
+      {
+        file: 'dlc_network.csv',
+        line: 3,
+        message: 'Unknown compatibility "{value}" (expected {allowed})',
+        params: { value: 'some', allowed: 'full, partial' }
+      }
+    ]);
+  });
+  
+  it('reports duplicate short names as errors', () => {
+    const { errors } = validateData(
+      parseCSV('Route,Short Name,Region\nA,AAA,UK\nB,AAA,UK\n'),
+      parseCSV('Route,Loco,Required DLC\nAAA,Loco,AAA\n')
+    );
+    expect(errors).toEqual([
+      {
+        file: 'route_lookup.csv',
+        line: 3,
+        message: 'Duplicate short name "{shortName}" (first on line {firstLine})',
+        params: { shortName: 'AAA', firstLine: 2 }
+      }
+    ]);
+  });
+  
+  it('warns about duplicate rows that only differ in loco spelling', () => {
+    const { warnings } = validateData(
+      parseCSV(ROUTE_LOOKUP),
+      parseCSV('Route,Loco,Required DLC\nSPG,BNSF SD40-2,CJP\nSPG,BNSF SD402,CJP\n')
+    );
+    expect(warnings.map(warning => warning.line)).toContain(3);
+  });
+  
+  it('finds no errors in the shipped CSV files', () => {
+    const read = name => readFileSync(new URL(`../../public/${name}`, import.meta.url), 'utf8');
+    const { errors } = validateData(parseCSV(read('route_lookup.csv')), parseCSV(read('dlc_network.csv')));
+    expect(errors).toEqual([]);
+    expect(validateUpdated(read('data_updated.txt')).errors).toEqual([]);
+  });
+  
+  it('names the shipped German and French routes in German and French', () => {
+    const read = name => readFileSync(new URL(`../../public/${name}`, import.meta.url), 'utf8');
+    const { nodes } = buildGraphFromCSV(read('route_lookup.csv'), read('dlc_network.csv'));
+    const names = Object.fromEntries(nodes.map(node => [node.id, node.names]));
+    
+    expect(names.SKA).toEqual({ de: 'Schnellfahrstrecke Köln - Aachen', fr: 'Ligne à grande vitesse Cologne - Aix-la-Chapelle' });
+    expect(names.LGV).toEqual({ fr: 'LGV Méditerranée : Marseille - Avignon' });
+  });
+});
+
+describe('validateUpdated', () => {
+  it('takes a month or a day', () => {
+    expect(validateUpdated('2025-05\n').errors).toEqual([]);
+    expect(validateUpdated('2025-05-14').errors).toEqual([]);
+  });
+  
+  it('reports anything else', () => {
+    expect(validateUpdated('May 2025').errors).toEqual([
+      { file: 'data_updated.txt', line: 1, message: '"{date}" is not a YYYY-MM or YYYY-MM-DD date', params: { date: 'May 2025' } }
+    ]);
+  });
+});
+
+describe('formatProblem', () => {
+  const problem = { file: 'dlc_network.csv', line: 12, message: 'Empty "{column}"', params: { column: 'Loco' } };
+  
+  it('prints the file, line and message in English', () => {
+    expect(formatProblem(problem)).toBe('dlc_network.csv:12: Empty "Loco"');
+    expect(formatProblem({ file: 'layout.json', message: 'Expected an object of positions by short name' }))
+      .toBe('layout.json: Expected an object of positions by short name');
+  });
+  
+  it('translates the message with the given t', () => {
+    expect(formatProblem(problem, createTranslator('de').t)).toBe('dlc_network.csv:12: "Loco" ist leer');
+  });
+});
@@ -0,0 +1,75 @@
+// Translations of the interface. Messages are looked up by their English text,
+// so anything without a translation simply shows in English. Placeholders such
+// as {route} are filled from the params
+
+import { createContext, useContext } from 'react';
+import de from '../locales/de.js';
+import fr from '../locales/fr.js';
+import { fillPlaceholders } from './placeholders.js';
+
+export const LANGUAGES = {
+  en: 'English',
+  de: 'Deutsch',
+  fr: 'Français'
+};
+
+export const MESSAGES = { de, fr };
+
+const STORAGE_KEY = 'tswlayers.language';
+
+export const isLanguage = value => Object.prototype.hasOwnProperty.call(LANGUAGES, value || '');
+
+// Translate a message and fill in its placeholders
+export const translate = (language, text, params = {}) => {
+  const message = (MESSAGES[language] && MESSAGES[language][text]) || text;
+  return fillPlaceholders(message, params);
+};
+
+// The saved language, or the browser's when it is one we have
+export const initialLanguage = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    if (isLanguage(saved)) return saved;
+  } catch {
+    // Storage can be blocked; fall back to the browser language
+  }
+  const browser = (window.navigator.language || '').slice(0, 2).toLowerCase();
+  return isLanguage(browser) ? browser : 'en';
+};
+
+export const saveLanguage = (language) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, language);
+  } catch (err) {
+    console.warn("Could not save the language:", err);
+  }
+};
+
+// Everything a component needs to show text in a language: t() for messages,
+// tn() for messages that depend on a count, and localized route and region names
+export const createTranslator = (language, routeNames = {}, regionInfo = {}) => {
+  const pluralRules = new Intl.PluralRules(language);
+  
+  return {
+    language,
+    t: (text, params) => translate(language, text, params),
+    tn: (count, one, other, params = {}) => translate(
+      language,
+      pluralRules.select(count) === 'one' ? one : other,
+      { count, ...params }
+    ),
+    routeName: (id, fallback) => (routeNames[id] && routeNames[id][language]) || fallback || id,
+    regionName: (region) => {
+      const info = regionInfo[region];
+      if (!info) return translate(language, region);
+      return info.names[language] || info.name;
+    },
+    regionFlag: region => (regionInfo[region] && regionInfo[region].flag) || '',
+    // British English writes 5 Mar 2024, which reads the same in every language we have
+    formatDate: (date, options) => new Date(`${date}T00:00:00Z`).toLocaleDateString(language === 'en' ? 'en-GB' : language, { timeZone: 'UTC', ...options })
+  };
+};
+
+export const TranslationContext = createContext(createTranslator('en'));
+
+export const useTranslation = () => useContext(TranslationContext);
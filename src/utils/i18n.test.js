@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync, readdirSync } from 'node:fs';
+import { MESSAGES, translate, createTranslator } from './i18n.js';
+import { TRACTION_TYPES, COMPATIBILITY_LEVELS } from './validate.js';
+
+const placeholders = text => (text.match(/\{\w+\}/g) || []).sort();
+
+// Messages passed as literals to t() and tn() in the components
+const usedMessages = () => {
+  const dir = new URL('../components/', import.meta.url);
+  const messages = new Set();
+  readdirSync(dir).filter(file => file.endsWith('.jsx')).forEach(file => {
+    const source = readFileSync(new URL(file, dir), 'utf8');
+    for (const match of source.matchAll(/\bt\(\s*(['"])(.*?)\1/g)) messages.add(match[2]);
+    for (const match of source.matchAll(/\btn\([^,]+,\s*(['"])(.*?)\1,\s*(['"])(.*?)\3/g)) {
+      messages.add(match[2]);
+      messages.add(match[4]);
+    }
+  });
+  return [...messages].map(message => message.replace(/\\'/g, "'"));
+};
+
+// Messages of the data checks and the changelog in the utils: literals given as
+// a message, and any other literal with a {placeholder}. Comments are left out
+const dataMessages = () => {
+  const dir = new URL('./', import.meta.url);
+  const messages = new Set();
+  readdirSync(dir).filter(file => file.endsWith('.js') && !file.endsWith('.test.js')).forEach(file => {
+    const source = readFileSync(new URL(file, dir), 'utf8').replace(/^\s*\/\/.*$/gm, '');
+    for (const match of source.matchAll(/\bmessage:\s*'((?:[^'\\\n]|\\.)*)'/g)) messages.add(match[1]);
+    for (const match of source.matchAll(/'((?:[^'\\\n]|\\.)*)'/g)) {
+      if (/\{\w+\}/.test(match[1])) messages.add(match[1]);
+    }
+  });
+  return [...messages].map(message => message.replace(/\\'/g, "'"));
+};
+
+describe('translate', () => {
+  it('fills in placeholders and falls back to English', () => {
+    expect(translate('de', 'Showing {visible} of {total} routes', { visible: 3, total: 9 })).toBe('3 von 9 Strecken angezeigt');
+    expect(translate('fr', 'Not a known message {x}', { x: 1 })).toBe('Not a known message 1');
+    expect(translate('en', 'Group {id}')).toBe('Group {id}');
+  });
+  
+  it('picks the plural form for the count', () => {
+    const { tn } = createTranslator('fr');
+    expect(tn(1, '{count} route', '{count} routes')).toBe('1 itinéraire');
+    expect(tn(4, '{count} route', '{count} routes')).toBe('4 itinéraires');
+  });
+  
+  it('uses translated route and region names when there are some', () => {
+    const translator = createTranslator('de', { GWE: { fr: 'Great Western Express' } }, {
+      DE: { name: 'Germany', flag: '🇩🇪', names: { de: 'Deutschland' } }
+    });
+    expect(translator.routeName('GWE', 'Great Western Express')).toBe('Great Western Express');
+    expect(translator.routeName('XYZ')).toBe('XYZ');
+    expect(translator.regionName('DE')).toBe('Deutschland');
+    expect(translator.regionName('Unknown')).toBe('Unbekannt');
+  });
+});
+
+describe('locales', () => {
+  it('translate every message the components use, keeping the placeholders', () => {
+    Object.values(MESSAGES).forEach(messages => {
+      usedMessages().forEach(message => {
+        expect(messages[message], message).toBeDefined();
+        expect(placeholders(messages[message]), message).toEqual(placeholders(message));
+      });
+    });
+  });
+  
+  it('translate the messages of the data checks and the changelog, keeping the placeholders', () => {
+    const messages = dataMessages();
+    expect(messages).toContain('Empty "{column}"');
+    expect(messages).toContain('Missing DLC network (Route, Loco, Required DLC) data');
+    
+    Object.values(MESSAGES).forEach(translations => {
+      messages.forEach(message => {
+        expect(translations[message], message).toBeDefined();
+        expect(placeholders(translations[message]), message).toEqual(placeholders(message));
+      });
+    });
+  });
+  
+  it('translate the traction and compatibility values', () => {
+    Object.values(MESSAGES).forEach(translations => {
+      [...TRACTION_TYPES, ...COMPATIBILITY_LEVELS].forEach(value => {
+        expect(translations[value], value).toBeDefined();
+      });
+    });
+  });
+  
+  it('have the same messages', () => {
+    expect(Object.keys(MESSAGES.fr).sort()).toEqual(Object.keys(MESSAGES.de).sort());
+  });
+});
@@ -0,0 +1,118 @@
+// Build the graph from CSV files supplied by the user instead of the ones in public/
+
+import Papa from 'papaparse';
+import { parseCSV, buildGraph } from './graph.js';
+import { validateData } from './validate.js';
+
+// Which file a header row starts, or null when the line is not a header.
+// Detection is loose so that a header missing a column is still reported by validateData
+const headerKind = (line) => {
+  const fields = (Papa.parse(line.replace(/^\uFEFF/, '')).data[0] || []).map(field => field.trim());
+  if (fields.includes('Short Name')) return 'routeLookup';
+  if (fields.includes('Loco') || fields.includes('Required DLC')) return 'dlcNetwork';
+  return null;
+};
+
+// Split a file into route lookup and DLC network sections, each starting at its
+// header row. A plain CSV file is a single section; a combined file has both
+const splitSections = (file) => {
+  const lines = file.text.split('\n');
+  const sections = [];
+  
+  lines.forEach((line, index) => {
+    const kind = headerKind(line);
+    if (kind) {
+      sections.push({ kind, file: file.name, firstLine: index + 1, lines: [] });
+    }
+    if (sections.length > 0) {
+      sections[sections.length - 1].lines.push(line);
+    }
+  });
+  
+  return sections.map(section => ({ ...section, text: section.lines.join('\n') }));
+};
+
+// Messages about each kind of section, spelled out so they can be translated
+const SECTION_MESSAGES = {
+  routeLookup: {
+    second: { message: 'Second route lookup (Route, Short Name, Region) section (first in {file} on line {firstLine})' },
+    missing: { message: 'Missing route lookup (Route, Short Name, Region) data' }
+  },
+  dlcNetwork: {
+    second: { message: 'Second DLC network (Route, Loco, Required DLC) section (first in {file} on line {firstLine})' },
+    missing: { message: 'Missing DLC network (Route, Loco, Required DLC) data' }
+  }
+};
+
+// Validate and build the graph from files given as [{ name, text }]. Problems use
+// the same { file, line, message, params } shape as validateData, with lines counted
+// from the start of each file. Files the browser could not read come as
+// { name, error } and are reported on their own. graph is null when there are errors
+export const importFiles = (files) => {
+  const problems = { errors: [], warnings: [] };
+  const found = {};
+  
+  files
+    .filter(file => file.error)
+    .forEach(file => {
+      problems.errors.push({
+        file: file.name,
+        line: null,
+        message: 'Could not read the file: {detail}',
+        params: { detail: file.error.message }
+      });
+    });
+  if (problems.errors.length > 0) {
+    return { graph: null, problems };
+  }
+  
+  files.forEach(file => {
+    const sections = splitSections(file);
+    if (sections.length === 0) {
+      problems.errors.push({
+        file: file.name,
+        line: null,
+        message: 'No header row found; expected the columns of route_lookup.csv or dlc_network.csv'
+      });
+    }
+    
+    sections.forEach(section => {
+      const first = found[section.kind];
+      if (first) {
+        problems.errors.push({
+          file: section.file,
+          line: section.firstLine,
+          ...SECTION_MESSAGES[section.kind].second,
+          params: { file: first.file, firstLine: first.firstLine }
+        });
+      } else {
+        found[section.kind] = section;
+      }
+    });
+  });
+  
+  Object.keys(SECTION_MESSAGES)
+    .filter(kind => !found[kind] && files.length > 0)
+    .forEach(kind => {
+      problems.errors.push({
+        file: files.map(file => file.name).join(', '),
+        line: null,
+        ...SECTION_MESSAGES[kind].missing
+      });
+    });
+  
+  if (problems.errors.length > 0) {
+    return { graph: null, problems };
+  }
+  
+  const routeLookup = parseCSV(found.routeLookup.text, found.routeLookup.firstLine);
+  const dlcNetwork = parseCSV(found.dlcNetwork.text, found.dlcNetwork.firstLine);
+  const fileNames = { routeLookup: found.routeLookup.file, dlcNetwork: found.dlcNetwork.file };
+  const validation = validateData(routeLookup, dlcNetwork, fileNames);
+  
+  return {
+    graph: validation.errors.length > 0 ? null : buildGraph(routeLookup.data, dlcNetwork.data, dlcNetwork.rowLines),
+    problems: validation,
+    fileNames
+  };
+};
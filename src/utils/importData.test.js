@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { importFiles } from './importData.js';
+import { formatProblem } from './validate.js';
+
+const ROUTE_LOOKUP = `Route,Short Name,Region
+Great Western Express,GWE,UK
+Northern Trans-Pennine: Manchester - Leeds,NTP,UK
+`;
+
+const DLC_NETWORK = `Route,Loco,Required DLC
+GWE,Class 47,NTP
+NTP,Class 31,GWE
+`;
+
+describe('importFiles', () => {
+  it('builds the graph from a route lookup and DLC network file', () => {
+    const { graph, problems } = importFiles([
+      { name: 'network.csv', text: DLC_NETWORK },
+      { name: 'lookup.csv', text: ROUTE_LOOKUP }
+    ]);
+    expect(problems.errors).toEqual([]);
+    expect(graph.edges.map(edge => edge.id).sort()).toEqual(['GWE-NTP', 'NTP-GWE']);
+  });
+  
+  it('reads both sections from one combined file', () => {
+    const { graph } = importFiles([{ name: 'all.csv', text: `${ROUTE_LOOKUP}\n${DLC_NETWORK}` }]);
+    expect(graph.nodes).toHaveLength(2);
+  });
+  
+  it('reports row errors with lines counted from the start of the combined file', () => {
+    const text = `${ROUTE_LOOKUP}\n${DLC_NETWORK}GWE,,NTP\nNTP,Class 08,GWE,extra\n`;
+    const { graph, problems } = importFiles([{ name: 'all.csv', text }]);
+    expect(graph).toBeNull();
+    expect(problems.errors).toEqual([
+      { file: 'all.csv', line: 9, message: 'Too many fields: expected {expected} but found {found}', params: { expected: '3', found: '4' } },
+      { file: 'all.csv', line: 8, message: 'Empty "{column}"', params: { column: 'Loco' } }
+    ]);
+  });
+  
+  it('reports files that could not be read and nothing else', () => {
+    const { graph, problems } = importFiles([
+      { name: 'lookup.csv', text: ROUTE_LOOKUP },
+      { name: 'network.csv', error: new Error('The file was moved') }
+    ]);
+    expect(graph).toBeNull();
+    expect(problems.errors).toEqual([
+      { file: 'network.csv', line: null, message: 'Could not read the file: {detail}', params: { detail: 'The file was moved' } }
+    ]);
+  });
+  
+  it('reports missing and repeated sections', () => {
+    const { problems } = importFiles([
+      { name: 'a.csv', text: ROUTE_LOOKUP },
+      { name: 'b.csv', text: ROUTE_LOOKUP }
+    ]);
+    expect(problems.errors.map(problem => formatProblem(problem))).toEqual([
+      'b.csv:1: Second route lookup (Route, Short Name, Region) section (first in a.csv on line 1)',
+      'a.csv, b.csv: Missing DLC network (Route, Loco, Required DLC) data'
+    ]);
+  });
+});
@@ -0,0 +1,76 @@
+// Node positions for the force layout: remembered in the browser, pinned by
+// dragging, and optionally shipped with the data as public/layout.json
+
+const STORAGE_KEY = 'tswlayers.layout';
+
+const isPosition = position => !!position
+  && typeof position === 'object'
+  && Number.isFinite(position.x)
+  && Number.isFinite(position.y);
+
+// Keep only well-formed entries of a { GWE: { x, y, pinned }, ... } map
+export const cleanLayout = (layout) => {
+  if (!layout || typeof layout !== 'object' || Array.isArray(layout)) return {};
+  return Object.fromEntries(
+    Object.entries(layout)
+      .filter(([, position]) => isPosition(position))
+      .map(([id, position]) => [id, { x: position.x, y: position.y, pinned: position.pinned === true }])
+  );
+};
+
+// Read the positions saved in the browser
+export const loadSavedLayout = () => {
+  try {
+    return cleanLayout(JSON.parse(window.localStorage.getItem(STORAGE_KEY)));
+  } catch {
+    return {};
+  }
+};
+
+// Persist the positions, or forget them when empty
+export const saveLayout = (layout) => {
+  try {
+    if (Object.keys(layout).length === 0) {
+      window.localStorage.removeItem(STORAGE_KEY);
+    } else {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(layout));
+    }
+  } catch (err) {
+    console.warn("Could not save the layout:", err);
+  }
+};
+
+// Current positions of laid out nodes, rounded so saved layouts stay readable
+export const layoutPositions = nodes => Object.fromEntries(
+  nodes
+    .filter(node => Number.isFinite(node.x) && Number.isFinite(node.y))
+    .map(node => [node.id, {
+      x: Math.round(node.x),
+      y: Math.round(node.y),
+      pinned: node.fx != null
+    }])
+);
+
+// Put nodes where the layout has them, fixing pinned ones in place. Nodes the
+// layout doesn't know start afresh. Returns how many nodes were placed
+export const placeNodes = (nodes, layout) => {
+  let placed = 0;
+  nodes.forEach(node => {
+    const position = layout[node.id];
+    delete node.vx;
+    delete node.vy;
+    if (position) {
+      node.x = position.x;
+      node.y = position.y;
+      node.fx = position.pinned ? position.x : null;
+      node.fy = position.pinned ? position.y : null;
+      placed++;
+    } else {
+      delete node.x;
+      delete node.y;
+      node.fx = null;
+      node.fy = null;
+    }
+  });
+  return placed;
+};
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { parseCSV } from './graph.js';
+import { cleanLayout, layoutPositions, placeNodes } from './layout.js';
+import { validateLayout } from './validate.js';
+
+const ROUTE_LOOKUP = parseCSV(`Route,Short Name,Region
+Great Western Express,GWE,UK
+Sand Patch Grade,SPG,US
+`);
+
+describe('layout', () => {
+  it('places known nodes, pins pinned ones and starts the rest afresh', () => {
+    const nodes = [{ id: 'GWE', x: 5, y: 5, vx: 1 }, { id: 'SPG' }, { id: 'NTP', x: 9, y: 9, fx: 9, fy: 9 }];
+    const placed = placeNodes(nodes, { GWE: { x: 10, y: 20, pinned: false }, SPG: { x: 30, y: 40, pinned: true } });
+    
+    expect(placed).toBe(2);
+    expect(nodes[0]).toEqual({ id: 'GWE', x: 10, y: 20, fx: null, fy: null });
+    expect(nodes[1]).toEqual({ id: 'SPG', x: 30, y: 40, fx: 30, fy: 40 });
+    expect(nodes[2]).toEqual({ id: 'NTP', fx: null, fy: null });
+  });
+  
+  it('reads back rounded positions with their pinned state', () => {
+    const nodes = [{ id: 'GWE', x: 10.4, y: 19.6, fx: null }, { id: 'SPG', x: 30, y: 40, fx: 30, fy: 40 }, { id: 'NTP' }];
+    expect(layoutPositions(nodes)).toEqual({
+      GWE: { x: 10, y: 20, pinned: false },
+      SPG: { x: 30, y: 40, pinned: true }
+    });
+  });
+  
+  it('drops malformed entries', () => {
+    expect(cleanLayout({ GWE: { x: 1, y: 2 }, SPG: { x: 'a', y: 2 }, NTP: null })).toEqual({
+      GWE: { x: 1, y: 2, pinned: false }
+    });
+    expect(cleanLayout([1, 2])).toEqual({});
+  });
+});
+
+describe('validateLayout', () => {
+  it('reports invalid JSON', () => {
+    const { errors } = validateLayout('{ "GWE": ', ROUTE_LOOKUP);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toMatch(/^Invalid JSON/);
+  });
+  
+  it('reports positions without coordinates and warns about unknown routes', () => {
+    const { errors, warnings } = validateLayout(
+      JSON.stringify({ GWE: { x: 1, y: 2 }, SPG: { x: 1 }, XYZ: { x: 1, y: 2 } }),
+      ROUTE_LOOKUP
+    );
+    expect(errors).toEqual([{ file: 'layout.json', message: '"{shortName}" needs numeric "x" and "y"', params: { shortName: 'SPG' } }]);
+    expect(warnings).toEqual([
+      { file: 'layout.json', message: '"{shortName}" is not in {file}', params: { shortName: 'XYZ', file: 'route_lookup.csv' } }
+    ]);
+  });
+});
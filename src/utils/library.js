@@ -0,0 +1,48 @@
+// Helpers for "My library" mode: which DLCs the user owns and what that unlocks
+
+const STORAGE_KEY = 'tswlayers.ownedDLCs';
+
+// Read the owned DLC short names saved in the browser
+export const loadOwnedDLCs = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved.filter(dlc => typeof dlc === 'string') : [];
+  } catch {
+    return [];
+  }
+};
+
+// Persist the owned DLC short names
+export const saveOwnedDLCs = (ownedDLCs) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(ownedDLCs));
+  } catch (err) {
+    console.warn("Could not save owned DLCs:", err);
+  }
+};
+
+// Whether two lists of owned DLCs hold the same short names, in any order
+export const isSameLibrary = (a, b) => a.length === b.length && [...a].sort().join() === [...b].sort().join();
+
+// A loco is playable on a route when the route is owned and at least one
+// of the DLCs it is included in is owned (each row is an "any of" list)
+export const isLocoPlayable = (routeId, item, ownedSet) => {
+  if (!ownedSet.has(routeId)) return false;
+  return item.requiredDLCs.some(dlc => ownedSet.has(dlc.shortName.trim()));
+};
+
+// Split a route's loco list into locos playable today and locos that need a purchase
+export const splitByOwnership = (routeId, items, ownedSet) => {
+  const playable = [];
+  const needsPurchase = [];
+
+  items.forEach(item => {
+    if (isLocoPlayable(routeId, item, ownedSet)) {
+      playable.push(item);
+    } else {
+      needsPurchase.push(item);
+    }
+  });
+
+  return { playable, needsPurchase };
+};
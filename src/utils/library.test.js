@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { buildGraphFromCSV } from './graph.js';
+import { isSameLibrary, isLocoPlayable, splitByOwnership } from './library.js';
+
+const ROUTE_LOOKUP = `Route,Short Name,Region
+Great Western Express,GWE,UK
+Northern Trans-Pennine: Manchester - Leeds,NTP,UK
+Peak Forest Railway,PFR,UK
+`;
+
+// GWE's Class 47 comes with any of NTP or PFR, its Class 08 only with GWE itself
+const { routeToDLC } = buildGraphFromCSV(ROUTE_LOOKUP, `Route,Loco,Required DLC
+GWE,Class 47,"NTP, PFR"
+GWE,Class 08,GWE
+NTP,Class 31,PFR
+`);
+
+const loco = (route, name) => routeToDLC[route].find(item => item.loco === name);
+
+describe('isLocoPlayable', () => {
+  it('needs the route and one of the DLCs that include the loco', () => {
+    expect(isLocoPlayable('GWE', loco('GWE', 'Class 47'), new Set(['GWE', 'PFR']))).toBe(true);
+    expect(isLocoPlayable('GWE', loco('GWE', 'Class 47'), new Set(['GWE', 'NTP']))).toBe(true);
+    expect(isLocoPlayable('GWE', loco('GWE', 'Class 47'), new Set(['GWE']))).toBe(false);
+  });
+  
+  it('is never playable on a route that is not owned', () => {
+    expect(isLocoPlayable('GWE', loco('GWE', 'Class 47'), new Set(['NTP', 'PFR']))).toBe(false);
+    expect(isLocoPlayable('NTP', loco('NTP', 'Class 31'), new Set(['PFR']))).toBe(false);
+  });
+});
+
+describe('splitByOwnership', () => {
+  it('splits an owned route into playable locos and ones that need a purchase', () => {
+    const { playable, needsPurchase } = splitByOwnership('GWE', routeToDLC.GWE, new Set(['GWE']));
+    expect(playable.map(item => item.loco)).toEqual(['Class 08']);
+    expect(needsPurchase.map(item => item.loco)).toEqual(['Class 47']);
+  });
+  
+  it('puts every loco of an unowned route under purchases', () => {
+    const { playable, needsPurchase } = splitByOwnership('GWE', routeToDLC.GWE, new Set(['NTP', 'PFR']));
+    expect(playable).toEqual([]);
+    expect(needsPurchase).toHaveLength(2);
+  });
+});
+
+describe('isSameLibrary', () => {
+  it('ignores the order of the short names', () => {
+    expect(isSameLibrary(['GWE', 'NTP', 'PFR'], ['PFR', 'GWE', 'NTP'])).toBe(true);
+    expect(isSameLibrary([], [])).toBe(true);
+  });
+  
+  it('tells libraries with different routes apart', () => {
+    expect(isSameLibrary(['GWE', 'NTP'], ['GWE', 'PFR'])).toBe(false);
+    expect(isSameLibrary(['GWE'], ['GWE', 'NTP'])).toBe(false);
+  });
+  
+  it('leaves the lists in their order', () => {
+    const owned = ['PFR', 'GWE'];
+    isSameLibrary(owned, ['GWE', 'PFR']);
+    expect(owned).toEqual(['PFR', 'GWE']);
+  });
+});
@@ -0,0 +1,120 @@
+// Loco identities and fuzzy search across locos and routes
+
+// Livery and spelling variants that name the same loco
+const TOKEN_ALIASES = {
+  blue: 'blu',
+  green: 'grn'
+};
+
+// Normalized identity for a loco name, so "BR185.2" and "BR 185.2" are the same train
+export const locoKey = (name) => (name || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(token => TOKEN_ALIASES[token] || token)
+  .join('')
+  .replace(/[-_]/g, '');
+
+// Group every loco row by identity: its display name, spellings, routes and providing DLCs
+export const buildLocoIndex = (routeToDLC) => {
+  const index = {};
+  
+  Object.entries(routeToDLC).forEach(([routeId, items]) => {
+    items.forEach(item => {
+      const id = item.locoId || locoKey(item.loco);
+      if (!id) return;
+      
+      if (!index[id]) {
+        index[id] = { id, name: item.loco, spellings: {}, routes: {} };
+      }
+      const loco = index[id];
+      loco.spellings[item.loco] = (loco.spellings[item.loco] || 0) + 1;
+      
+      if (!loco.routes[routeId]) {
+        loco.routes[routeId] = {};
+      }
+      item.requiredDLCs.forEach(dlc => {
+        loco.routes[routeId][dlc.shortName.trim()] = dlc;
+      });
+    });
+  });
+  
+  // Display each loco under its most common spelling
+  Object.values(index).forEach(loco => {
+    loco.name = Object.entries(loco.spellings)
+      .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))[0][0];
+    loco.aliases = Object.keys(loco.spellings).filter(spelling => spelling !== loco.name);
+  });
+  
+  return index;
+};
+
+// Every DLC that includes the loco on at least one route
+export const providingDLCs = (loco) => {
+  const dlcs = {};
+  Object.values(loco.routes).forEach(routeDLCs => {
+    Object.assign(dlcs, routeDLCs);
+  });
+  return Object.values(dlcs).sort((a, b) => a.shortName.localeCompare(b.shortName));
+};
+
+const simplify = text => (text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+// Score how well a query matches some text: substrings beat scattered
+// subsequences, earlier and tighter matches beat later ones. null means no match
+export const fuzzyScore = (query, text) => {
+  const q = simplify(query).replace(/\s+/g, '');
+  const t = simplify(text);
+  if (!q) return null;
+  
+  const compact = t.replace(/\s+/g, '');
+  const position = compact.indexOf(q);
+  if (position !== -1) {
+    return 1000 - position * 10 - (compact.length - q.length);
+  }
+  
+  // Subsequence match, penalising gaps between matched characters
+  let score = 500;
+  let last = -1;
+  for (const char of q) {
+    const next = compact.indexOf(char, last + 1);
+    if (next === -1) return null;
+    score -= (next - last - 1) * 5;
+    last = next;
+  }
+  return score > 0 ? score : null;
+};
+
+// Search locos by name and spellings, and routes by short, full and translated name
+export const searchLocosAndRoutes = (query, locoIndex, nodes, limit = 10) => {
+  const best = (...texts) => texts.reduce((top, text) => {
+    const score = fuzzyScore(query, text);
+    return score !== null && (top === null || score > top) ? score : top;
+  }, null);
+  
+  const results = [];
+  
+  Object.values(locoIndex).forEach(loco => {
+    const score = best(loco.name, ...loco.aliases);
+    if (score !== null) {
+      const routeCount = Object.keys(loco.routes).length;
+      results.push({ type: 'loco', id: loco.id, label: loco.name, routeCount, score });
+    }
+  });
+  
+  nodes.forEach(node => {
+    const score = best(node.id, node.fullName, ...Object.values(node.names || {}));
+    if (score !== null) {
+      results.push({ type: 'route', id: node.id, label: node.id, detail: node.fullName, score });
+    }
+  });
+  
+  return results
+    .sort((a, b) => b.score - a.score || a.label.localeCompare(b.label))
+    .slice(0, limit);
+};
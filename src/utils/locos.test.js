@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { buildGraphFromCSV } from './graph.js';
+import { locoKey, buildLocoIndex, fuzzyScore, searchLocosAndRoutes } from './locos.js';
+
+const ROUTE_LOOKUP = `Route,Short Name,Region,Route (de)
+Great Western Express,GWE,UK,
+Hauptstrecke Rhein-Ruhr: Duisburg - Bochum,HRR,DE,
+Rapid Transit,RT,DE,Schnellbahn
+`;
+
+const { nodes, routeToDLC } = buildGraphFromCSV(ROUTE_LOOKUP, `Route,Loco,Required DLC
+GWE,Class 08 BLU,GWE
+HRR,Class 08 Blue,GWE
+HRR,BR 185.2,HRR
+RT,BR185.2,HRR
+RT,BR 185.2,HRR
+`);
+
+describe('locoKey', () => {
+  it('ignores spaces, dashes, case and accents', () => {
+    expect(locoKey('BR 185.2')).toBe(locoKey('br185.2'));
+    expect(locoKey('ICE-3M')).toBe(locoKey('ice 3m'));
+    expect(locoKey('Régio 2N')).toBe(locoKey('Regio 2N'));
+  });
+  
+  it('treats livery spellings as the same loco', () => {
+    expect(locoKey('Class 08 Blue')).toBe(locoKey('Class 08 BLU'));
+    expect(locoKey('Class 66 Green')).toBe(locoKey('Class 66 GRN'));
+  });
+  
+  it('keeps different locos apart', () => {
+    expect(locoKey('Class 08')).not.toBe(locoKey('Class 80'));
+    expect(locoKey('')).toBe('');
+  });
+});
+
+describe('buildLocoIndex', () => {
+  const index = buildLocoIndex(routeToDLC);
+  
+  it('groups spelling variants under the most common spelling', () => {
+    const br185 = index[locoKey('BR 185.2')];
+    expect(br185.name).toBe('BR 185.2');
+    expect(br185.aliases).toEqual(['BR185.2']);
+    expect(Object.keys(br185.routes).sort()).toEqual(['HRR', 'RT']);
+  });
+});
+
+describe('fuzzyScore', () => {
+  it('scores substrings above scattered letters', () => {
+    expect(fuzzyScore('185', 'BR 185.2')).toBeGreaterThan(fuzzyScore('b12', 'BR 185.2'));
+  });
+  
+  it('prefers earlier and tighter matches', () => {
+    expect(fuzzyScore('class', 'Class 08')).toBeGreaterThan(fuzzyScore('class', 'BR Class 08'));
+    expect(fuzzyScore('class', 'Class 08')).toBeGreaterThan(fuzzyScore('class', 'Class 08 BLU'));
+  });
+  
+  it('ignores spaces, case and accents in the query', () => {
+    expect(fuzzyScore('br 185', 'BR185.2')).toBe(fuzzyScore('BR185', 'BR185.2'));
+    expect(fuzzyScore('munchen', 'München')).not.toBeNull();
+  });
+  
+  it('returns null when the letters are missing or the query is empty', () => {
+    expect(fuzzyScore('xyz', 'Class 08')).toBeNull();
+    expect(fuzzyScore('  ', 'Class 08')).toBeNull();
+  });
+});
+
+describe('searchLocosAndRoutes', () => {
+  const index = buildLocoIndex(routeToDLC);
+  
+  it('finds locos by any spelling, with the number of routes', () => {
+    expect(searchLocosAndRoutes('class 08 blue', index, nodes)[0])
+      .toMatchObject({ type: 'loco', label: 'Class 08 BLU', routeCount: 2 });
+  });
+  
+  it('finds routes by short, full and translated name', () => {
+    expect(searchLocosAndRoutes('HRR', index, nodes)[0]).toMatchObject({ type: 'route', id: 'HRR' });
+    expect(searchLocosAndRoutes('duisburg', index, nodes)[0]).toMatchObject({ type: 'route', id: 'HRR' });
+    expect(searchLocosAndRoutes('schnellbahn', index, nodes)[0]).toMatchObject({ type: 'route', id: 'RT' });
+  });
+  
+  it('orders by score and stops at the limit', () => {
+    const results = searchLocosAndRoutes('r', index, nodes, 2);
+    expect(results).toHaveLength(2);
+    expect(results[0].score).toBeGreaterThanOrEqual(results[1].score);
+  });
+});
@@ -0,0 +1,50 @@
+// Moving between connected routes on the graph with the arrow keys
+
+import { endpointId } from './graph.js';
+
+const DIRECTIONS = {
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0]
+};
+
+export const isArrowKey = key => Object.prototype.hasOwnProperty.call(DIRECTIONS, key);
+
+// Ids of the routes linked to each route by a layering edge, either way round
+export const connectedRoutes = (edges) => {
+  const connected = {};
+  const add = (from, to) => {
+    if (!connected[from]) connected[from] = new Set();
+    connected[from].add(to);
+  };
+  edges.forEach(edge => {
+    const source = endpointId(edge.source);
+    const target = endpointId(edge.target);
+    if (source === target) return;
+    add(source, target);
+    add(target, source);
+  });
+  return connected;
+};
+
+// The candidate node the arrow key points at from a node: ahead in that
+// direction, preferring ones close to the straight line. null when none is ahead
+export const nodeInDirection = (from, candidates, key) => {
+  const [dx, dy] = DIRECTIONS[key];
+  let best = null;
+  let bestScore = Infinity;
+  
+  candidates.forEach(node => {
+    const along = (node.x - from.x) * dx + (node.y - from.y) * dy;
+    const across = Math.abs((node.x - from.x) * dy - (node.y - from.y) * dx);
+    if (along <= 0) return;
+    const score = along + 2 * across;
+    if (score < bestScore) {
+      best = node;
+      bestScore = score;
+    }
+  });
+  
+  return best;
+};
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { connectedRoutes, nodeInDirection, isArrowKey } from './navigation.js';
+
+describe('keyboard navigation', () => {
+  const center = { id: 'GWE', x: 0, y: 0 };
+  const right = { id: 'NTP', x: 100, y: 10 };
+  const farRight = { id: 'SPG', x: 150, y: 0 };
+  const above = { id: 'BKL', x: 20, y: -80 };
+  
+  it('links routes both ways and skips routes listing themselves', () => {
+    const connected = connectedRoutes([
+      { source: 'GWE', target: 'NTP' },
+      { source: { id: 'SPG' }, target: { id: 'GWE' } },
+      { source: 'GWE', target: 'GWE' }
+    ]);
+    expect([...connected.GWE].sort()).toEqual(['NTP', 'SPG']);
+    expect([...connected.NTP]).toEqual(['GWE']);
+  });
+  
+  it('picks the nearest node ahead in the arrow direction', () => {
+    expect(nodeInDirection(center, [right, farRight, above], 'ArrowRight')).toBe(right);
+    expect(nodeInDirection(center, [right, farRight, above], 'ArrowUp')).toBe(above);
+    expect(nodeInDirection(center, [right, farRight, above], 'ArrowLeft')).toBe(null);
+  });
+  
+  it('only handles arrow keys', () => {
+    expect(isArrowKey('ArrowDown')).toBe(true);
+    expect(isArrowKey('Enter')).toBe(false);
+    expect(isArrowKey('toString')).toBe(false);
+  });
+});
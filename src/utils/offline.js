@@ -0,0 +1,25 @@
+// Offline support: the service worker built from src/sw.js caches the site and
+// the last loaded data, and tells open pages when newer data has been fetched
+
+// Message the service worker posts when the refreshed graph differs from the cached one
+export const DATASET_UPDATED = 'dataset-updated';
+
+// Register the service worker. Only built sites have one, so dev always runs
+// against the current files
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(err => {
+    console.warn("Could not register the service worker:", err);
+  });
+};
+
+// Call back when the service worker has cached newer data. Returns the unsubscribe function
+export const onDatasetUpdate = (callback) => {
+  if (!('serviceWorker' in navigator)) return () => {};
+  
+  const handleMessage = (event) => {
+    if (event.data && event.data.type === DATASET_UPDATED) callback();
+  };
+  navigator.serviceWorker.addEventListener('message', handleMessage);
+  return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+};
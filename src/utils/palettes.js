@@ -0,0 +1,50 @@
+// Region color palettes, built from the colors in public/regions.csv, and
+// readable text colors on top of them
+
+export const UNKNOWN_REGION = 'Unknown';
+export const FALLBACK_COLOR = '#cccccc';
+
+// Routes missing from the route lookup
+const UNKNOWN_COLORS = {
+  default: '#6b7280',
+  colorblind: '#dddddd'
+};
+
+// Handed out to regions that regions.csv doesn't define yet, so a new country
+// stands out instead of turning gray like the unknown routes
+const SPARE_COLORS = ['#0d9488', '#9333ea', '#65a30d', '#be123c', '#0369a1', '#a16207'];
+
+export const isHexColor = value => /^#[0-9a-f]{6}$/i.test(value || '');
+
+// Color of every defined or used region in a palette ('default' or 'colorblind').
+// Regions without a colorblind-safe color keep their usual one
+export const paletteColors = (regionInfo, regions, palette) => {
+  const colors = { [UNKNOWN_REGION]: UNKNOWN_COLORS[palette] };
+  let spare = 0;
+  
+  [...new Set([...Object.keys(regionInfo), ...regions])].forEach(region => {
+    if (region === UNKNOWN_REGION) return;
+    const info = regionInfo[region];
+    if (info) {
+      colors[region] = (palette === 'colorblind' && info.colorblindColor) || info.color;
+    } else {
+      colors[region] = SPARE_COLORS[spare++ % SPARE_COLORS.length];
+    }
+  });
+  
+  return colors;
+};
+
+// WCAG relative luminance of a #rrggbb color
+const luminance = (color) => {
+  const channels = [1, 3, 5].map(start => parseInt(color.slice(start, start + 2), 16) / 255);
+  const [r, g, b] = channels.map(c => c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+// Black or white text, whichever contrasts more with the background color
+export const contrastText = (color) => {
+  if (!isHexColor(color)) return 'black';
+  const light = luminance(color);
+  return (light + 0.05) / 0.05 >= 1.05 / (light + 0.05) ? 'black' : 'white';
+};
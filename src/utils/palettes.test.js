@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { parseCSV } from './graph.js';
+import { buildRegions } from './regions.js';
+import { paletteColors, contrastText, isHexColor } from './palettes.js';
+
+const REGIONS = `Region,Name,Color,Colorblind Color
+UK,United Kingdom,#dc2626,#cc6677
+US,United States,#2563eb,
+`;
+
+describe('palettes', () => {
+  const regionInfo = buildRegions(parseCSV(REGIONS).data);
+  
+  it('colors regions for each palette and gives undefined ones a spare color', () => {
+    const colors = paletteColors(regionInfo, ['UK', 'US', 'DE', 'Unknown'], 'colorblind');
+    
+    expect(colors.UK).toBe('#cc6677');
+    expect(colors.US).toBe('#2563eb');
+    expect(colors.DE).toMatch(/^#[0-9a-f]{6}$/);
+    expect(Object.values(regionInfo).map(info => info.color)).not.toContain(colors.DE);
+    expect(paletteColors(regionInfo, [], 'default').UK).toBe('#dc2626');
+  });
+  
+  it('colors unknown routes differently in each palette', () => {
+    expect(paletteColors(regionInfo, [], 'default').Unknown).not.toBe(paletteColors(regionInfo, [], 'colorblind').Unknown);
+  });
+  
+  it('picks the text color that contrasts more with the background', () => {
+    expect(contrastText('#ffd700')).toBe('black');
+    expect(contrastText('#1e3a8a')).toBe('white');
+    expect(contrastText('#ccc')).toBe('black');
+    expect(contrastText('not a color')).toBe('black');
+  });
+  
+  it('only takes #rrggbb colors', () => {
+    expect(isHexColor('#A1b2C3')).toBe(true);
+    expect(isHexColor('#abc')).toBe(false);
+    expect(isHexColor('blue')).toBe(false);
+  });
+});
@@ -0,0 +1,71 @@
+// Shortest chains of layering edges between two routes
+
+import { endpointId } from './graph.js';
+
+// Adjacency list of hops. A directed hop follows an edge the way its arrow points,
+// from the DLC that lends a loco to the route that borrows it; undirected search
+// may also walk edges backwards
+const buildHops = (edges, directed) => {
+  const hops = {};
+  const add = (from, to, edge) => {
+    if (from === to) return;
+    if (!hops[from]) hops[from] = [];
+    hops[from].push({ from, to, edgeId: edge.id, locos: edge.locos });
+  };
+  
+  edges.forEach(edge => {
+    const source = endpointId(edge.source);
+    const target = endpointId(edge.target);
+    add(target, source, edge);
+    if (!directed) add(source, target, edge);
+  });
+  
+  return hops;
+};
+
+// All shortest paths from one route to another (up to a limit), each as a list of hops
+export const findShortestPaths = (edges, from, to, { directed = true, limit = 10 } = {}) => {
+  if (!from || !to || from === to) return [];
+  
+  const hops = buildHops(edges, directed);
+  const distance = { [from]: 0 };
+  const parents = {};
+  let frontier = [from];
+  
+  // Breadth-first search, keeping every parent on a shortest path
+  while (frontier.length > 0 && distance[to] === undefined) {
+    const next = [];
+    frontier.forEach(node => {
+      (hops[node] || []).forEach(hop => {
+        if (distance[hop.to] === undefined) {
+          distance[hop.to] = distance[node] + 1;
+          parents[hop.to] = [];
+          next.push(hop.to);
+        }
+        if (distance[hop.to] === distance[node] + 1) {
+          parents[hop.to].push(hop);
+        }
+      });
+    });
+    frontier = next;
+  }
+  
+  if (distance[to] === undefined) return [];
+  
+  // Walk the parents back from the destination to list the paths
+  const paths = [];
+  const walk = (node, suffix) => {
+    if (paths.length >= limit) return;
+    if (node === from) {
+      paths.push(suffix);
+      return;
+    }
+    parents[node].forEach(hop => walk(hop.from, [hop, ...suffix]));
+  };
+  walk(to, []);
+  
+  return paths;
+};
+
+// Route ids along a path, e.g. ['SPG', 'CJP', 'SBD']
+export const pathRoutes = path => path.length ? [path[0].from, ...path.map(hop => hop.to)] : [];
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { buildGraphFromCSV } from './graph.js';
+import { findShortestPaths, pathRoutes } from './paths.js';
+
+const ROUTE_LOOKUP = `Route,Short Name,Region
+Sand Patch Grade,SPG,US
+Cajon Pass: Barstow - San Bernardino,CJP,US
+Horseshoe Curve: Altoona - Johnstown & South Fork,HSC,US
+San Bernardino Line: Los Angeles - San Bernardino,SBD,US
+Bakerloo Line,BKL,UK
+`;
+
+// SPG lends to CJP and HSC, which both lend to SBD
+const { edges } = buildGraphFromCSV(ROUTE_LOOKUP, `Route,Loco,Required DLC
+SPG,SD40-2,SPG
+CJP,SD40-2,SPG
+HSC,GP38-2,SPG
+SBD,ES44AC,CJP
+SBD,SD70M,HSC
+SBD,F59PHI,SBD
+BKL,1972 Stock,BKL
+`);
+
+const routes = paths => paths.map(path => pathRoutes(path).join(' → '));
+
+describe('findShortestPaths', () => {
+  it('follows the arrows from the lending DLC to the borrowing route', () => {
+    const paths = findShortestPaths(edges, 'SPG', 'CJP');
+    expect(paths).toHaveLength(1);
+    expect(paths[0]).toEqual([{ from: 'SPG', to: 'CJP', edgeId: 'CJP-SPG', locos: ['SD40-2'] }]);
+  });
+  
+  it('lists every shortest path', () => {
+    expect(routes(findShortestPaths(edges, 'SPG', 'SBD')).sort()).toEqual(['SPG → CJP → SBD', 'SPG → HSC → SBD']);
+  });
+  
+  it('only walks against the arrows when direction is ignored', () => {
+    expect(findShortestPaths(edges, 'SBD', 'SPG')).toEqual([]);
+    expect(routes(findShortestPaths(edges, 'SBD', 'SPG', { directed: false })).sort())
+      .toEqual(['SBD → CJP → SPG', 'SBD → HSC → SPG']);
+    expect(routes(findShortestPaths(edges, 'CJP', 'HSC', { directed: false })).sort())
+      .toEqual(['CJP → SBD → HSC', 'CJP → SPG → HSC']);
+  });
+  
+  it('stops at the limit', () => {
+    expect(findShortestPaths(edges, 'SPG', 'SBD', { limit: 1 })).toHaveLength(1);
+  });
+  
+  it('returns nothing when no chain connects the routes', () => {
+    expect(findShortestPaths(edges, 'SPG', 'BKL', { directed: false })).toEqual([]);
+    expect(findShortestPaths(edges, 'SPG', 'SPG')).toEqual([]);
+    expect(findShortestPaths(edges, 'SPG', '')).toEqual([]);
+  });
+});
+
+describe('pathRoutes', () => {
+  it('lists the routes along a path', () => {
+    expect(pathRoutes(findShortestPaths(edges, 'SPG', 'CJP')[0])).toEqual(['SPG', 'CJP']);
+    expect(pathRoutes([])).toEqual([]);
+  });
+});
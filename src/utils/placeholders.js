@@ -0,0 +1,7 @@
+// Filling in the {name} placeholders of a message. The translations use it, and
+// so do the data checks when they print their messages in English
+
+// Replace each {name} with params.name, leaving placeholders without a value as they are
+export const fillPlaceholders = (text, params = {}) => (
+  text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match))
+);
@@ -0,0 +1,101 @@
+// Purchase recommendations built on the per-route required DLC lists
+
+import { isLocoPlayable } from './library.js';
+
+// Short names of every DLC a loco row can be unlocked with
+const rowDLCs = item => item.requiredDLCs.map(dlc => dlc.shortName.trim());
+
+// Would this row become playable if the given DLCs were owned as well?
+const isUnlockedWith = (routeId, item, ownedSet, extraDLCs) => {
+  const owns = dlc => ownedSet.has(dlc) || extraDLCs.has(dlc);
+  return owns(routeId) && rowDLCs(item).some(owns);
+};
+
+// Every route+loco combination that is not playable with the owned DLCs
+export const findLockedCombos = (routeToDLC, ownedSet) => {
+  const locked = [];
+  Object.entries(routeToDLC).forEach(([routeId, items]) => {
+    items.forEach(item => {
+      if (!isLocoPlayable(routeId, item, ownedSet)) {
+        locked.push({ routeId, item });
+      }
+    });
+  });
+  return locked;
+};
+
+// Rank unowned DLCs by how many new route+loco combinations each one unlocks
+export const rankPurchases = (routeToDLC, ownedSet) => {
+  const locked = findLockedCombos(routeToDLC, ownedSet);
+  const candidates = new Set();
+  
+  locked.forEach(({ routeId, item }) => {
+    candidates.add(routeId);
+    rowDLCs(item).forEach(dlc => candidates.add(dlc));
+  });
+  
+  return [...candidates]
+    .filter(dlc => !ownedSet.has(dlc))
+    .map(dlc => {
+      const extra = new Set([dlc]);
+      const unlocked = locked.filter(({ routeId, item }) => isUnlockedWith(routeId, item, ownedSet, extra));
+      return {
+        shortName: dlc,
+        count: unlocked.length,
+        combos: unlocked.map(({ routeId, item }) => ({ routeId, loco: item.loco }))
+      };
+    })
+    .filter(rec => rec.count > 0)
+    .sort((a, b) => b.count - a.count || a.shortName.localeCompare(b.shortName));
+};
+
+// Suggest a small set of purchases that makes every locked combo in the target playable.
+// Each row is an "any of these DLCs" list, so this is a set cover: pick greedily the
+// DLC that covers the most remaining rows until nothing is left
+export const suggestPurchasesFor = (routeToDLC, ownedSet, targetRoutes) => {
+  const purchases = [];
+  const bought = new Set();
+  const uncovered = findLockedCombos(routeToDLC, ownedSet)
+    .filter(({ routeId }) => targetRoutes.includes(routeId));
+  
+  // The target routes themselves must be owned before any of their locos are playable
+  targetRoutes.forEach(routeId => {
+    if (!ownedSet.has(routeId) && uncovered.some(combo => combo.routeId === routeId)) {
+      bought.add(routeId);
+      purchases.push({ shortName: routeId, reason: 'route', combos: [] });
+    }
+  });
+  
+  let remaining = uncovered.filter(({ routeId, item }) => !isUnlockedWith(routeId, item, ownedSet, bought));
+  purchases.forEach(purchase => {
+    purchase.combos = uncovered
+      .filter(({ routeId, item }) => routeId === purchase.shortName && isUnlockedWith(routeId, item, ownedSet, bought))
+      .map(({ routeId, item }) => ({ routeId, loco: item.loco }));
+  });
+  
+  while (remaining.length > 0) {
+    const coverage = {};
+    remaining.forEach(({ item }) => {
+      rowDLCs(item).forEach(dlc => {
+        if (ownedSet.has(dlc) || bought.has(dlc)) return;
+        coverage[dlc] = (coverage[dlc] || 0) + 1;
+      });
+    });
+    
+    const best = Object.entries(coverage)
+      .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))[0];
+    if (!best) break;
+    
+    const [dlc] = best;
+    bought.add(dlc);
+    const covered = remaining.filter(({ routeId, item }) => isUnlockedWith(routeId, item, ownedSet, bought));
+    purchases.push({
+      shortName: dlc,
+      reason: 'locos',
+      combos: covered.map(({ routeId, item }) => ({ routeId, loco: item.loco }))
+    });
+    remaining = remaining.filter(combo => !covered.includes(combo));
+  }
+  
+  return { purchases, total: uncovered.length };
+};
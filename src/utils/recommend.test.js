@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { buildGraphFromCSV } from './graph.js';
+import { findLockedCombos, rankPurchases, suggestPurchasesFor } from './recommend.js';
+
+const ROUTE_LOOKUP = `Route,Short Name,Region
+Great Western Express,GWE,UK
+Northern Trans-Pennine: Manchester - Leeds,NTP,UK
+Sand Patch Grade,SPG,US
+Bakerloo Line,BKL,UK
+`;
+
+const { routeToDLC } = buildGraphFromCSV(ROUTE_LOOKUP, `Route,Loco,Required DLC
+GWE,Class 166,GWE
+GWE,Class 47,"NTP, BKL"
+GWE,Class 31,NTP
+GWE,Class 66,"NTP, SPG"
+GWE,Class 08,BKL
+NTP,Class 185,NTP
+NTP,Class 08 Blue,BKL
+`);
+
+const OWNED = new Set(['GWE']);
+const locos = combos => combos.map(({ routeId, loco, item }) => `${routeId} ${loco || item.loco}`);
+
+describe('findLockedCombos', () => {
+  it('lists every route+loco row that is not playable yet', () => {
+    expect(locos(findLockedCombos(routeToDLC, OWNED))).toEqual([
+      'GWE Class 47', 'GWE Class 31', 'GWE Class 66', 'GWE Class 08', 'NTP Class 185', 'NTP Class 08 Blue'
+    ]);
+  });
+});
+
+describe('rankPurchases', () => {
+  it('ranks unowned DLCs by the combos each one unlocks on its own', () => {
+    const ranking = rankPurchases(routeToDLC, OWNED);
+    expect(ranking.map(rec => [rec.shortName, rec.count])).toEqual([['NTP', 4], ['BKL', 2], ['SPG', 1]]);
+    expect(locos(ranking[1].combos)).toEqual(['GWE Class 47', 'GWE Class 08']);
+  });
+  
+  it('has nothing to suggest once everything is owned', () => {
+    expect(rankPurchases(routeToDLC, new Set(['GWE', 'NTP', 'SPG', 'BKL']))).toEqual([]);
+  });
+});
+
+describe('suggestPurchasesFor', () => {
+  it('picks the DLC covering the most rows first, then covers the rest', () => {
+    const { purchases, total } = suggestPurchasesFor(routeToDLC, OWNED, ['GWE']);
+    expect(total).toBe(4);
+    expect(purchases.map(purchase => [purchase.shortName, purchase.reason])).toEqual([['NTP', 'locos'], ['BKL', 'locos']]);
+    expect(locos(purchases[0].combos)).toEqual(['GWE Class 47', 'GWE Class 31', 'GWE Class 66']);
+    expect(locos(purchases[1].combos)).toEqual(['GWE Class 08']);
+  });
+  
+  it('buys an unowned target route before its locos', () => {
+    const { purchases, total } = suggestPurchasesFor(routeToDLC, OWNED, ['NTP']);
+    expect(total).toBe(2);
+    expect(purchases.map(purchase => [purchase.shortName, purchase.reason])).toEqual([['NTP', 'route'], ['BKL', 'locos']]);
+    expect(locos(purchases[0].combos)).toEqual(['NTP Class 185']);
+    expect(locos(purchases[1].combos)).toEqual(['NTP Class 08 Blue']);
+  });
+  
+  it('suggests nothing for routes that are already complete', () => {
+    expect(suggestPurchasesFor(routeToDLC, new Set(['GWE', 'NTP', 'BKL']), ['GWE', 'NTP']))
+      .toEqual({ purchases: [], total: 0 });
+  });
+});
@@ -0,0 +1,19 @@
+// Region definitions read from public/regions.csv: display names, flags and the
+// colors that palettes.js builds the default and colorblind-safe palettes from
+
+import { translatedColumns } from './graph.js';
+
+export const REGION_COLUMNS = ['Region', 'Name', 'Color'];
+
+// Region definitions by code, e.g. { DE: { name: 'Germany', flag: '🇩🇪', color: '#d97706', ... } }
+export const buildRegions = regionsData => Object.fromEntries(
+  regionsData
+    .filter(item => item.Region && item.Region.trim())
+    .map(item => [item.Region.trim(), {
+      name: (item.Name || '').trim() || item.Region.trim(),
+      flag: (item.Flag || '').trim() || null,
+      color: (item.Color || '').trim(),
+      colorblindColor: (item["Colorblind Color"] || '').trim() || null,
+      names: translatedColumns(item, 'Name')
+    }])
+);
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { parseCSV } from './graph.js';
+import { buildRegions } from './regions.js';
+import { validateRegions } from './validate.js';
+
+const ROUTE_LOOKUP = parseCSV(`Route,Short Name,Region
+Great Western Express,GWE,UK
+Sand Patch Grade,SPG,US
+Rhein-Ruhr Osten,RRO,DE
+`);
+
+const REGIONS = `Region,Name,Flag,Color,Colorblind Color,Name (de)
+UK,United Kingdom,🇬🇧,#dc2626,#cc6677,Vereinigtes Königreich
+US,United States,🇺🇸,#2563eb,,
+`;
+
+describe('regions', () => {
+  it('reads names, flags, colors and translated names', () => {
+    expect(buildRegions(parseCSV(REGIONS).data)).toEqual({
+      UK: { name: 'United Kingdom', flag: '🇬🇧', color: '#dc2626', colorblindColor: '#cc6677', names: { de: 'Vereinigtes Königreich' } },
+      US: { name: 'United States', flag: '🇺🇸', color: '#2563eb', colorblindColor: null, names: {} }
+    });
+  });
+});
+
+describe('validateRegions', () => {
+  it('reports bad colors and duplicates and warns about undefined regions', () => {
+    const { errors, warnings } = validateRegions(
+      parseCSV(`Region,Name,Color
+UK,United Kingdom,#dc2626
+US,United States,blue
+UK,Britain,#000000
+`),
+      ROUTE_LOOKUP
+    );
+    expect(errors).toEqual([
+      { file: 'regions.csv', line: 3, message: '{column} "{value}" is not a #rrggbb color', params: { column: 'Color', value: 'blue' } },
+      { file: 'regions.csv', line: 4, message: 'Duplicate region "{region}" (first on line {firstLine})', params: { region: 'UK', firstLine: 2 } }
+    ]);
+    expect(warnings).toEqual([
+      { file: 'route_lookup.csv', line: 4, message: 'Region "{region}" is not in {file}', params: { region: 'DE', file: 'regions.csv' } }
+    ]);
+  });
+});
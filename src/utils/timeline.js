@@ -0,0 +1,39 @@
+// The layering network as it stood on a given release date
+
+import { endpointId } from './graph.js';
+
+// Every distinct release date in the data, oldest first
+export const releaseDates = nodes => [...new Set(nodes.map(node => node.releaseDate).filter(Boolean))].sort();
+
+// The timeline needs at least two release dates to show the network growing
+export const hasTimeline = nodes => releaseDates(nodes).length >= 2;
+
+// Routes released on or before a date, and the edges between them. Routes
+// without a release date are left out, since we can't say when they appeared.
+// Data without a timeline is returned whole, so a date left in a URL can't empty the graph
+export const graphAsOf = (nodes, edges, date) => {
+  if (!hasTimeline(nodes)) return { nodes, edges };
+  
+  const released = nodes.filter(node => node.releaseDate && node.releaseDate <= date);
+  const releasedIds = new Set(released.map(node => node.id));
+  
+  return {
+    nodes: released,
+    edges: edges.filter(edge => releasedIds.has(endpointId(edge.source)) && releasedIds.has(endpointId(edge.target)))
+  };
+};
+
+// What a release date added to the ecosystem: the routes released that day and
+// the layering edges that became possible because one of their ends arrived
+export const releaseAdditions = (nodes, edges, date) => {
+  const releaseById = Object.fromEntries(nodes.map(node => [node.id, node.releaseDate]));
+  const routes = nodes.filter(node => node.releaseDate === date);
+  const newEdges = edges.filter(edge => {
+    const sourceDate = releaseById[endpointId(edge.source)];
+    const targetDate = releaseById[endpointId(edge.target)];
+    if (!sourceDate || !targetDate) return false;
+    return (sourceDate > targetDate ? sourceDate : targetDate) === date;
+  });
+  
+  return { routes, edges: newEdges };
+};
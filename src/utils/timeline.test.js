@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { buildGraphFromCSV } from './graph.js';
+import { releaseDates, hasTimeline, graphAsOf, releaseAdditions } from './timeline.js';
+
+const DLC_NETWORK = `Route,Loco,Required DLC
+CJP,SD40-2,SPG
+HSC,GP38-2,CJP
+BKL,1972 Stock,HSC
+`;
+
+// Made-up dates: SPG first, CJP and HSC together later, BKL undated
+const dated = buildGraphFromCSV(`Route,Short Name,Region,Release Date
+Sand Patch Grade,SPG,US,2020-01-10
+Cajon Pass,CJP,US,2021-06-01
+Horseshoe Curve,HSC,US,2021-06-01
+Bakerloo Line,BKL,UK,
+`, DLC_NETWORK);
+
+const undated = buildGraphFromCSV(`Route,Short Name,Region
+Sand Patch Grade,SPG,US
+Cajon Pass,CJP,US
+Horseshoe Curve,HSC,US
+Bakerloo Line,BKL,UK
+`, DLC_NETWORK);
+
+const ids = items => items.map(item => item.id).sort();
+
+describe('releaseDates', () => {
+  it('lists each date once, oldest first', () => {
+    expect(releaseDates(dated.nodes)).toEqual(['2020-01-10', '2021-06-01']);
+    expect(hasTimeline(dated.nodes)).toBe(true);
+    expect(hasTimeline(undated.nodes)).toBe(false);
+  });
+});
+
+describe('graphAsOf', () => {
+  it('keeps the routes released by the date and the edges between them', () => {
+    const early = graphAsOf(dated.nodes, dated.edges, '2020-12-31');
+    expect(ids(early.nodes)).toEqual(['SPG']);
+    expect(early.edges).toEqual([]);
+    
+    const later = graphAsOf(dated.nodes, dated.edges, '2021-06-01');
+    expect(ids(later.nodes)).toEqual(['CJP', 'HSC', 'SPG']);
+    expect(ids(later.edges)).toEqual(['CJP-SPG', 'HSC-CJP']);
+  });
+  
+  it('leaves undated data intact when a date is set', () => {
+    const graph = graphAsOf(undated.nodes, undated.edges, '2022-09-06');
+    expect(graph.nodes).toEqual(undated.nodes);
+    expect(graph.edges).toEqual(undated.edges);
+  });
+});
+
+describe('releaseAdditions', () => {
+  it('lists the routes of a release and the edges they made possible', () => {
+    const additions = releaseAdditions(dated.nodes, dated.edges, '2021-06-01');
+    expect(ids(additions.routes)).toEqual(['CJP', 'HSC']);
+    expect(ids(additions.edges)).toEqual(['CJP-SPG', 'HSC-CJP']);
+  });
+});
@@ -0,0 +1,77 @@
+// View state encoded in the URL hash, e.g. #node=RT&vs=GWE&dir=lends&zoom=1.5,-120,40&dark=1&colors=colorblind&lang=de&hide=DE&date=2022-09-06
+
+export const VIEWS = ['graph', 'matrix', 'chord', 'list'];
+
+// Keep commas readable in lists such as owned=GWE,NTP
+const encode = value => encodeURIComponent(value).replace(/%2C/g, ',');
+
+const parseList = value => value ? value.split(',').filter(Boolean) : null;
+
+const parseZoom = (value) => {
+  const parts = (value || '').split(',').map(Number);
+  if (parts.length !== 3 || !parts.every(Number.isFinite)) return null;
+  const [k, x, y] = parts;
+  return { k, x, y };
+};
+
+// Read the view state from a location hash
+export const parseUrlState = (hash) => {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  
+  return {
+    node: params.get('node'),
+    compare: params.get('vs'),
+    loco: params.get('loco'),
+    direction: params.get('dir') === 'lends' ? 'lends' : 'borrows',
+    view: VIEWS.includes(params.get('view')) ? params.get('view') : 'graph',
+    dark: params.get('dark') === '1',
+    palette: params.get('colors') === 'colorblind' ? 'colorblind' : 'default',
+    language: /^[a-z]{2}$/.test(params.get('lang') || '') ? params.get('lang') : null,
+    library: params.get('lib') === '1',
+    owned: parseList(params.get('owned')),
+    zoom: parseZoom(params.get('zoom')),
+    date: /^\d{4}-\d{2}-\d{2}$/.test(params.get('date') || '') ? params.get('date') : null,
+    filters: {
+      hiddenRegions: parseList(params.get('hide')) || [],
+      crossRegionOnly: params.get('cross') === '1',
+      hideUnlinked: params.get('linked') === '1',
+      traction: parseList(params.get('traction')) || [],
+      fullOnly: params.get('full') === '1',
+      bundle: params.get('bundle')
+    }
+  };
+};
+
+// Write the view state as a location hash, leaving out defaults.
+// Numbers are rounded so the same view always gives the same hash
+export const buildUrlHash = (state) => {
+  const params = [];
+  const add = (key, value) => params.push(`${key}=${encode(value)}`);
+  
+  if (state.node) add('node', state.node);
+  if (state.compare) add('vs', state.compare);
+  if (state.loco) add('loco', state.loco);
+  if (state.direction === 'lends') add('dir', 'lends');
+  if (state.view && state.view !== 'graph') add('view', state.view);
+  if (state.zoom && (state.zoom.k !== 1 || state.zoom.x !== 0 || state.zoom.y !== 0)) {
+    add('zoom', [state.zoom.k.toFixed(3), state.zoom.x.toFixed(1), state.zoom.y.toFixed(1)].map(Number).join(','));
+  }
+  if (state.filters) {
+    if (state.filters.hiddenRegions.length) add('hide', [...state.filters.hiddenRegions].sort().join(','));
+    if (state.filters.crossRegionOnly) add('cross', '1');
+    if (state.filters.hideUnlinked) add('linked', '1');
+    if (state.filters.traction.length) add('traction', [...state.filters.traction].sort().join(','));
+    if (state.filters.fullOnly) add('full', '1');
+    if (state.filters.bundle) add('bundle', state.filters.bundle);
+  }
+  if (state.date) add('date', state.date);
+  if (state.dark) add('dark', '1');
+  if (state.palette && state.palette !== 'default') add('colors', state.palette);
+  if (state.language && state.language !== 'en') add('lang', state.language);
+  if (state.library) {
+    add('lib', '1');
+    add('owned', [...state.owned].sort().join(','));
+  }
+  
+  return params.length ? `#${params.join('&')}` : '';
+};
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { parseUrlState, buildUrlHash } from './urlState.js';
+
+const FULL_STATE = {
+  node: 'GWE',
+  compare: 'NTP',
+  loco: 'class08blu',
+  direction: 'lends',
+  view: 'matrix',
+  dark: true,
+  palette: 'colorblind',
+  language: 'de',
+  library: true,
+  owned: ['GWE', 'NTP'],
+  zoom: { k: 1.5, x: -120, y: 40.5 },
+  date: '2022-09-06',
+  filters: {
+    hiddenRegions: ['DE', 'US'],
+    crossRegionOnly: true,
+    hideUnlinked: true,
+    traction: ['diesel', 'electric'],
+    fullOnly: true,
+    bundle: 'TSW3 Standard Edition'
+  }
+};
+
+describe('url state', () => {
+  it('reads back everything it writes', () => {
+    expect(parseUrlState(buildUrlHash(FULL_STATE))).toEqual(FULL_STATE);
+  });
+  
+  it('writes nothing for the default view and reads it back', () => {
+    const defaults = parseUrlState('');
+    expect(buildUrlHash(defaults)).toBe('');
+    expect(parseUrlState(buildUrlHash(defaults))).toEqual(defaults);
+  });
+  
+  it('gives the same hash for the same view', () => {
+    const reordered = {
+      ...FULL_STATE,
+      owned: ['NTP', 'GWE'],
+      zoom: { k: 1.50004, x: -120.01, y: 40.5 },
+      filters: { ...FULL_STATE.filters, hiddenRegions: ['US', 'DE'], traction: ['electric', 'diesel'] }
+    };
+    expect(buildUrlHash(reordered)).toBe(buildUrlHash(FULL_STATE));
+  });
+  
+  it('keeps names with spaces, commas and symbols intact', () => {
+    const state = { ...parseUrlState(''), loco: 'BR 185.2 & co', filters: { ...FULL_STATE.filters, bundle: 'Season Pass, Year 1' } };
+    expect(parseUrlState(buildUrlHash(state))).toMatchObject({ loco: 'BR 185.2 & co', filters: { bundle: 'Season Pass, Year 1' } });
+  });
+  
+  it('falls back to defaults for values it does not know', () => {
+    expect(parseUrlState('#view=globe&dir=up&zoom=1,2&lang=german&date=2022-9-6&colors=neon')).toMatchObject({
+      view: 'graph', direction: 'borrows', zoom: null, language: null, date: null, palette: 'default'
+    });
+  });
+});
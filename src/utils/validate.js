@@ -0,0 +1,334 @@
+// Schema validation for route_lookup.csv and dlc_network.csv, and the optional
+// regions.csv, bundles.csv and layout.json. Problems are { file, line, message, params }:
+// the message is an English template with {placeholders} filled from params, so
+// the app can translate it and the build can print it as it is
+
+import { checkDataQuality } from './dataQuality.js';
+import { BUNDLE_COLUMNS } from './bundles.js';
+import { REGION_COLUMNS } from './regions.js';
+import { isHexColor } from './palettes.js';
+import { fillPlaceholders } from './placeholders.js';
+
+export const ROUTE_LOOKUP_COLUMNS = ['Route', 'Short Name', 'Region'];
+export const DLC_NETWORK_COLUMNS = ['Route', 'Loco', 'Required DLC'];
+
+// Allowed values of the optional Traction and Compatibility columns of dlc_network.csv.
+// A blank compatibility means the loco works on the whole route
+export const TRACTION_TYPES = ['diesel', 'electric', 'steam', 'bi-mode'];
+export const COMPATIBILITY_LEVELS = ['full', 'partial'];
+
+export const DEFAULT_FILE_NAMES = {
+  routeLookup: 'route_lookup.csv',
+  dlcNetwork: 'dlc_network.csv'
+};
+
+// File line of a parsed row, falling back to rows directly after a header on line 1
+const lineNumber = (parsed, index) => parsed.rowLines ? parsed.rowLines[index] : index + 2;
+
+const isBlank = value => !value || !value.trim();
+
+// When a version of the data was published: YYYY-MM or YYYY-MM-DD, as used
+// for data_updated.txt and the snapshot directories
+export const DATA_DATE = /^\d{4}-\d{2}(-\d{2})?$/;
+
+// Release dates are written as YYYY-MM-DD so they sort as text
+const isReleaseDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// PapaParse's errors as messages we can translate. Others keep PapaParse's English
+const PARSE_ERRORS = {
+  TooFewFields: { message: 'Too few fields: expected {expected} but found {found}' },
+  TooManyFields: { message: 'Too many fields: expected {expected} but found {found}' },
+  MissingQuotes: { message: 'Quoted field is never closed' },
+  InvalidQuotes: { message: 'Quoted field has a stray quote in it' }
+};
+
+const parseErrorMessage = (err) => {
+  const known = PARSE_ERRORS[err.code];
+  if (!known) return { message: err.message };
+  if (err.type !== 'FieldMismatch') return known;
+  
+  const counts = err.message.match(/expected (\d+) fields but parsed (\d+)/);
+  return counts ? { ...known, params: { expected: counts[1], found: counts[2] } } : { message: err.message };
+};
+
+// Parse errors and missing columns for one parsed CSV file
+const checkParsedFile = (file, parsed, columns, problems) => {
+  parsed.errors.forEach(err => {
+    problems.errors.push({
+      file,
+      line: err.row !== undefined ? lineNumber(parsed, err.row) : null,
+      ...parseErrorMessage(err)
+    });
+  });
+  
+  const fields = parsed.meta.fields || [];
+  columns
+    .filter(column => !fields.includes(column))
+    .forEach(column => {
+      problems.errors.push({ file, line: parsed.headerLine || 1, message: 'Missing column "{column}"', params: { column } });
+    });
+};
+
+// Validate both parsed CSV files. Errors break the graph; warnings are data gaps
+// (unknown short names, self-references, duplicates, unused lookup entries) shown in the UI
+export const validateData = (routeLookupParsed, dlcNetworkParsed, fileNames = DEFAULT_FILE_NAMES) => {
+  const problems = { errors: [], warnings: [] };
+  const lookupFile = fileNames.routeLookup;
+  const networkFile = fileNames.dlcNetwork;
+  
+  checkParsedFile(lookupFile, routeLookupParsed, ROUTE_LOOKUP_COLUMNS, problems);
+  checkParsedFile(networkFile, dlcNetworkParsed, DLC_NETWORK_COLUMNS, problems);
+  
+  // Every lookup row needs all columns and a unique short name
+  const shortNameLines = {};
+  routeLookupParsed.data.forEach((item, index) => {
+    const line = lineNumber(routeLookupParsed, index);
+    ROUTE_LOOKUP_COLUMNS
+      .filter(column => isBlank(item[column]))
+      .forEach(column => {
+        problems.errors.push({ file: lookupFile, line, message: 'Empty "{column}"', params: { column } });
+      });
+    
+    const releaseDate = (item["Release Date"] || '').trim();
+    if (releaseDate && !isReleaseDate(releaseDate)) {
+      problems.errors.push({
+        file: lookupFile,
+        line,
+        message: 'Release date "{date}" is not a YYYY-MM-DD date',
+        params: { date: releaseDate }
+      });
+    }
+    
+    const shortName = (item["Short Name"] || '').trim();
+    if (!shortName) return;
+    if (shortNameLines[shortName]) {
+      problems.errors.push({
+        file: lookupFile,
+        line,
+        message: 'Duplicate short name "{shortName}" (first on line {firstLine})',
+        params: { shortName, firstLine: shortNameLines[shortName] }
+      });
+    } else {
+      shortNameLines[shortName] = line;
+    }
+  });
+  
+  // Every network row needs a route, a loco and at least one DLC, and any
+  // traction or compatibility must be one of the known values
+  dlcNetworkParsed.data.forEach((item, index) => {
+    const line = lineNumber(dlcNetworkParsed, index);
+    DLC_NETWORK_COLUMNS
+      .filter(column => isBlank(item[column]))
+      .forEach(column => {
+        problems.errors.push({ file: networkFile, line, message: 'Empty "{column}"', params: { column } });
+      });
+    
+    [
+      ['Traction', TRACTION_TYPES, 'Unknown traction "{value}" (expected {allowed})'],
+      ['Compatibility', COMPATIBILITY_LEVELS, 'Unknown compatibility "{value}" (expected {allowed})']
+    ].forEach(([column, allowed, message]) => {
+      const value = (item[column] || '').trim().toLowerCase();
+      if (value && !allowed.includes(value)) {
+        problems.errors.push({
+          file: networkFile,
+          line,
+          message,
+          params: { value: item[column].trim(), allowed: allowed.join(', ') }
+        });
+      }
+    });
+  });
+  
+  const report = checkDataQuality(routeLookupParsed.data, dlcNetworkParsed.data, dlcNetworkParsed.rowLines);
+  
+  report.duplicates.forEach(entry => {
+    problems.warnings.push({
+      file: networkFile,
+      line: entry.line,
+      message: 'Duplicate row for {route} / {loco} (first on line {firstLine})',
+      params: { route: entry.route, loco: entry.loco, firstLine: entry.firstLine }
+    });
+  });
+  
+  report.unknownShortNames.forEach(entry => {
+    problems.warnings.push({
+      file: networkFile,
+      line: entry.lines[0],
+      message: '"{shortName}" is not in {file} (lines {lines})',
+      params: { shortName: entry.shortName, file: lookupFile, lines: entry.lines.join(', ') }
+    });
+  });
+  
+  report.selfReferences.forEach(entry => {
+    problems.warnings.push({
+      file: networkFile,
+      line: entry.line,
+      message: '{route} lists itself as a required DLC for {loco}',
+      params: { route: entry.route, loco: entry.loco }
+    });
+  });
+  
+  report.unusedLookupEntries.forEach(entry => {
+    problems.warnings.push({
+      file: lookupFile,
+      line: shortNameLines[entry.shortName] || null,
+      message: '"{shortName}" never appears in {file}',
+      params: { shortName: entry.shortName, file: networkFile }
+    });
+  });
+  
+  return problems;
+};
+
+// Validate the optional bundles file against the route lookup. Every bundle needs
+// a name and routes; short names missing from the lookup are warnings
+export const validateBundles = (bundlesParsed, routeLookupParsed, file = 'bundles.csv') => {
+  const problems = { errors: [], warnings: [] };
+  checkParsedFile(file, bundlesParsed, BUNDLE_COLUMNS, problems);
+  
+  const shortNames = new Set(routeLookupParsed.data.map(item => (item["Short Name"] || '').trim()));
+  const bundleLines = {};
+  
+  bundlesParsed.data.forEach((item, index) => {
+    const line = lineNumber(bundlesParsed, index);
+    ['Bundle', 'Short Names']
+      .filter(column => isBlank(item[column]))
+      .forEach(column => {
+        problems.errors.push({ file, line, message: 'Empty "{column}"', params: { column } });
+      });
+    
+    const name = (item.Bundle || '').trim();
+    if (name && bundleLines[name]) {
+      problems.errors.push({
+        file,
+        line,
+        message: 'Duplicate bundle "{bundle}" (first on line {firstLine})',
+        params: { bundle: name, firstLine: bundleLines[name] }
+      });
+    } else if (name) {
+      bundleLines[name] = line;
+    }
+    
+    (item["Short Names"] || '').split(',')
+      .map(shortName => shortName.trim())
+      .filter(shortName => shortName && !shortNames.has(shortName))
+      .forEach(shortName => {
+        problems.warnings.push({
+          file,
+          line,
+          message: '"{shortName}" is not in {file}',
+          params: { shortName, file: DEFAULT_FILE_NAMES.routeLookup }
+        });
+      });
+  });
+  
+  return problems;
+};
+
+// Validate the optional regions file. Every region needs a name and a #rrggbb
+// color; regions used in the route lookup but not defined here are warnings
+export const validateRegions = (regionsParsed, routeLookupParsed, file = 'regions.csv') => {
+  const problems = { errors: [], warnings: [] };
+  checkParsedFile(file, regionsParsed, REGION_COLUMNS, problems);
+  
+  const regionLines = {};
+  regionsParsed.data.forEach((item, index) => {
+    const line = lineNumber(regionsParsed, index);
+    REGION_COLUMNS
+      .filter(column => isBlank(item[column]))
+      .forEach(column => {
+        problems.errors.push({ file, line, message: 'Empty "{column}"', params: { column } });
+      });
+    
+    ['Color', 'Colorblind Color']
+      .filter(column => !isBlank(item[column]) && !isHexColor(item[column].trim()))
+      .forEach(column => {
+        problems.errors.push({
+          file,
+          line,
+          message: '{column} "{value}" is not a #rrggbb color',
+          params: { column, value: item[column] }
+        });
+      });
+    
+    const region = (item.Region || '').trim();
+    if (region && regionLines[region]) {
+      problems.errors.push({
+        file,
+        line,
+        message: 'Duplicate region "{region}" (first on line {firstLine})',
+        params: { region, firstLine: regionLines[region] }
+      });
+    } else if (region) {
+      regionLines[region] = line;
+    }
+  });
+  
+  const reported = new Set();
+  routeLookupParsed.data.forEach((item, index) => {
+    const region = (item.Region || '').trim();
+    if (!region || regionLines[region] || reported.has(region)) return;
+    reported.add(region);
+    problems.warnings.push({
+      file: DEFAULT_FILE_NAMES.routeLookup,
+      line: lineNumber(routeLookupParsed, index),
+      message: 'Region "{region}" is not in {file}',
+      params: { region, file }
+    });
+  });
+  
+  return problems;
+};
+
+// Validate the text of the optional layout file: a JSON object mapping short names
+// to { x, y } positions, with "pinned": true for nodes that stay put. Short names
+// missing from the lookup are warnings
+export const validateLayout = (text, routeLookupParsed, file = 'layout.json') => {
+  const problems = { errors: [], warnings: [] };
+  
+  let layout;
+  try {
+    layout = JSON.parse(text);
+  } catch (err) {
+    problems.errors.push({ file, message: 'Invalid JSON: {detail}', params: { detail: err.message } });
+    return problems;
+  }
+  if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+    problems.errors.push({ file, message: 'Expected an object of positions by short name' });
+    return problems;
+  }
+  
+  const shortNames = new Set(routeLookupParsed.data.map(item => (item["Short Name"] || '').trim()));
+  Object.entries(layout).forEach(([id, position]) => {
+    if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.y)) {
+      problems.errors.push({ file, message: '"{shortName}" needs numeric "x" and "y"', params: { shortName: id } });
+    } else if (!shortNames.has(id)) {
+      problems.warnings.push({
+        file,
+        message: '"{shortName}" is not in {file}',
+        params: { shortName: id, file: DEFAULT_FILE_NAMES.routeLookup }
+      });
+    }
+  });
+  
+  return problems;
+};
+
+// Validate the text of the optional data_updated.txt, the date the data last changed
+export const validateUpdated = (text, file = 'data_updated.txt') => {
+  const problems = { errors: [], warnings: [] };
+  if (!DATA_DATE.test(text.trim())) {
+    problems.errors.push({ file, line: 1, message: '"{date}" is not a YYYY-MM or YYYY-MM-DD date', params: { date: text.trim() } });
+  }
+  return problems;
+};
+
+// One line per problem, e.g. "dlc_network.csv:12: Empty "Loco"". Pass the t() of
+// useTranslation to show the message in the interface language
+export const formatProblem = (problem, t = fillPlaceholders) => (
+  `${problem.file}${problem.line ? `:${problem.line}` : ''}: ${t(problem.message, problem.params)}`
+);
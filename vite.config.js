@@ -1,12 +1,16 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import dlcGraph from './plugins/dlcGraph.js'
+import serviceWorker from './plugins/serviceWorker.js'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
     [react()],
     tailwindcss(),
+    dlcGraph(),
+    serviceWorker(),
   ],
   base: "/tswlayers/"
 })